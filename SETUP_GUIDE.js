@@ -16,11 +16,18 @@ The app works with dummy data by default, but for full functionality:
 3. Go to Settings > API
 4. Request an API Key (choose "Developer" option)
 5. Copy your API Key (v3 auth)
-6. Open src/services/api.js
-7. Replace 'YOUR_TMDB_API_KEY' with your actual key
+6. Create a .env file in the project root
+7. Add your key to it
 
 Example:
-const API_KEY = 'a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6';
+TMDB_API_KEY=a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6
+
+The key stays on the server: requests go through the /api/tmdb proxy
+(Vite middleware locally, api/tmdb.js on Vercel).
+On Vercel, add TMDB_API_KEY in Project Settings > Environment Variables.
+
+Without a key the app runs in demo mode (a yellow banner says so).
+To force demo mode with a key set, add VITE_DEMO_MODE=true
 
 ===========================================
 STEP 2: INSTALL DEPENDENCIES
@@ -59,7 +66,8 @@ TROUBLESHOOTING
 ===========================================
 
 Problem: Movies not loading
-Solution: Check if API key is set, or just use dummy data
+Solution: Read the error shown on the page - "TMDB access denied" means
+the API key is wrong; or leave the key unset to use demo mode
 
 Problem: Styles not working
 Solution: Make sure Tailwind is configured in vite.config.js
@@ -74,7 +82,7 @@ Solution: Change port in vite.config.js or stop other apps
 FOR PRESENTATION
 ===========================================
 
-1. Make sure dummy data is working (don't need API key!)
+1. Make sure demo mode is working (don't need API key!)
 2. Test all features beforehand
 3. Have backup screenshots ready
 4. Explain component structure
@@ -0,0 +1,36 @@
+/**
+ * Vercel Serverless Function - TMDB Proxy
+ *
+ * Reached through the rewrite in vercel.json:
+ *   /api/tmdb/movie/popular?page=2 -> /api/tmdb?path=movie/popular&page=2
+ *
+ * Reads the key from the TMDB_API_KEY environment variable (set it in the Vercel project settings).
+ */
+
+import { proxyTmdbRequest, sendProxyResponse } from '../server/tmdbProxy.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    sendProxyResponse(res, {
+      status: 405,
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify({ success: false, status_message: 'Method not allowed' })
+    });
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const searchParams = new URLSearchParams(url.searchParams);
+  // Vercel merges the rewrite's parameters into req.query; fall back to the original path
+  const path =
+    req.query?.path ?? searchParams.get('path') ?? url.pathname.replace(/^\/api\/tmdb\/?/, '');
+  searchParams.delete('path');
+
+  const response = await proxyTmdbRequest({
+    path,
+    searchParams,
+    apiKey: process.env.TMDB_API_KEY
+  });
+  sendProxyResponse(res, response);
+}
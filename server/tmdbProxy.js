@@ -0,0 +1,172 @@
+/**
+ * TMDB Proxy
+ *
+ * Forwards browser requests to TMDB so the API key stays on the server.
+ * Shared by the Vercel function (api/tmdb.js) and the Vite dev/preview middleware (vite.config.js).
+ * Features:
+ * - Injects credentials server-side (v3 API key or v4 read access token)
+ * - Only allows the endpoints the app uses
+ * - Sets Cache-Control per endpoint so the CDN and browser can cache responses
+ * - Passes TMDB status codes, error bodies and Retry-After through unchanged
+ */
+
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Endpoints the app is allowed to call, with their cache lifetimes (seconds)
+ * - maxAge: browser cache
+ * - sMaxAge: CDN cache
+ * - staleWhileRevalidate: how long the CDN may serve stale data while refreshing
+ */
+const ALLOWED_ENDPOINTS = [
+  { pattern: /^movie\/popular$/, maxAge: MINUTE, sMaxAge: 10 * MINUTE, staleWhileRevalidate: HOUR },
+  { pattern: /^search\/movie$/, maxAge: MINUTE, sMaxAge: 5 * MINUTE, staleWhileRevalidate: 30 * MINUTE },
+  { pattern: /^movie\/\d+$/, maxAge: HOUR, sMaxAge: DAY, staleWhileRevalidate: 7 * DAY },
+  { pattern: /^movie\/\d+\/videos$/, maxAge: HOUR, sMaxAge: DAY, staleWhileRevalidate: 7 * DAY },
+  { pattern: /^movie\/\d+\/(recommendations|similar)$/, maxAge: HOUR, sMaxAge: DAY, staleWhileRevalidate: 7 * DAY },
+  { pattern: /^collection\/\d+$/, maxAge: HOUR, sMaxAge: DAY, staleWhileRevalidate: 7 * DAY },
+  { pattern: /^movie\/\d+\/watch\/providers$/, maxAge: HOUR, sMaxAge: 6 * HOUR, staleWhileRevalidate: DAY },
+  { pattern: /^watch\/providers\/movie$/, maxAge: DAY, sMaxAge: 7 * DAY, staleWhileRevalidate: 30 * DAY },
+  { pattern: /^discover\/movie$/, maxAge: MINUTE, sMaxAge: 10 * MINUTE, staleWhileRevalidate: HOUR },
+  { pattern: /^genre\/movie\/list$/, maxAge: DAY, sMaxAge: 7 * DAY, staleWhileRevalidate: 30 * DAY },
+  { pattern: /^person\/\d+$/, maxAge: HOUR, sMaxAge: DAY, staleWhileRevalidate: 7 * DAY },
+  { pattern: /^tv\/popular$/, maxAge: MINUTE, sMaxAge: 10 * MINUTE, staleWhileRevalidate: HOUR },
+  { pattern: /^find\/tt\d+$/, maxAge: HOUR, sMaxAge: DAY, staleWhileRevalidate: 7 * DAY },
+  { pattern: /^search\/multi$/, maxAge: MINUTE, sMaxAge: 5 * MINUTE, staleWhileRevalidate: 30 * MINUTE },
+  { pattern: /^search\/tv$/, maxAge: MINUTE, sMaxAge: 5 * MINUTE, staleWhileRevalidate: 30 * MINUTE },
+  { pattern: /^tv\/\d+$/, maxAge: HOUR, sMaxAge: DAY, staleWhileRevalidate: 7 * DAY },
+  { pattern: /^tv\/\d+\/season\/\d+$/, maxAge: HOUR, sMaxAge: DAY, staleWhileRevalidate: 7 * DAY }
+];
+
+// Query parameters the client must never set itself
+const BLOCKED_PARAMS = ['api_key'];
+
+/**
+ * Build a JSON proxy response in TMDB's error format
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Object} Proxy response ({ status, headers, body })
+ */
+const errorResponse = (status, message) => ({
+  status,
+  headers: {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify({ success: false, status_message: message })
+});
+
+/**
+ * Find the allowlist entry for an endpoint path
+ * @param {string} path - Endpoint path without leading slash (e.g. movie/popular)
+ * @returns {Object|undefined} Matching allowlist entry
+ */
+const findEndpoint = (path) => ALLOWED_ENDPOINTS.find(({ pattern }) => pattern.test(path));
+
+/**
+ * Forward one request to TMDB
+ * @param {Object} request - Incoming request details
+ * @param {string} request.path - Endpoint path (e.g. movie/popular or /movie/popular)
+ * @param {URLSearchParams} request.searchParams - Query parameters from the client
+ * @param {string} request.apiKey - TMDB v3 API key or v4 read access token
+ * @returns {Promise<Object>} Proxy response ({ status, headers, body })
+ *   Upstream failures become 502 responses, so callers never see a rejection
+ */
+export const proxyTmdbRequest = async ({ path, searchParams, apiKey }) => {
+  const endpointPath = (path || '').replace(/^\/+|\/+$/g, '');
+  const endpoint = findEndpoint(endpointPath);
+
+  if (!endpoint) {
+    return errorResponse(404, `Endpoint "${endpointPath}" is not available through this proxy`);
+  }
+
+  if (!apiKey) {
+    return errorResponse(401, 'TMDB_API_KEY is not configured on the server');
+  }
+
+  const params = new URLSearchParams(searchParams);
+  BLOCKED_PARAMS.forEach((name) => params.delete(name));
+
+  // v4 read access tokens are JWTs and go in the Authorization header, v3 keys in the query
+  const headers = { Accept: 'application/json' };
+  if (apiKey.startsWith('eyJ')) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  } else {
+    params.set('api_key', apiKey);
+  }
+
+  let upstream;
+  try {
+    upstream = await fetch(`${TMDB_BASE_URL}/${endpointPath}?${params}`, { headers });
+  } catch (error) {
+    console.error('TMDB proxy request failed:', error);
+    return errorResponse(502, 'Could not reach TMDB');
+  }
+
+  // The body can still fail to arrive (e.g. the connection resets halfway)
+  let body;
+  try {
+    body = await upstream.text();
+  } catch (error) {
+    console.error('TMDB proxy response failed:', error);
+    return errorResponse(502, 'Could not reach TMDB');
+  }
+
+  const responseHeaders = {
+    'Content-Type': upstream.headers.get('Content-Type') || 'application/json; charset=utf-8',
+    'Cache-Control': upstream.ok
+      ? `public, max-age=${endpoint.maxAge}, s-maxage=${endpoint.sMaxAge}, stale-while-revalidate=${endpoint.staleWhileRevalidate}`
+      : 'no-store'
+  };
+
+  const retryAfter = upstream.headers.get('Retry-After');
+  if (retryAfter) {
+    responseHeaders['Retry-After'] = retryAfter;
+  }
+
+  return {
+    status: upstream.status,
+    headers: responseHeaders,
+    body
+  };
+};
+
+/**
+ * Write a proxy response to a Node.js ServerResponse
+ * @param {http.ServerResponse} res - Node.js response
+ * @param {Object} response - Proxy response ({ status, headers, body })
+ */
+export const sendProxyResponse = (res, { status, headers, body }) => {
+  res.statusCode = status;
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.end(body);
+};
+
+/**
+ * Connect-style middleware for the Vite dev and preview servers
+ * Mount it on the proxy base path (e.g. /api/tmdb) - req.url is then the endpoint path
+ * @param {string} apiKey - TMDB v3 API key or v4 read access token
+ * @returns {function} Middleware (req, res, next)
+ */
+export const createTmdbProxyMiddleware = (apiKey) => async (req, res, next) => {
+  if (req.method !== 'GET') {
+    next();
+    return;
+  }
+
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    const response = await proxyTmdbRequest({
+      path: url.pathname,
+      searchParams: url.searchParams,
+      apiKey
+    });
+    sendProxyResponse(res, response);
+  } catch (error) {
+    next(error);
+  }
+};
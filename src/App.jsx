@@ -6,27 +6,82 @@
  * Routes:
  * - "/" : Home page with popular movies and search
  * - "/movie/:id" : Movie detail page showing full information
+ * - "/tv/:id" : TV show detail page with seasons and episodes
+ * - "/person/:id" : Actor / crew member biography and filmography
+ * - "/watchlist" : Saved watchlist and favorites
+ * - "/diary" : Movies logged as watched, with personal ratings and notes
+ * - "/import" : Import from Letterboxd / IMDb, export lists and backups
+ * - "/compare?ids=" : Side-by-side comparison of 2 to 4 movies
+ * - "/collection/:id" : Every film of a collection (franchise) in release order
  * 
  * Features:
  * - React Router for navigation
+ * - Demo mode banner on every page
+ * - Offline banner while the network is down (cached pages keep working, see src/sw.js)
+ * - Compare tray while movies are picked for comparison
+ * - Keyboard shortcuts overlay, opened with "?" on every page
  * - Clean layout structure
  * - Responsive design
  */
 
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import DemoBanner from './components/DemoBanner';
+import OfflineBanner from './components/OfflineBanner';
+import CompareTray from './components/CompareTray';
+import ShortcutsHelp from './components/ShortcutsHelp';
 import Home from './pages/Home';
 import MovieDetail from './pages/MovieDetail';
+import TvDetail from './pages/TvDetail';
+import Person from './pages/Person';
+import Watchlist from './pages/Watchlist';
+import Diary from './pages/Diary';
+import ImportExport from './pages/ImportExport';
+import Compare from './pages/Compare';
+import Collection from './pages/Collection';
 
 function App() {
   return (
     <Router>
+      {/* Shown only when serving sample data */}
+      <DemoBanner />
+
+      {/* Shown only while the browser is offline */}
+      <OfflineBanner />
+
       <Routes>
         {/* Home Page - Display popular movies and search */}
         <Route path="/" element={<Home />} />
         
         {/* Movie Detail Page - Show detailed information about a specific movie */}
         <Route path="/movie/:id" element={<MovieDetail />} />
+
+        {/* TV Show Detail Page - Show information, season tabs and episode lists */}
+        <Route path="/tv/:id" element={<TvDetail />} />
+
+        {/* Person Page - Biography and filmography of an actor or crew member */}
+        <Route path="/person/:id" element={<Person />} />
+
+        {/* Watchlist Page - Saved movies (works offline) */}
+        <Route path="/watchlist" element={<Watchlist />} />
+
+        {/* Diary Page - Viewing diary with personal ratings (works offline) */}
+        <Route path="/diary" element={<Diary />} />
+
+        {/* Import & Export Page - Letterboxd / IMDb import with review, CSV and JSON export */}
+        <Route path="/import" element={<ImportExport />} />
+
+        {/* Compare Page - Movies side by side (IDs in the URL) */}
+        <Route path="/compare" element={<Compare />} />
+
+        {/* Collection Page - Films of a franchise in release order, with watched markers */}
+        <Route path="/collection/:id" element={<Collection />} />
       </Routes>
+
+      {/* Movies picked for comparison */}
+      <CompareTray />
+
+      {/* Keyboard shortcuts overlay ("?") */}
+      <ShortcutsHelp />
     </Router>
   );
 }
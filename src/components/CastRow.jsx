@@ -0,0 +1,53 @@
+/**
+ * CastRow Component
+ *
+ * Horizontally scrollable row of top-billed cast members
+ * Features:
+ * - Profile picture, name and character for each cast member
+ * - Each card links to the person's page (/person/:id)
+ * - Scrolls sideways on small screens instead of wrapping
+ *
+ * Props:
+ * @param {Array} cast - Cast members ({ id, name, character, profile_path }), already ordered
+ */
+
+import { Link } from 'react-router-dom';
+import { getImageUrl } from '../services/api';
+import useI18n from '../hooks/useI18n';
+
+const CastRow = ({ cast }) => {
+  const { t } = useI18n();
+
+  if (!cast || cast.length === 0) {
+    return <p className="text-gray-700">{t('cast.empty')}</p>;
+  }
+
+  return (
+    <ul className="flex gap-4 overflow-x-auto pb-4 snap-x" aria-label={t('cast.label')}>
+      {cast.map((member) => (
+        <li key={`${member.id}-${member.character}`} className="flex-shrink-0 w-32 snap-start">
+          <Link
+            to={`/person/${member.id}`}
+            className="block bg-secondary rounded-lg overflow-hidden shadow-lg hover:shadow-2xl
+                       transition-shadow duration-300 focus:outline-none focus:ring-2 focus:ring-highlight"
+          >
+            <img
+              src={getImageUrl(member.profile_path, 'w185')}
+              alt={member.name}
+              className="w-full aspect-[2/3] object-cover"
+              loading="lazy"
+            />
+            <div className="p-2">
+              <p className="font-semibold text-sm text-black line-clamp-2">{member.name}</p>
+              {member.character && (
+                <p className="text-xs text-gray-700 line-clamp-2">{member.character}</p>
+              )}
+            </div>
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default CastRow;
@@ -0,0 +1,90 @@
+/**
+ * CompareButton Component
+ *
+ * Picks a movie for the side-by-side comparison (or drops it again)
+ * Features:
+ * - Icon-only variant for movie cards, labelled variant for the detail page
+ * - Filled icon and aria-pressed when the movie is picked
+ * - Disabled once the comparison is full (MAX_COMPARE movies); aria-disabled keeps clicks
+ *   from falling through to the card
+ * - Doesn't trigger the parent card's click handler
+ *
+ * Props:
+ * @param {Object} movie - Movie to compare
+ * @param {boolean} compact - Icon-only button (for cards)
+ * @param {number} tabIndex - Tab index of the icon-only button (follows the card's roving focus)
+ */
+
+import useCompare from '../hooks/useCompare';
+import useI18n from '../hooks/useI18n';
+import { MAX_COMPARE } from '../services/compare';
+import { getTitle } from '../services/media';
+
+// Two columns side by side
+const COMPARE_ICON = 'M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2';
+
+const CompareButton = ({ movie, compact = false, tabIndex }) => {
+  const { isPicked, isFull, toggle } = useCompare();
+  const { t } = useI18n();
+  const picked = isPicked(movie.id);
+  const disabled = !picked && isFull;
+  const actionLabel = disabled
+    ? t('compare.full', { count: MAX_COMPARE })
+    : t(picked ? 'compare.remove' : 'compare.add');
+
+  // Don't open the movie when the button sits inside a clickable card
+  const handleClick = (e) => {
+    e.stopPropagation();
+    if (!disabled) {
+      toggle(movie);
+    }
+  };
+
+  const icon = (
+    <svg
+      className="w-5 h-5"
+      fill={picked ? 'currentColor' : 'none'}
+      stroke="currentColor"
+      viewBox="0 0 24 24"
+      aria-hidden="true"
+    >
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={COMPARE_ICON} />
+    </svg>
+  );
+
+  if (compact) {
+    return (
+      <button
+        type="button"
+        onClick={handleClick}
+        tabIndex={tabIndex}
+        aria-disabled={disabled}
+        aria-pressed={picked}
+        aria-label={`${actionLabel}: ${getTitle(movie)}`}
+        title={actionLabel}
+        className={`bg-black/80 backdrop-blur-sm rounded-full p-2 transition-colors duration-300
+                    aria-disabled:opacity-50 aria-disabled:cursor-not-allowed
+                    ${picked ? 'text-highlight' : 'text-white hover:text-highlight'}`}
+      >
+        {icon}
+      </button>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-disabled={disabled}
+      aria-pressed={picked}
+      className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors duration-300
+                  aria-disabled:opacity-50 aria-disabled:cursor-not-allowed
+                  ${picked ? 'bg-highlight text-white' : 'bg-secondary text-white hover:bg-accent'}`}
+    >
+      {icon}
+      <span>{picked ? t('compare.picked') : actionLabel}</span>
+    </button>
+  );
+};
+
+export default CompareButton;
@@ -0,0 +1,80 @@
+/**
+ * CompareTray Component
+ *
+ * Bar pinned to the bottom of the screen while movies are picked for comparison
+ * Features:
+ * - Poster thumbnails of the picked movies, each with a remove button
+ * - "Compare" link to /compare?ids=... once at least MIN_COMPARE movies are picked
+ * - Clear button
+ * - Hidden on the comparison page itself
+ */
+
+import { Link, useLocation } from 'react-router-dom';
+import useCompare from '../hooks/useCompare';
+import useI18n from '../hooks/useI18n';
+import { getImageUrl } from '../services/api';
+import { MIN_COMPARE, MAX_COMPARE, getCompareUrl } from '../services/compare';
+
+const CompareTray = () => {
+  const { movies, toggle, clear } = useCompare();
+  const { pathname } = useLocation();
+  const { t } = useI18n();
+
+  if (movies.length === 0 || pathname === '/compare') {
+    return null;
+  }
+
+  const ready = movies.length >= MIN_COMPARE;
+
+  return (
+    <aside
+      aria-label={t('compare.tray')}
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[calc(100%-2rem)] max-w-2xl
+                 bg-secondary/95 backdrop-blur-sm border border-black/50 rounded-lg shadow-2xl
+                 px-4 py-3 flex flex-wrap items-center gap-3 text-white"
+    >
+      {/* Picked Movies */}
+      <ul className="flex gap-2 flex-1 min-w-0">
+        {movies.map((movie) => (
+          <li key={movie.id} className="relative flex-shrink-0">
+            <img
+              src={getImageUrl(movie.poster_path, 'w92')}
+              alt={movie.title}
+              title={movie.title}
+              className="w-10 h-15 object-cover rounded"
+            />
+            <button
+              type="button"
+              onClick={() => toggle(movie)}
+              aria-label={`${t('compare.remove')}: ${movie.title}`}
+              className="absolute -top-2 -right-2 bg-black rounded-full p-0.5 hover:bg-highlight transition-colors duration-300"
+            >
+              <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* Actions */}
+      <div className="flex items-center gap-3">
+        <button type="button" onClick={clear} className="text-sm hover:underline">
+          {t('compare.clear')}
+        </button>
+        {ready ? (
+          <Link
+            to={getCompareUrl(movies.map((movie) => movie.id))}
+            className="bg-highlight hover:bg-highlight/80 px-4 py-2 rounded-lg font-semibold transition-colors duration-300"
+          >
+            {t('compare.open', { count: movies.length, max: MAX_COMPARE })}
+          </Link>
+        ) : (
+          <span className="text-sm text-gray-300">{t('compare.pickMore', { count: MIN_COMPARE - movies.length })}</span>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default CompareTray;
@@ -0,0 +1,26 @@
+/**
+ * DemoBanner Component
+ *
+ * Thin banner shown at the top of every page while the app runs in demo mode
+ * Makes it obvious that the movies on screen are sample data, not live TMDB results
+ */
+
+import { isDemoMode } from '../services/api';
+import useI18n from '../hooks/useI18n';
+
+const DemoBanner = () => {
+  const { t } = useI18n();
+
+  if (!isDemoMode()) {
+    return null;
+  }
+
+  return (
+    <div role="status" className="bg-yellow-400 text-black text-center text-sm px-4 py-2">
+      <strong>{t('demo.title')}</strong> {t('demo.message')}{' '}
+      {t('demo.hint', { variable: 'TMDB_API_KEY' })}
+    </div>
+  );
+};
+
+export default DemoBanner;
@@ -0,0 +1,169 @@
+/**
+ * DiaryPanel Component
+ *
+ * Personal rating, private note and viewing log for one movie (movie page)
+ * Features:
+ * - Half-star rating, saved as soon as it is picked
+ * - Private note, saved with its own button
+ * - "Watched on" form with a date (today by default) and a rewatch checkbox
+ *   (ticked automatically once the movie is in the diary)
+ * - The movie's diary entries, newest first, each removable
+ * - Everything is stored locally (see services/diary.js)
+ *
+ * Props:
+ * @param {Object} movie - Movie details
+ *
+ * Give the panel a key tied to the movie so the form resets for each movie.
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import StarRating from './StarRating';
+import useDiary from '../hooks/useDiary';
+import useI18n from '../hooks/useI18n';
+import { formatDate } from '../services/api';
+import { today } from '../services/diary';
+
+const inputClassName =
+  'bg-white/60 text-black rounded-lg px-3 py-2 border border-black/30 focus:outline-none focus:border-highlight';
+
+const DiaryPanel = ({ movie }) => {
+  const { t } = useI18n();
+  const { getRecord, getEntries, setRating, setNote, logWatch, removeEntry } = useDiary();
+  const record = getRecord(movie.id);
+  const entries = getEntries(movie.id);
+
+  // State management
+  const [note, setNoteDraft] = useState(record?.note || '');
+  const [watchedOn, setWatchedOn] = useState(today());
+  // null = follow the diary (rewatch once the movie has been logged)
+  const [rewatch, setRewatch] = useState(null);
+
+  const savedNote = record?.note || '';
+  const isRewatch = rewatch ?? entries.length > 0;
+
+  /**
+   * Add a diary entry
+   */
+  const handleLog = (e) => {
+    e.preventDefault();
+    if (!watchedOn) return;
+    logWatch(movie, { watchedOn, rewatch: isRewatch });
+    setRewatch(null);
+  };
+
+  return (
+    <section className="mt-12 text-black" aria-labelledby="diary-heading">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 id="diary-heading" className="text-2xl font-bold">
+          {t('diary.yourDiary')}
+        </h2>
+        <Link to="/diary" className="font-semibold hover:underline">
+          {t('diary.viewAll')}
+        </Link>
+      </div>
+
+      <div className="bg-white/40 backdrop-blur-lg rounded-lg p-4 md:p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          {/* Rating */}
+          <div>
+            <h3 className="font-semibold mb-2">{t('diary.yourRating')}</h3>
+            <StarRating
+              value={record?.rating ?? null}
+              onChange={(rating) => setRating(movie, rating)}
+              label={t('diary.yourRating')}
+            />
+          </div>
+
+          {/* Note */}
+          <div>
+            <label htmlFor="diary-note" className="block font-semibold mb-2">
+              {t('diary.note')}
+            </label>
+            <textarea
+              id="diary-note"
+              rows={4}
+              value={note}
+              onChange={(e) => setNoteDraft(e.target.value)}
+              placeholder={t('diary.notePlaceholder')}
+              className={`${inputClassName} w-full resize-y`}
+            />
+            <button
+              type="button"
+              onClick={() => setNote(movie, note)}
+              disabled={note.trim() === savedNote}
+              className="mt-2 bg-secondary hover:bg-accent text-white px-4 py-2 rounded-lg transition-colors duration-300
+                         disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {note.trim() === savedNote && savedNote ? t('diary.noteSaved') : t('diary.saveNote')}
+            </button>
+          </div>
+        </div>
+
+        <div className="space-y-4">
+          {/* Log a Watch */}
+          <form onSubmit={handleLog}>
+            <h3 className="font-semibold mb-2">{t('diary.logWatch')}</h3>
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-2">
+                <span className="sr-only">{t('diary.watchedOn')}</span>
+                <input
+                  type="date"
+                  required
+                  max={today()}
+                  value={watchedOn}
+                  onChange={(e) => setWatchedOn(e.target.value)}
+                  className={inputClassName}
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={isRewatch}
+                  onChange={(e) => setRewatch(e.target.checked)}
+                  className="w-4 h-4 accent-highlight"
+                />
+                {t('diary.rewatch')}
+              </label>
+              <button
+                type="submit"
+                className="bg-highlight hover:bg-highlight/80 text-white px-4 py-2 rounded-lg transition-colors duration-300"
+              >
+                {t('diary.log')}
+              </button>
+            </div>
+          </form>
+
+          {/* Entries */}
+          {entries.length === 0 ? (
+            <p className="text-gray-700">{t('diary.notLogged')}</p>
+          ) : (
+            <ul className="space-y-2">
+              {entries.map((entry) => (
+                <li
+                  key={entry.id}
+                  className="flex flex-wrap items-center justify-between gap-2 bg-secondary rounded-lg px-4 py-2"
+                >
+                  <span className="flex flex-wrap items-center gap-3">
+                    <span className="font-semibold">{formatDate(entry.watchedOn)}</span>
+                    {entry.rating && <StarRating value={entry.rating} size="sm" />}
+                    {entry.rewatch && <span className="text-xs text-highlight">{t('diary.rewatchBadge')}</span>}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => removeEntry(entry.id)}
+                    className="text-sm text-gray-700 hover:text-red-600 underline"
+                  >
+                    {t('diary.remove')}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default DiaryPanel;
@@ -0,0 +1,98 @@
+/**
+ * ErrorState Component
+ *
+ * Shows a failed request with a message that matches what went wrong
+ * Features:
+ * - Different icon, title and hint per error type (auth, not-found, rate-limited, network, server)
+ * - Optional "Try Again" and back actions
+ * - Compact variant for inline banners above existing content
+ *
+ * Props:
+ * @param {Error} error - Error thrown by the API service (see services/errors.js)
+ * @param {function} onRetry - Optional callback for the "Try Again" button
+ * @param {function} onBack - Optional callback for the back button
+ * @param {string} backLabel - Label for the back button (default: "Back to Home", translated)
+ * @param {Object} overrides - Optional { title, message } per error type, e.g. { 'not-found': {...} }
+ * @param {boolean} compact - Render as an inline banner instead of a full block
+ */
+
+import useI18n from '../hooks/useI18n';
+
+// Icon and message keys (errors.<messageKey>.title / .message) per error type
+const ERROR_CONTENT = {
+  auth: { icon: '🔑', messageKey: 'auth' },
+  'not-found': { icon: '🔍', messageKey: 'notFound' },
+  'rate-limited': { icon: '⏳', messageKey: 'rateLimited' },
+  network: { icon: '📡', messageKey: 'network' },
+  server: { icon: '🛠️', messageKey: 'server' },
+  unknown: { icon: '😕', messageKey: 'unknown' }
+};
+
+const ErrorState = ({ error, onRetry, onBack, backLabel, overrides = {}, compact = false }) => {
+  const { t } = useI18n();
+  const type = ERROR_CONTENT[error?.type] ? error.type : 'unknown';
+  const { icon, messageKey } = ERROR_CONTENT[type];
+  const content = {
+    icon,
+    title: t(`errors.${messageKey}.title`),
+    message: t(`errors.${messageKey}.message`),
+    ...overrides[type]
+  };
+
+  // Inline banner (used above content that is still valid)
+  if (compact) {
+    return (
+      <div
+        role="alert"
+        className="bg-red-500/10 border border-red-500 text-red-500 px-4 py-3 rounded-lg mb-6"
+      >
+        <div className="flex flex-wrap items-center gap-2">
+          <span aria-hidden="true">{content.icon}</span>
+          <span className="font-semibold">{content.title}</span>
+          <span>{content.message}</span>
+          {onRetry && (
+            <button
+              type="button"
+              onClick={onRetry}
+              className="ml-auto underline hover:no-underline"
+            >
+              {t('common.tryAgain')}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div role="alert" className="text-center py-12 px-4">
+      <div className="text-6xl mb-4" aria-hidden="true">{content.icon}</div>
+      <h2 className="text-2xl text-white mb-4">{content.title}</h2>
+      <p className="text-gray-400 mb-6 max-w-md mx-auto">{content.message}</p>
+      <div className="flex flex-wrap justify-center gap-4">
+        {onRetry && (
+          <button
+            type="button"
+            onClick={onRetry}
+            className="bg-highlight hover:bg-highlight/80 text-white px-6 py-3 rounded-lg
+                       transition-colors duration-300"
+          >
+            {t('common.tryAgain')}
+          </button>
+        )}
+        {onBack && (
+          <button
+            type="button"
+            onClick={onBack}
+            className="bg-secondary hover:bg-accent text-white px-6 py-3 rounded-lg
+                       transition-colors duration-300"
+          >
+            {backLabel || t('common.backToHome')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ErrorState;
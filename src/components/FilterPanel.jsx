@@ -0,0 +1,412 @@
+/**
+ * FilterPanel Component
+ *
+ * Discover filters for the Home page (backed by TMDB /discover/movie)
+ * Features:
+ * - Genre chips that cycle: any -> include -> exclude
+ * - Release year range, minimum rating and vote count
+ * - Original language (names shown in the UI language) and runtime bounds
+ * - Where to watch: region, the user's streaming services and "only movies on my services"
+ * - Sort order (popularity, rating, release date, revenue)
+ * - Edits are kept as a draft until "Apply" is pressed
+ *
+ * Props:
+ * @param {Object} filters - Currently applied filters (see services/discover.js)
+ * @param {function} onApply - Callback with the new filters when "Apply" is pressed
+ * @param {function} onReset - Callback when "Reset" is pressed
+ *
+ * Remount the panel (change its key) when the applied filters change from outside.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import RegionSelect from './RegionSelect';
+import useI18n from '../hooks/useI18n';
+import useStreaming from '../hooks/useStreaming';
+import { fetchGenres, fetchWatchProviderList, getImageUrl, isAbortError } from '../services/api';
+import {
+  DEFAULT_FILTERS,
+  DISCOVER_SORT_OPTIONS,
+  LANGUAGE_OPTIONS,
+  countActiveFilters
+} from '../services/discover';
+
+const CURRENT_YEAR = new Date().getFullYear();
+
+const inputClassName =
+  'w-full bg-white/60 text-black rounded-lg px-3 py-2 border border-black/30 focus:outline-none focus:border-highlight';
+
+const FilterPanel = ({ filters, onApply, onReset }) => {
+  const { locale, t } = useI18n();
+  const { region, services, hasService, toggleService } = useStreaming();
+
+  // State management
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(filters);
+  const [genres, setGenres] = useState([]);
+  // Locale the genre names were loaded in
+  const [genresLocale, setGenresLocale] = useState(null);
+  const [genreError, setGenreError] = useState(null);
+  const [watchProviders, setWatchProviders] = useState([]);
+  const [onMyServices, setOnMyServices] = useState(filters.watchProviders.length > 0);
+
+  const activeCount = countActiveFilters(filters);
+
+  // Language names in the UI language (falls back to the English labels)
+  const languageNames = useMemo(
+    () => (typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames([locale], { type: 'language' }) : null),
+    [locale]
+  );
+
+  /**
+   * Load the genre list the first time the panel opens, and again after a language change
+   * (genre names are translated)
+   */
+  useEffect(() => {
+    if (!open || genresLocale === locale) return;
+
+    const controller = new AbortController();
+    loadGenres(controller.signal);
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, locale]);
+
+  /**
+   * Load the streaming services of the region while the panel is open
+   */
+  useEffect(() => {
+    if (!open) return;
+
+    const controller = new AbortController();
+    fetchWatchProviderList(region, { signal: controller.signal })
+      .then(setWatchProviders)
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error loading watch providers:', err);
+      });
+    return () => controller.abort();
+  }, [open, region]);
+
+  /**
+   * Load movie genres from API
+   * @param {AbortSignal} signal - Signal to cancel the request
+   */
+  const loadGenres = async (signal) => {
+    try {
+      setGenreError(null);
+      setGenres(await fetchGenres({ signal }));
+      setGenresLocale(locale);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setGenreError(err);
+      console.error('Error loading genres:', err);
+    }
+  };
+
+  /**
+   * Update one field of the draft
+   */
+  const updateDraft = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Cycle a genre chip: any -> include -> exclude -> any
+   */
+  const cycleGenre = (genreId) => {
+    setDraft((prev) => {
+      if (prev.includeGenres.includes(genreId)) {
+        return {
+          ...prev,
+          includeGenres: prev.includeGenres.filter((id) => id !== genreId),
+          excludeGenres: [...prev.excludeGenres, genreId]
+        };
+      }
+      if (prev.excludeGenres.includes(genreId)) {
+        return { ...prev, excludeGenres: prev.excludeGenres.filter((id) => id !== genreId) };
+      }
+      return { ...prev, includeGenres: [...prev.includeGenres, genreId] };
+    });
+  };
+
+  /**
+   * Apply the draft filters
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // The services filter follows the saved services and region at the time of applying
+    onApply({
+      ...draft,
+      watchProviders: onMyServices ? services : [],
+      watchRegion: onMyServices && services.length > 0 ? region : ''
+    });
+  };
+
+  /**
+   * Clear all filters
+   */
+  const handleReset = () => {
+    setDraft(DEFAULT_FILTERS);
+    setOnMyServices(false);
+    onReset();
+  };
+
+  /**
+   * Current state of a genre chip
+   */
+  const getGenreState = (genreId) => {
+    if (draft.includeGenres.includes(genreId)) return 'include';
+    if (draft.excludeGenres.includes(genreId)) return 'exclude';
+    return 'any';
+  };
+
+  return (
+    <section className="mb-6">
+      {/* Toggle */}
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-expanded={open}
+        aria-controls="discover-filters"
+        className="flex items-center gap-2 bg-secondary hover:bg-accent text-white px-4 py-2 rounded-lg
+                   transition-colors duration-300"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z"
+          />
+        </svg>
+        {activeCount > 0 ? t('filters.toggleWithCount', { count: activeCount }) : t('filters.toggle')}
+      </button>
+
+      {/* Panel */}
+      {open && (
+        <form
+          id="discover-filters"
+          onSubmit={handleSubmit}
+          className="mt-4 bg-white/40 backdrop-blur-lg rounded-lg p-4 md:p-6 text-black space-y-6"
+        >
+          {/* Genres */}
+          <fieldset>
+            <legend className="font-semibold mb-2">{t('filters.genres')}</legend>
+            <p className="text-sm text-gray-700 mb-3">{t('filters.genresHint')}</p>
+            {genreError ? (
+              <p className="text-red-600 text-sm">
+                {t('filters.genresError')}{' '}
+                <button type="button" onClick={() => loadGenres()} className="underline">
+                  {t('filters.genresRetry')}
+                </button>
+              </p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {genres.map((genre) => {
+                  const state = getGenreState(genre.id);
+                  return (
+                    <button
+                      key={genre.id}
+                      type="button"
+                      onClick={() => cycleGenre(genre.id)}
+                      aria-label={t(`filters.genreState.${state}`, { genre: genre.name })}
+                      className={`px-3 py-1 rounded-full text-sm transition-colors duration-200
+                        ${state === 'include' ? 'bg-green-600 text-white' : ''}
+                        ${state === 'exclude' ? 'bg-red-600 text-white line-through' : ''}
+                        ${state === 'any' ? 'bg-black text-white hover:bg-black/70' : ''}`}
+                    >
+                      {state === 'include' && '+ '}
+                      {state === 'exclude' && '− '}
+                      {genre.name}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </fieldset>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            {/* Release Year */}
+            <fieldset>
+              <legend className="font-semibold mb-2">{t('filters.releaseYear')}</legend>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="1870"
+                  max={CURRENT_YEAR + 5}
+                  placeholder={t('filters.from')}
+                  aria-label={t('filters.yearFrom')}
+                  value={draft.yearFrom}
+                  onChange={(e) => updateDraft('yearFrom', e.target.value)}
+                  className={inputClassName}
+                />
+                <span aria-hidden="true">–</span>
+                <input
+                  type="number"
+                  min="1870"
+                  max={CURRENT_YEAR + 5}
+                  placeholder={t('filters.to')}
+                  aria-label={t('filters.yearTo')}
+                  value={draft.yearTo}
+                  onChange={(e) => updateDraft('yearTo', e.target.value)}
+                  className={inputClassName}
+                />
+              </div>
+            </fieldset>
+
+            {/* Rating & Votes */}
+            <fieldset>
+              <legend className="font-semibold mb-2">{t('filters.rating')}</legend>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  max="10"
+                  step="0.5"
+                  placeholder={t('filters.minRating')}
+                  aria-label={t('filters.minRatingLabel')}
+                  value={draft.minRating}
+                  onChange={(e) => updateDraft('minRating', e.target.value)}
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="50"
+                  placeholder={t('filters.minVotes')}
+                  aria-label={t('filters.minVotesLabel')}
+                  value={draft.minVotes}
+                  onChange={(e) => updateDraft('minVotes', e.target.value)}
+                  className={inputClassName}
+                />
+              </div>
+            </fieldset>
+
+            {/* Runtime */}
+            <fieldset>
+              <legend className="font-semibold mb-2">{t('filters.runtime')}</legend>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="10"
+                  placeholder={t('filters.min')}
+                  aria-label={t('filters.runtimeMinLabel')}
+                  value={draft.runtimeMin}
+                  onChange={(e) => updateDraft('runtimeMin', e.target.value)}
+                  className={inputClassName}
+                />
+                <span aria-hidden="true">–</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="10"
+                  placeholder={t('filters.max')}
+                  aria-label={t('filters.runtimeMaxLabel')}
+                  value={draft.runtimeMax}
+                  onChange={(e) => updateDraft('runtimeMax', e.target.value)}
+                  className={inputClassName}
+                />
+              </div>
+            </fieldset>
+
+            {/* Language */}
+            <label className="block">
+              <span className="block font-semibold mb-2">{t('filters.language')}</span>
+              <select
+                value={draft.language}
+                onChange={(e) => updateDraft('language', e.target.value)}
+                className={inputClassName}
+              >
+                <option value="">{t('filters.anyLanguage')}</option>
+                {LANGUAGE_OPTIONS.map((language) => (
+                  <option key={language.code} value={language.code}>
+                    {languageNames?.of(language.code) || language.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {/* Where to Watch */}
+          <fieldset>
+            <legend className="font-semibold mb-2">{t('filters.watch.title')}</legend>
+            <div className="flex flex-wrap items-center gap-4 mb-3">
+              <RegionSelect className="bg-white/60 text-black rounded-lg px-3 py-2 border border-black/30 focus:outline-none focus:border-highlight" />
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={onMyServices}
+                  disabled={services.length === 0}
+                  onChange={(e) => setOnMyServices(e.target.checked)}
+                  className="w-4 h-4 accent-highlight"
+                />
+                {t('filters.watch.onMyServices')}
+              </label>
+            </div>
+            <p className="text-sm text-gray-700 mb-3">{t('filters.watch.hint')}</p>
+            <div className="flex flex-wrap gap-2">
+              {watchProviders.map((provider) => {
+                const selected = hasService(provider.provider_id);
+                return (
+                  <button
+                    key={provider.provider_id}
+                    type="button"
+                    onClick={() => toggleService(provider.provider_id)}
+                    aria-pressed={selected}
+                    className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm transition-colors duration-200
+                      ${selected ? 'bg-highlight text-white' : 'bg-black text-white hover:bg-black/70'}`}
+                  >
+                    {provider.logo_path && (
+                      <img
+                        src={getImageUrl(provider.logo_path, 'w92')}
+                        alt=""
+                        className="w-5 h-5 rounded"
+                        loading="lazy"
+                      />
+                    )}
+                    {provider.provider_name}
+                  </button>
+                );
+              })}
+            </div>
+          </fieldset>
+
+          {/* Sort + Actions */}
+          <div className="flex flex-wrap items-end justify-between gap-4">
+            <label className="block">
+              <span className="block font-semibold mb-2">{t('common.sortBy')}</span>
+              <select
+                value={draft.sortBy}
+                onChange={(e) => updateDraft('sortBy', e.target.value)}
+                className={inputClassName}
+              >
+                {Object.entries(DISCOVER_SORT_OPTIONS).map(([value, option]) => (
+                  <option key={value} value={value}>
+                    {t(option.labelKey)}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={handleReset}
+                className="bg-secondary hover:bg-accent text-white px-6 py-2 rounded-lg transition-colors duration-300"
+              >
+                {t('filters.reset')}
+              </button>
+              <button
+                type="submit"
+                className="bg-highlight hover:bg-highlight/80 text-white px-6 py-2 rounded-lg transition-colors duration-300"
+              >
+                {t('filters.apply')}
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default FilterPanel;
@@ -0,0 +1,130 @@
+/**
+ * ImportReviewRow Component
+ *
+ * One imported row that needs a decision on the review screen
+ * Features:
+ * - Shows the row as it was in the file (title, year, rating)
+ * - Candidates found by the automatic match, as radio buttons with poster and year
+ * - Manual search when the right movie isn't listed
+ * - "Skip" leaves the row out of the import
+ *
+ * Props:
+ * @param {Object} row - Import row with { status, movie, candidates } (see services/importExport.js)
+ * @param {function} onResolve - Callback with the chosen movie, or null to skip the row
+ */
+
+import { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import { getImageUrl, searchMovies, searchTv, isAbortError } from '../services/api';
+import { MEDIA_TYPES, getMediaKey, getTitle, getReleaseYear } from '../services/media';
+import { MATCH_STATUS } from '../services/importExport';
+
+const ImportReviewRow = ({ row, onResolve }) => {
+  const { t } = useI18n();
+
+  // State management
+  const [query, setQuery] = useState(row.title || '');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+
+  const name = `import-row-${row.index}`;
+  const selectedKey = row.movie ? getMediaKey(row.movie) : null;
+  // Candidates first, then search results that aren't already listed
+  const options = [
+    ...row.candidates,
+    ...results.filter((item) => !row.candidates.some((candidate) => getMediaKey(candidate) === getMediaKey(item)))
+  ];
+
+  /**
+   * Search TMDB for the right movie (or show)
+   */
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    try {
+      setSearching(true);
+      setSearchError(null);
+      const isTv = row.mediaType === MEDIA_TYPES.TV;
+      const data = isTv ? await searchTv(query) : await searchMovies(query);
+      setResults(data.results.slice(0, 5).map((item) => ({ ...item, media_type: row.mediaType })));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setSearchError(err);
+      console.error('Error searching for an import row:', err);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <li className="bg-secondary rounded-lg p-4">
+      <p className="font-semibold mb-1">
+        {row.title || row.imdbId}
+        {row.year && <span className="text-gray-700 font-normal ml-2">{row.year}</span>}
+      </p>
+      <p className="text-sm text-gray-700 mb-3">
+        {row.status === MATCH_STATUS.AMBIGUOUS ? t('transfer.review.ambiguous') : t('transfer.review.unmatched')}
+      </p>
+
+      {/* Choices */}
+      <fieldset className="space-y-2 mb-3">
+        <legend className="sr-only">{t('transfer.review.choose', { title: row.title || row.imdbId })}</legend>
+        {options.map((item) => (
+          <label key={getMediaKey(item)} className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="radio"
+              name={name}
+              checked={selectedKey === getMediaKey(item)}
+              onChange={() => onResolve(item)}
+              className="accent-highlight"
+            />
+            <img
+              src={getImageUrl(item.poster_path, 'w92')}
+              alt=""
+              className="w-8 rounded"
+              loading="lazy"
+            />
+            <span>
+              {getTitle(item)}
+              {getReleaseYear(item) && <span className="text-gray-700 ml-2">{getReleaseYear(item)}</span>}
+            </span>
+          </label>
+        ))}
+        <label className="flex items-center gap-3 cursor-pointer">
+          <input
+            type="radio"
+            name={name}
+            checked={!row.movie}
+            onChange={() => onResolve(null)}
+            className="accent-highlight"
+          />
+          <span>{t('transfer.review.skip')}</span>
+        </label>
+      </fieldset>
+
+      {/* Manual Search */}
+      <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          aria-label={t('transfer.review.searchLabel')}
+          className="flex-1 min-w-0 bg-white/60 text-black rounded-lg px-3 py-2 border border-black/30
+                     focus:outline-none focus:border-highlight"
+        />
+        <button
+          type="submit"
+          disabled={searching}
+          className="bg-black hover:bg-black/70 text-white px-4 py-2 rounded-lg transition-colors duration-300
+                     disabled:opacity-50"
+        >
+          {searching ? t('common.loading') : t('search.button')}
+        </button>
+      </form>
+      {searchError && <p className="text-red-600 text-sm mt-2">{t('transfer.review.searchError')}</p>}
+    </li>
+  );
+};
+
+export default ImportReviewRow;
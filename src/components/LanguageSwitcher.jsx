@@ -0,0 +1,43 @@
+/**
+ * LanguageSwitcher Component
+ *
+ * Select for the UI language
+ * Features:
+ * - Lists every supported locale in its own language
+ * - The choice is saved and also used for TMDB data (translated titles and overviews)
+ * - Every component using useI18n re-renders right away; pages reload their data
+ */
+
+import useI18n from '../hooks/useI18n';
+import { LOCALES } from '../services/i18n';
+
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="flex items-center gap-2 text-black">
+      <span className="sr-only">{t('common.language')}</span>
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M3 5h12M9 3v2m1.048 9.5A18.022 18.022 0 016.412 9m6.088 9h7M11 21l5-10 5 10M12.751 5C11.783 10.77 8.07 15.61 3 18.129"
+        />
+      </svg>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="bg-secondary text-white rounded-lg px-2 py-1 border border-black/50"
+      >
+        {LOCALES.map((option) => (
+          <option key={option.code} value={option.code} lang={option.code}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,89 @@
+/**
+ * ListToggleButton Component
+ *
+ * Adds a movie or TV show to (or removes it from) the watchlist or favorites
+ * Features:
+ * - Icon-only variant for movie cards, labelled variant for the detail page
+ * - Filled icon when the movie is saved
+ * - aria-pressed for screen readers
+ * - Doesn't trigger the parent card's click handler
+ *
+ * Props:
+ * @param {string} list - LISTS.WATCHLIST or LISTS.FAVORITES
+ * @param {Object} movie - Movie or TV show to save
+ * @param {boolean} compact - Icon-only button (for cards)
+ * @param {number} tabIndex - Tab index of the icon-only button (follows the card's roving focus)
+ */
+
+import useWatchlist from '../hooks/useWatchlist';
+import useI18n from '../hooks/useI18n';
+import { LISTS } from '../services/watchlist';
+import { getMediaType, getTitle } from '../services/media';
+
+// Labels are message keys: lists.<list>.add / .remove / .saved
+const LIST_CONTENT = {
+  [LISTS.WATCHLIST]: {
+    icon: 'M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z'
+  },
+  [LISTS.FAVORITES]: {
+    icon: 'M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z'
+  }
+};
+
+const ListToggleButton = ({ list, movie, compact = false, tabIndex }) => {
+  const { isSaved, toggle } = useWatchlist();
+  const { t } = useI18n();
+  const saved = isSaved(list, movie.id, getMediaType(movie));
+  const content = LIST_CONTENT[list];
+  const actionLabel = t(`lists.${list}.${saved ? 'remove' : 'add'}`);
+
+  // Don't open the movie when the button sits inside a clickable card
+  const handleClick = (e) => {
+    e.stopPropagation();
+    toggle(list, movie);
+  };
+
+  const icon = (
+    <svg
+      className="w-5 h-5"
+      fill={saved ? 'currentColor' : 'none'}
+      stroke="currentColor"
+      viewBox="0 0 24 24"
+      aria-hidden="true"
+    >
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={content.icon} />
+    </svg>
+  );
+
+  if (compact) {
+    return (
+      <button
+        type="button"
+        onClick={handleClick}
+        tabIndex={tabIndex}
+        aria-pressed={saved}
+        aria-label={`${actionLabel}: ${getTitle(movie)}`}
+        title={actionLabel}
+        className={`bg-black/80 backdrop-blur-sm rounded-full p-2 transition-colors duration-300
+                    ${saved ? 'text-highlight' : 'text-white hover:text-highlight'}`}
+      >
+        {icon}
+      </button>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-pressed={saved}
+      className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors duration-300
+                  ${saved ? 'bg-highlight text-white' : 'bg-secondary text-white hover:bg-accent'}`}
+    >
+      {icon}
+      <span>{saved ? t(`lists.${list}.saved`) : actionLabel}</span>
+    </button>
+  );
+};
+
+export default ListToggleButton;
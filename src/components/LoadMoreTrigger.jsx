@@ -0,0 +1,76 @@
+/**
+ * LoadMoreTrigger Component
+ *
+ * Placed under a movie grid to load the next page of results
+ * Features:
+ * - Infinite scroll: loads automatically when scrolled into view
+ * - "Load More" button fallback (no IntersectionObserver, or user preference)
+ * - Spinner while the next page is loading
+ * - End-of-results message once every page is loaded
+ *
+ * Props:
+ * @param {function} onLoadMore - Callback to load the next page
+ * @param {boolean} hasMore - Whether there are more pages to load
+ * @param {boolean} loading - Whether the next page is currently loading
+ * @param {string} rootMargin - How far before the viewport edge to start loading
+ */
+
+import { useEffect, useRef } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import useI18n from '../hooks/useI18n';
+
+const LoadMoreTrigger = ({ onLoadMore, hasMore, loading, rootMargin = '600px' }) => {
+  const { t } = useI18n();
+  const sentinelRef = useRef(null);
+
+  /**
+   * Observe the sentinel and load the next page when it comes into view
+   * Re-subscribes after each load so a short page keeps filling the screen
+   */
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!hasMore || loading || !node || typeof IntersectionObserver === 'undefined') {
+      return;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          onLoadMore();
+        }
+      },
+      { rootMargin }
+    );
+
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [onLoadMore, hasMore, loading, rootMargin]);
+
+  // Nothing left to load
+  if (!hasMore) {
+    return (
+      <p className="text-center text-gray-500 py-8">
+        {t('loadMore.end')}
+      </p>
+    );
+  }
+
+  return (
+    <div ref={sentinelRef} className="flex justify-center py-8">
+      {loading ? (
+        <LoadingSpinner />
+      ) : (
+        <button
+          type="button"
+          onClick={onLoadMore}
+          className="bg-highlight hover:bg-highlight/80 text-white px-6 py-3 rounded-lg
+                     transition-colors duration-300"
+        >
+          {t('loadMore.button')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LoadMoreTrigger;
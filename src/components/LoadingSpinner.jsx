@@ -3,17 +3,33 @@
  * 
  * A reusable loading indicator component
  * Displays an animated spinner while content is loading
+ * Shows "Retrying..." while a request is waiting to be retried (rate limit, server error)
  */
 
+import useRetryState from '../hooks/useRetryState';
+import useI18n from '../hooks/useI18n';
+
 const LoadingSpinner = () => {
+  const { retrying, attempt } = useRetryState();
+  const { t } = useI18n();
+
   return (
-    <div className="flex justify-center items-center py-12">
+    <div className="flex flex-col justify-center items-center py-12 gap-4" role="status">
       <div className="relative">
         {/* Outer spinning ring */}
         <div className="w-16 h-16 border-4 border-gray-300 border-t-highlight rounded-full animate-spin"></div>
         {/* Inner pulsing circle */}
         <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 w-8 h-8 bg-highlight rounded-full animate-pulse"></div>
       </div>
+
+      {/* Retry status */}
+      {retrying > 0 ? (
+        <p className="text-gray-400 text-sm" aria-live="polite">
+          {t('common.retrying', { attempt })}
+        </p>
+      ) : (
+        <span className="sr-only">{t('common.loading')}</span>
+      )}
     </div>
   );
 };
@@ -1,54 +1,97 @@
 /**
  * MovieCard Component
  * 
- * Displays a single movie card with poster, title, and rating
+ * Displays a single movie (or TV show, or person) card with poster, title, and rating
  * Features:
+ * - Works with movie fields (title, release_date) and TV fields (name, first_air_date)
+ * - People (from multi search) show their profile picture and department, without rating or toggles
+ * - Optional media type badge (Movie / TV / Person) for mixed result lists
+ * - Responsive poster (srcset, blur-up placeholder, local fallback - see ResponsiveImage)
  * - Hover effects with scale animation
- * - Star rating display
+ * - Star rating display, plus the user's own rating for movies they rated (see services/diary.js)
+ * - Watchlist / favorites toggles, and "add to compare" for movies
  * - Responsive design
- * - Click handler for navigation to movie details
+ * - The title is a real button stretched over the whole card (click, Enter or Space opens the details);
+ *   the toggles sit on top of it as separate buttons
+ * - "w" toggles the watchlist while the card has focus (a global shortcut, see services/shortcuts.js)
+ * - Roving focus support: tabIndex and ref are passed to the title button (see MovieList)
  * 
  * Props:
- * @param {Object} movie - Movie object containing id, title, poster_path, vote_average
- * @param {function} onClick - Callback function when card is clicked
+ * @param {Object} movie - Movie, TV show or person containing id, title/name, poster_path/profile_path, vote_average
+ * @param {function} onClick - Callback function when card is clicked, receives (id, movie)
+ * @param {boolean} showTypeBadge - Show the media type badge (default: false)
+ * @param {string} imageSizes - Rendered poster width for the srcset (default: the MovieList grid columns)
+ * @param {number} tabIndex - Tab index of the card and its toggles (default: 0; -1 outside the roving focus)
+ * @param {Object|function} ref - Ref to the title button, the card's focus target
+ * @param {function} onFocus - Callback when the card (or one of its toggles) gets focus
  */
 
-import { getImageUrl, formatRating } from '../services/api';
+import { formatRating } from '../services/api';
+import { LISTS } from '../services/watchlist';
+import { MEDIA_TYPES, getMediaType, getTitle, getReleaseYear } from '../services/media';
+import useI18n from '../hooks/useI18n';
+import useDiary from '../hooks/useDiary';
+import useWatchlist from '../hooks/useWatchlist';
+import useShortcuts from '../hooks/useShortcuts';
+import ListToggleButton from './ListToggleButton';
+import ResponsiveImage from './ResponsiveImage';
+import CompareButton from './CompareButton';
+
+// Poster width in the MovieList grid (1 to 6 columns)
+const GRID_IMAGE_SIZES =
+  '(min-width: 1536px) 16vw, (min-width: 1280px) 20vw, (min-width: 1024px) 25vw, (min-width: 768px) 33vw, (min-width: 640px) 50vw, 100vw';
+
+const MovieCard = ({
+  movie,
+  onClick,
+  showTypeBadge = false,
+  imageSizes = GRID_IMAGE_SIZES,
+  tabIndex = 0,
+  ref,
+  onFocus
+}) => {
+  const { t } = useI18n();
+  const { getRecord } = useDiary();
+  const { toggle } = useWatchlist();
+  const { enabled: shortcutsEnabled } = useShortcuts();
+  const mediaType = getMediaType(movie);
+  const isPerson = mediaType === MEDIA_TYPES.PERSON;
+  const title = getTitle(movie);
+  const year = getReleaseYear(movie);
+  const subtitle = isPerson ? movie.known_for_department : year;
+  // Personal ratings are only kept for movies
+  const myRating = mediaType === MEDIA_TYPES.MOVIE ? getRecord(movie.id)?.rating : null;
 
-const MovieCard = ({ movie, onClick }) => {
   // Handle card click
   const handleClick = () => {
     if (onClick) {
-      onClick(movie.id);
+      onClick(movie.id, movie);
     }
   };
 
-  // Handle keyboard navigation (accessibility)
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' || e.key === ' ') {
-      e.preventDefault();
-      handleClick();
-    }
+  // "w" shortcut: toggle the watchlist of the focused card (Enter and Space are native to the button)
+  const handleKeyDown = (e) => {
+    if (e.key !== 'w' || isPerson || !shortcutsEnabled || e.ctrlKey || e.altKey || e.metaKey) return;
+    e.preventDefault();
+    toggle(LISTS.WATCHLIST, movie);
   };
 
   return (
-    <div
-      onClick={handleClick}
-      onKeyPress={handleKeyPress}
-      role="button"
-      tabIndex={0}
-      className="group cursor-pointer bg-secondary rounded-lg overflow-hidden 
-                 shadow-lg hover:shadow-2xl transform hover:scale-105 
+    <article
+      onFocus={onFocus}
+      className="group relative cursor-pointer bg-secondary rounded-lg overflow-hidden 
+                 shadow-lg hover:shadow-2xl transform hover:scale-105 focus-within:scale-105
                  transition-all duration-300 ease-in-out"
-      aria-label={`View details for ${movie.title}`}
     >
       {/* Movie Poster */}
       <div className="relative aspect-[2/3] overflow-hidden bg-accent">
-        <img
-          src={getImageUrl(movie.poster_path, 'w500')}
-          alt={`${movie.title} poster`}
-          className="w-full h-full object-cover group-hover:opacity-75 transition-opacity duration-300"
-          loading="lazy"
+        <ResponsiveImage
+          path={isPerson ? movie.profile_path : movie.poster_path}
+          type={isPerson ? 'profile' : 'poster'}
+          sizes={imageSizes}
+          alt={isPerson ? title : t('common.poster', { title })}
+          className="w-full h-full"
+          imgClassName="group-hover:opacity-75"
         />
         
         {/* Overlay on hover */}
@@ -56,42 +99,99 @@ const MovieCard = ({ movie, onClick }) => {
                         opacity-0 group-hover:opacity-100 transition-opacity duration-300">
           <div className="absolute bottom-0 left-0 right-0 p-4">
             <p className="text-white text-sm line-clamp-3">
-              {movie.overview || 'No description available'}
+              {isPerson
+                ? movie.known_for?.length > 0
+                  ? t('movieCard.knownFor', { titles: movie.known_for.map(getTitle).join(', ') })
+                  : t('movieCard.noKnownFor')
+                : movie.overview || t('movieCard.noDescription')}
             </p>
           </div>
         </div>
 
-        {/* Rating Badge */}
-        <div className="absolute top-2 right-2 bg-black/80 backdrop-blur-sm rounded-full 
-                        px-2 py-1 flex items-center gap-1">
-          <svg
-            className="w-4 h-4 text-yellow-400"
-            fill="currentColor"
-            viewBox="0 0 20 20"
-          >
-            <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-          </svg>
-          <span className="text-white text-sm font-semibold">
-            {formatRating(movie.vote_average)}
+        {/* Media Type Badge */}
+        {showTypeBadge && (
+          <span className="absolute bottom-2 left-2 bg-highlight text-white text-xs font-semibold
+                           uppercase tracking-wide rounded-full px-2 py-1 group-hover:opacity-0
+                           transition-opacity duration-300">
+            {t(`mediaType.${mediaType}`)}
           </span>
-        </div>
+        )}
+
+        {!isPerson && (
+          <>
+            {/* Watchlist / Favorites / Compare Toggles (above the stretched title button) */}
+            <div className="absolute top-2 left-2 z-10 flex gap-2">
+              <ListToggleButton list={LISTS.WATCHLIST} movie={movie} tabIndex={tabIndex} compact />
+              <ListToggleButton list={LISTS.FAVORITES} movie={movie} tabIndex={tabIndex} compact />
+              {mediaType === MEDIA_TYPES.MOVIE && <CompareButton movie={movie} tabIndex={tabIndex} compact />}
+            </div>
+
+            {/* Rating Badges */}
+            <div className="absolute top-2 right-2 flex flex-col items-end gap-1">
+              {/* TMDB Rating */}
+              <div className="bg-black/80 backdrop-blur-sm rounded-full 
+                              px-2 py-1 flex items-center gap-1">
+                <svg
+                  className="w-4 h-4 text-yellow-400"
+                  fill="currentColor"
+                  viewBox="0 0 20 20"
+                >
+                  <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                </svg>
+                <span className="text-white text-sm font-semibold">
+                  {formatRating(movie.vote_average)}
+                </span>
+              </div>
+
+              {/* My Rating Badge */}
+              {myRating && (
+                <div
+                  className="bg-highlight rounded-full px-2 py-1 flex items-center gap-1"
+                  title={t('diary.yourRating')}
+                >
+                  <svg className="w-4 h-4 text-white" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+                    <path d="M10 9a3 3 0 100-6 3 3 0 000 6zm-7 9a7 7 0 1114 0H3z" />
+                  </svg>
+                  <span className="text-white text-sm font-semibold">
+                    <span className="sr-only">{t('diary.yourRating')}: </span>
+                    {formatRating(myRating)}
+                    <span className="text-white/70 text-xs">/5</span>
+                  </span>
+                </div>
+              )}
+            </div>
+          </>
+        )}
       </div>
 
       {/* Movie Info */}
       <div className="p-4 flex flex-col justify-between h-30">
         <h3 className="text-black font-semibold text-lg line-clamp-2 mb-2 
                        group-hover:text-highlight transition-colors duration-300">
-          {movie.title}
+          {/* The ::after overlay makes the whole card clickable */}
+          <button
+            ref={ref}
+            type="button"
+            onClick={handleClick}
+            onKeyDown={handleKeyDown}
+            tabIndex={tabIndex}
+            aria-label={t('movieCard.viewDetails', { title })}
+            aria-keyshortcuts={!isPerson && shortcutsEnabled ? 'w' : undefined}
+            className="text-left cursor-pointer focus:outline-none after:absolute after:inset-0 after:rounded-lg
+                       focus-visible:after:ring-4 focus-visible:after:ring-inset focus-visible:after:ring-highlight"
+          >
+            {title}
+          </button>
         </h3>
         
-        {/* Release Year */}
-        {movie.release_date && (
+        {/* Release Year (department for people) */}
+        {subtitle && (
           <p className="text-gray-400 text-sm">
-            {new Date(movie.release_date).getFullYear()}
+            {subtitle}
           </p>
         )}
       </div>
-    </div>
+    </article>
   );
 };
 
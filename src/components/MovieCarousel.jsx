@@ -0,0 +1,168 @@
+/**
+ * MovieCarousel Component
+ *
+ * Horizontal row of movie cards (e.g. "Recommended", "Similar")
+ * Features:
+ * - Lazy: nothing is fetched until the row scrolls into view
+ * - Reuses MovieCard (watchlist toggles, ratings...)
+ * - Touch scrolling with snap points, arrow buttons on larger screens
+ * - Keyboard: the row is focusable (arrow keys scroll it) and every card is tabbable
+ * - Loading, error (with retry) and empty states
+ *
+ * Props:
+ * @param {string} title - Section heading
+ * @param {function} loadMovies - (signal) => Promise of a paged result ({ results, ... })
+ * @param {function} onMovieClick - Callback when a movie card is clicked
+ * @param {string} emptyMessage - Message when there are no movies
+ *
+ * Give the carousel a key tied to its source (e.g. the movie ID and locale) so it reloads when that changes.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import MovieCard from './MovieCard';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorState from './ErrorState';
+import useI18n from '../hooks/useI18n';
+import { isAbortError } from '../services/api';
+
+const CAROUSEL_LIMIT = 20;
+
+const MovieCarousel = ({ title, loadMovies, onMovieClick, emptyMessage }) => {
+  const { t } = useI18n();
+
+  // State management
+  // Without IntersectionObserver there is no way to wait, so load right away
+  const [visible, setVisible] = useState(() => typeof IntersectionObserver === 'undefined');
+  const [movies, setMovies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Incremented by the retry button; the effect reloads the row, cancellable on unmount
+  const [retryKey, setRetryKey] = useState(0);
+
+  const sectionRef = useRef(null);
+  const scrollerRef = useRef(null);
+
+  /**
+   * Wait until the section is about to scroll into view
+   */
+  useEffect(() => {
+    const node = sectionRef.current;
+    if (visible || !node) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          setVisible(true);
+        }
+      },
+      { rootMargin: '200px' }
+    );
+
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [visible]);
+
+  /**
+   * Load the movies once the section is visible (and again on retry)
+   */
+  useEffect(() => {
+    if (!visible) return;
+
+    const controller = new AbortController();
+    load(controller.signal);
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visible, retryKey]);
+
+  /**
+   * Fetch the movies for this row
+   * @param {AbortSignal} signal - Signal to cancel the request
+   */
+  const load = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await loadMovies(signal);
+      setMovies(data.results.slice(0, CAROUSEL_LIMIT));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setError(err);
+      console.error(`Error loading ${title}:`, err);
+    } finally {
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  /**
+   * Scroll the row by most of its visible width
+   * @param {number} direction - -1 for back, 1 for forward
+   */
+  const scrollByPage = (direction) => {
+    const scroller = scrollerRef.current;
+    if (!scroller) return;
+    scroller.scrollBy({ left: direction * scroller.clientWidth * 0.8, behavior: 'smooth' });
+  };
+
+  return (
+    <section ref={sectionRef} className="mt-12 text-black" aria-label={title}>
+      {/* Heading + Arrows */}
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold">{title}</h2>
+        {movies.length > 0 && (
+          <div className="hidden md:flex gap-2">
+            <button
+              type="button"
+              onClick={() => scrollByPage(-1)}
+              aria-label={t('carousel.back', { title })}
+              className="bg-secondary hover:bg-accent text-white p-2 rounded-full transition-colors duration-300"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+            </button>
+            <button
+              type="button"
+              onClick={() => scrollByPage(1)}
+              aria-label={t('carousel.forward', { title })}
+              className="bg-secondary hover:bg-accent text-white p-2 rounded-full transition-colors duration-300"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+              </svg>
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!visible || loading ? (
+        <div className="h-64 flex items-center justify-center">
+          {visible && <LoadingSpinner />}
+        </div>
+      ) : error ? (
+        <ErrorState error={error} onRetry={() => setRetryKey((key) => key + 1)} compact />
+      ) : movies.length === 0 ? (
+        <p className="text-gray-700">{emptyMessage || t('carousel.empty')}</p>
+      ) : (
+        /* Scrollable Row */
+        <div
+          ref={scrollerRef}
+          tabIndex={0}
+          role="region"
+          aria-label={t('carousel.region', { title })}
+          className="flex gap-4 overflow-x-auto snap-x snap-mandatory px-1 py-3 -mx-1
+                     focus:outline-none focus:ring-2 focus:ring-highlight rounded-lg"
+        >
+          {movies.map((movie) => (
+            <div key={movie.id} className="flex-shrink-0 w-40 md:w-48 snap-start">
+              <MovieCard movie={movie} onClick={onMovieClick} imageSizes="(min-width: 768px) 192px, 160px" />
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default MovieCarousel;
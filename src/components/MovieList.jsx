@@ -4,17 +4,72 @@
  * Displays a grid of movie cards
  * Features:
  * - Responsive grid layout (1-6 columns based on screen size)
+ * - Roving focus: the grid is one Tab stop; arrow keys move between cards in two dimensions,
+ *   following the column count the grid currently renders. Home / End go to the start / end
+ *   of the row, Ctrl+Home / Ctrl+End to the first / last card
  * - Empty state when no movies
  * - Proper spacing and alignment
  * 
  * Props:
  * @param {Array} movies - Array of movie objects to display
  * @param {function} onMovieClick - Callback function when a movie card is clicked
+ * @param {string} emptyTitle - Optional title for the empty state (default: translated "No Movies Found")
+ * @param {string} emptyMessage - Optional message for the empty state
+ * @param {boolean} showTypeBadges - Badge each card with its media type (mixed results)
  */
 
+import { useState, useRef } from 'react';
 import MovieCard from './MovieCard';
+import { getMediaKey } from '../services/media';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * Count the columns a grid renders right now (the Tailwind breakpoints decide)
+ * @param {HTMLElement} grid - Grid element
+ * @returns {number} Column count (at least 1)
+ */
+const getColumnCount = (grid) =>
+  Math.max(1, window.getComputedStyle(grid).gridTemplateColumns.split(' ').filter(Boolean).length);
+
+/**
+ * Index of the card a key moves to
+ * @param {string} key - KeyboardEvent.key
+ * @param {boolean} ctrlKey - Whether Ctrl (or Meta) is held
+ * @param {number} index - Current card
+ * @param {number} count - Number of cards
+ * @param {number} columns - Current column count
+ * @returns {number|null} Target index, or null when the key doesn't move
+ */
+const getTargetIndex = (key, ctrlKey, index, count, columns) => {
+  const rowStart = index - (index % columns);
+  const lastRowStart = count - 1 - ((count - 1) % columns);
+  switch (key) {
+    case 'ArrowRight':
+      return Math.min(index + 1, count - 1);
+    case 'ArrowLeft':
+      return Math.max(index - 1, 0);
+    case 'ArrowDown':
+      // From the row above a shorter last row, land on its last card
+      return rowStart < lastRowStart ? Math.min(index + columns, count - 1) : index;
+    case 'ArrowUp':
+      return index >= columns ? index - columns : index;
+    case 'Home':
+      return ctrlKey ? 0 : rowStart;
+    case 'End':
+      return ctrlKey ? count - 1 : Math.min(rowStart + columns - 1, count - 1);
+    default:
+      return null;
+  }
+};
+
+const MovieList = ({ movies, onMovieClick, emptyTitle, emptyMessage, showTypeBadges = false }) => {
+  const { t } = useI18n();
+  const gridRef = useRef(null);
+  const cardRefs = useRef([]);
+
+  // The card that is in the Tab order (kept inside the list when it shrinks, e.g. a new search)
+  const [activeIndex, setActiveIndex] = useState(0);
 
-const MovieList = ({ movies, onMovieClick }) => {
   // Show empty state if no movies
   if (!movies || movies.length === 0) {
     return (
@@ -32,27 +87,62 @@ const MovieList = ({ movies, onMovieClick }) => {
             d="M7 4v16M17 4v16M3 8h4m10 0h4M3 12h18M3 16h4m10 0h4M4 20h16a1 1 0 001-1V5a1 1 0 00-1-1H4a1 1 0 00-1 1v14a1 1 0 001 1z"
           />
         </svg>
-        <h3 className="text-xl text-gray-400 mb-2">No Movies Found</h3>
+        <h3 className="text-xl text-gray-400 mb-2">{emptyTitle || t('movieList.emptyTitle')}</h3>
         <p className="text-gray-500 text-center max-w-md">
-          We couldn't find any movies matching your search. Try different keywords or browse popular movies.
+          {emptyMessage || t('movieList.emptyMessage')}
         </p>
       </div>
     );
   }
 
+  const current = Math.min(activeIndex, movies.length - 1);
+
+  /**
+   * Arrow keys, Home and End on a card move the focus through the grid
+   * Keys pressed on a card's toggles are left alone
+   */
+  const handleKeyDown = (e) => {
+    const index = cardRefs.current.indexOf(e.target);
+    if (index < 0 || e.altKey || e.shiftKey) return;
+
+    const target = getTargetIndex(
+      e.key,
+      e.ctrlKey || e.metaKey,
+      index,
+      movies.length,
+      getColumnCount(gridRef.current)
+    );
+    if (target === null) return;
+
+    e.preventDefault();
+    setActiveIndex(target);
+    cardRefs.current[target]?.focus();
+  };
+
   return (
     <div className="w-full">
       {/* Responsive Grid Layout */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 
-                      gap-4 md:gap-6">
-        {movies.map((movie) => (
-          <MovieCard
-            key={movie.id}
-            movie={movie}
-            onClick={onMovieClick}
-          />
+      <ul
+        ref={gridRef}
+        onKeyDown={handleKeyDown}
+        className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 
+                   gap-4 md:gap-6"
+      >
+        {movies.map((movie, index) => (
+          <li key={getMediaKey(movie)}>
+            <MovieCard
+              ref={(node) => {
+                cardRefs.current[index] = node;
+              }}
+              movie={movie}
+              onClick={onMovieClick}
+              showTypeBadge={showTypeBadges}
+              tabIndex={index === current ? 0 : -1}
+              onFocus={() => setActiveIndex(index)}
+            />
+          </li>
         ))}
-      </div>
+      </ul>
     </div>
   );
 };
@@ -0,0 +1,26 @@
+/**
+ * OfflineBanner Component
+ *
+ * Thin banner shown at the top of every page while the browser is offline
+ * Explains why some pages can't load and that previously seen movies still work
+ */
+
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import useI18n from '../hooks/useI18n';
+
+const OfflineBanner = () => {
+  const online = useOnlineStatus();
+  const { t } = useI18n();
+
+  if (online) {
+    return null;
+  }
+
+  return (
+    <div role="status" className="bg-gray-800 text-white text-center text-sm px-4 py-2">
+      <strong>{t('offline.title')}</strong> {t('offline.message')}
+    </div>
+  );
+};
+
+export default OfflineBanner;
@@ -0,0 +1,50 @@
+/**
+ * RegionSelect Component
+ *
+ * Select for the watch region ("where to watch" differs per country)
+ * Features:
+ * - Country names in the UI language (Intl.DisplayNames)
+ * - The choice is saved and shared by every region select (see services/streaming.js)
+ * - A detected region outside the usual list is still offered
+ *
+ * Props:
+ * @param {string} className - Classes for the select element
+ */
+
+import { useMemo } from 'react';
+import useI18n from '../hooks/useI18n';
+import useStreaming from '../hooks/useStreaming';
+import { REGION_OPTIONS } from '../services/streaming';
+
+const RegionSelect = ({ className = '' }) => {
+  const { locale, t } = useI18n();
+  const { region, setRegion } = useStreaming();
+
+  // Country names in the UI language (falls back to the codes)
+  const regionNames = useMemo(
+    () => (typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames([locale], { type: 'region' }) : null),
+    [locale]
+  );
+
+  const options = useMemo(() => {
+    const codes = REGION_OPTIONS.includes(region) ? REGION_OPTIONS : [region, ...REGION_OPTIONS];
+    return codes
+      .map((code) => ({ code, label: regionNames?.of(code) || code }))
+      .sort((a, b) => a.label.localeCompare(b.label, locale));
+  }, [region, regionNames, locale]);
+
+  return (
+    <label className="flex items-center gap-2">
+      <span className="sr-only">{t('watch.region')}</span>
+      <select value={region} onChange={(e) => setRegion(e.target.value)} className={className}>
+        {options.map((option) => (
+          <option key={option.code} value={option.code}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default RegionSelect;
@@ -0,0 +1,69 @@
+/**
+ * ResponsiveImage Component
+ *
+ * TMDB image with responsive sources, a blur-up placeholder and a fallback
+ * Features:
+ * - srcset across TMDB's size ladder; the browser picks the width from `sizes`
+ * - The smallest version is shown blurred until the real image has loaded
+ * - Bundled SVG fallback when there is no image or it fails to load
+ * - Lazy loading by default; `priority` loads above-the-fold images first
+ *
+ * Props:
+ * @param {string} path - Image path from the API (e.g. poster_path), may be empty
+ * @param {string} type - Kind of image: 'poster' (default), 'backdrop', 'profile', 'still' or 'logo'
+ * @param {string} sizes - Rendered width for the srcset ("(min-width: 768px) 320px, 100vw")
+ * @param {string} alt - Alternative text
+ * @param {string} className - Classes of the wrapper (size, rounding, shadow...)
+ * @param {string} imgClassName - Extra classes for the image (hover effects...)
+ * @param {boolean} priority - Load right away with high priority (default: false)
+ */
+
+import { useState } from 'react';
+import { FALLBACK_IMAGE, getResponsiveImage } from '../services/images';
+
+const ResponsiveImage = ({ path, type = 'poster', sizes, alt, className = '', imgClassName = '', priority = false }) => {
+  // Paths that loaded / failed; compared with the current path so a new image starts over
+  const [loadedPath, setLoadedPath] = useState(null);
+  const [failedPath, setFailedPath] = useState(null);
+
+  const image = failedPath === path ? null : getResponsiveImage(path, type);
+  const loaded = loadedPath === path;
+
+  return (
+    <div className={`relative overflow-hidden bg-accent ${className}`}>
+      {image ? (
+        <>
+          {/* Blur-up Placeholder */}
+          {!loaded && (
+            <img
+              src={image.placeholder}
+              alt=""
+              aria-hidden="true"
+              loading={priority ? 'eager' : 'lazy'}
+              className="absolute inset-0 w-full h-full object-cover blur-lg scale-110"
+            />
+          )}
+
+          <img
+            src={image.src}
+            srcSet={image.srcSet}
+            sizes={sizes}
+            alt={alt}
+            loading={priority ? 'eager' : 'lazy'}
+            fetchPriority={priority ? 'high' : 'auto'}
+            decoding="async"
+            onLoad={() => setLoadedPath(path)}
+            onError={() => setFailedPath(path)}
+            className={`relative w-full h-full object-cover transition-opacity duration-500
+                        ${loaded ? 'opacity-100' : 'opacity-0'} ${imgClassName}`}
+          />
+        </>
+      ) : (
+        /* Fallback */
+        <img src={FALLBACK_IMAGE} alt={alt} className={`w-full h-full object-cover ${imgClassName}`} />
+      )}
+    </div>
+  );
+};
+
+export default ResponsiveImage;
@@ -1,36 +1,213 @@
 /**
  * SearchBar Component
- * 
- * A reusable search input component for movie search functionality
+ *
+ * A reusable search combobox for movie and TV show search
  * Features:
  * - Real-time search input
+ * - Title suggestions (poster thumbnail and year) after a short pause in typing
+ * - Recent searches, stored locally, shown when the input is focused and empty;
+ *   each one can be removed
+ * - Keyboard: Arrow Up / Down move through the list, Enter picks the highlighted option
+ *   (or submits the search), Escape closes the list (or clears the input when it is closed),
+ *   Delete removes the highlighted recent search
+ * - Global shortcuts (unless turned off): "/" focuses the input, Escape clears the search
+ * - ARIA combobox semantics (listbox, active descendant, announced result count)
  * - Clear button when text is entered
  * - Responsive design
- * - Accessible with proper labels
- * 
+ *
  * Props:
  * @param {string} value - Current search query value
  * @param {function} onChange - Callback function when search input changes
- * @param {function} onSearch - Callback function when search is submitted
- * @param {string} placeholder - Placeholder text for the input
+ * @param {function} onSearch - Callback with the query when a search is submitted
+ * @param {function} onSelect - Callback with the movie / show when a suggestion is picked
+ *                              (optional; without it the title is searched for)
+ * @param {string} mediaType - What suggestions are for: 'movie' (default) or 'tv'
+ * @param {string} placeholder - Placeholder text for the input (default: "Search movies...", translated)
  */
 
-const SearchBar = ({ value, onChange, onSearch, placeholder = "Search movies..." }) => {
+import { useState, useEffect, useRef, useId } from 'react';
+import useI18n from '../hooks/useI18n';
+import useSearchHistory from '../hooks/useSearchHistory';
+import useShortcuts from '../hooks/useShortcuts';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import { getImageUrl, searchMovies, searchTv, isAbortError } from '../services/api';
+import { MEDIA_TYPES, getTitle, getReleaseYear } from '../services/media';
+
+// Wait this long after the last key before fetching suggestions
+const SUGGESTION_DELAY = 250;
+// Shorter queries match too much to be useful
+const MIN_SUGGESTION_LENGTH = 2;
+const MAX_SUGGESTIONS = 6;
+
+const SearchBar = ({ value, onChange, onSearch, onSelect, mediaType = MEDIA_TYPES.MOVIE, placeholder }) => {
+  const { t } = useI18n();
+  const { recent, add: addRecent, remove: removeRecent } = useSearchHistory();
+  const { enabled: shortcutsEnabled } = useShortcuts();
+  const listboxId = useId();
+  const inputRef = useRef(null);
+
+  // State management
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [suggestions, setSuggestions] = useState([]);
+
+  const query = value.trim();
+  const showRecent = query === '';
+  // Recent searches for an empty input, title suggestions otherwise
+  const options = showRecent
+    ? recent.map((text) => ({ type: 'recent', text }))
+    : query.length >= MIN_SUGGESTION_LENGTH
+      ? suggestions.map((item) => ({ type: 'title', item }))
+      : [];
+  const expanded = open && options.length > 0;
+  const active = expanded && activeIndex < options.length ? activeIndex : -1;
+  const optionId = (index) => `${listboxId}-option-${index}`;
+
+  /**
+   * Fetch title suggestions once typing pauses
+   * The previous suggestions stay visible until the new ones arrive
+   */
+  useEffect(() => {
+    if (query.length < MIN_SUGGESTION_LENGTH) return;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(async () => {
+      try {
+        const search = mediaType === MEDIA_TYPES.TV ? searchTv : searchMovies;
+        const data = await search(query, 1, { signal: controller.signal });
+        setSuggestions(data.results.slice(0, MAX_SUGGESTIONS).map((item) => ({ ...item, media_type: mediaType })));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error loading search suggestions:', err);
+        setSuggestions([]);
+      }
+    }, SUGGESTION_DELAY);
+
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [query, mediaType]);
+
+  /**
+   * Close the list and forget the highlighted option
+   */
+  const close = () => {
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  /**
+   * Run a search: remember it and hand it to the page
+   * @param {string} text - Search query
+   */
+  const search = (text) => {
+    addRecent(text);
+    close();
+    if (onSearch) {
+      onSearch(text);
+    }
+  };
+
+  /**
+   * Pick an option: search again for a recent query, or open a suggested title
+   * @param {Object} option - { type: 'recent', text } or { type: 'title', item }
+   */
+  const choose = (option) => {
+    if (option.type === 'recent') {
+      onChange({ target: { value: option.text } });
+      search(option.text);
+      return;
+    }
+    if (onSelect) {
+      addRecent(value);
+      close();
+      onSelect(option.item);
+      return;
+    }
+    const title = getTitle(option.item);
+    onChange({ target: { value: title } });
+    search(title);
+  };
+
+  // Global shortcuts; Escape inside the input is handled by handleKeyDown
+  useKeyboardShortcuts({
+    '/': () => inputRef.current?.focus(),
+    Escape: () => {
+      if (value) {
+        onChange({ target: { value: '' } });
+      }
+    }
+  });
+
   // Handle form submission
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (onSearch) {
-      onSearch();
-    }
+    search(value);
+  };
+
+  // Handle typing: reopen the list with nothing highlighted
+  const handleChange = (e) => {
+    setOpen(true);
+    setActiveIndex(-1);
+    onChange(e);
   };
 
-  // Handle clear button click
+  // Handle clear button click (focus stays in the input, showing recent searches)
   const handleClear = () => {
     onChange({ target: { value: '' } });
+    setActiveIndex(-1);
+    inputRef.current?.focus();
+  };
+
+  /**
+   * Keyboard support for the combobox
+   */
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setOpen(true);
+        if (options.length > 0) {
+          setActiveIndex(active < 0 ? 0 : (active + 1) % options.length);
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setOpen(true);
+        if (options.length > 0) {
+          setActiveIndex(active <= 0 ? options.length - 1 : active - 1);
+        }
+        break;
+      case 'Enter':
+        // Without a highlighted option the form submits the typed query
+        if (active >= 0) {
+          e.preventDefault();
+          choose(options[active]);
+        }
+        break;
+      case 'Escape':
+        if (expanded) {
+          e.preventDefault();
+          close();
+        } else if (value) {
+          e.preventDefault();
+          onChange({ target: { value: '' } });
+        }
+        break;
+      case 'Delete':
+        if (active >= 0 && options[active].type === 'recent') {
+          e.preventDefault();
+          removeRecent(options[active].text);
+        }
+        break;
+      default:
+        break;
+    }
   };
 
   return (
-    <form onSubmit={handleSubmit} className="w-full max-w-2xl mx-auto">
+    <form onSubmit={handleSubmit} className="w-full max-w-2xl mx-auto" role="search">
       <div className="relative">
         {/* Search Icon */}
         <div className="absolute inset-y-0 left-0 flex items-center pl-4 pointer-events-none">
@@ -51,14 +228,26 @@ const SearchBar = ({ value, onChange, onSearch, placeholder = "Search movies..."
 
         {/* Search Input */}
         <input
+          ref={inputRef}
           type="text"
+          role="combobox"
           value={value}
-          onChange={onChange}
-          placeholder={placeholder}
-          className="w-full pl-12 pr-12 py-3 bg-secondary border-2 border-accent text-black rounded-lg 
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onClick={() => setOpen(true)}
+          onBlur={close}
+          placeholder={placeholder || t('search.placeholder')}
+          autoComplete="off"
+          className="w-full pl-12 pr-12 py-3 bg-secondary border-2 border-accent text-black rounded-lg
                      focus:outline-none focus:border-highlight focus:ring-2 focus:ring-highlight/50
                      placeholder-gray-700 transition-all duration-300 border-black/50"
-          aria-label="Search movies"
+          aria-label={t('search.label')}
+          aria-autocomplete="list"
+          aria-keyshortcuts={shortcutsEnabled ? '/' : undefined}
+          aria-expanded={expanded}
+          aria-controls={listboxId}
+          aria-activedescendant={active >= 0 ? optionId(active) : undefined}
         />
 
         {/* Clear Button - Only show when there's text */}
@@ -67,7 +256,7 @@ const SearchBar = ({ value, onChange, onSearch, placeholder = "Search movies..."
             type="button"
             onClick={handleClear}
             className="absolute inset-y-0 right-0 flex items-center pr-4 text-gray-400 transition-colors duration-200"
-            aria-label="Clear search"
+            aria-label={t('search.clear')}
           >
             <svg
               className="w-5 h-5"
@@ -84,15 +273,93 @@ const SearchBar = ({ value, onChange, onSearch, placeholder = "Search movies..."
             </svg>
           </button>
         )}
+
+        {/* Suggestions / Recent Searches */}
+        {/* mousedown is cancelled so clicking an option doesn't blur (and close) the input */}
+        <div
+          className={`absolute left-0 right-0 top-full mt-2 z-20 bg-secondary border border-black/50 rounded-lg shadow-lg
+                      overflow-hidden ${expanded ? '' : 'hidden'}`}
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          {showRecent && (
+            <p id={`${listboxId}-label`} className="px-4 pt-3 pb-1 text-xs font-semibold uppercase text-gray-700">
+              {t('search.recent')}
+            </p>
+          )}
+          <ul
+            id={listboxId}
+            role="listbox"
+            aria-label={showRecent ? undefined : t('search.suggestions')}
+            aria-labelledby={showRecent ? `${listboxId}-label` : undefined}
+            className="py-1"
+          >
+            {options.map((option, index) => (
+              <li
+                key={option.type === 'recent' ? `recent:${option.text}` : `${option.item.media_type}:${option.item.id}`}
+                id={optionId(index)}
+                role="option"
+                aria-selected={index === active}
+                onClick={() => choose(option)}
+                onMouseMove={() => index !== active && setActiveIndex(index)}
+                className={`flex items-center gap-3 px-4 py-2 cursor-pointer text-black
+                            ${index === active ? 'bg-accent' : ''}`}
+              >
+                {option.type === 'recent' ? (
+                  <>
+                    <svg className="w-4 h-4 shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    <span className="flex-1 truncate">{option.text}</span>
+                    {/* Not in the tab order: the Delete key does the same from the input */}
+                    <button
+                      type="button"
+                      tabIndex={-1}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        removeRecent(option.text);
+                      }}
+                      className="text-gray-700 hover:text-black"
+                      aria-label={t('search.removeRecent', { query: option.text })}
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <img
+                      src={getImageUrl(option.item.poster_path, 'w92')}
+                      alt=""
+                      className="w-8 h-12 object-cover rounded shrink-0"
+                      loading="lazy"
+                    />
+                    <span className="flex-1 truncate">{getTitle(option.item)}</span>
+                    {getReleaseYear(option.item) && (
+                      <span className="text-sm text-gray-700">{getReleaseYear(option.item)}</span>
+                    )}
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Announce how many options there are */}
+        <p className="sr-only" role="status" aria-live="polite">
+          {expanded
+            ? t(showRecent ? 'search.recentCount' : 'search.suggestionCount', { count: options.length })
+            : ''}
+        </p>
       </div>
 
       {/* Optional: Search button for mobile */}
       <button
         type="submit"
         className="hidden" // Hidden but functional for accessibility
-        aria-label="Submit search"
+        aria-label={t('search.submit')}
       >
-        Search
+        {t('search.button')}
       </button>
     </form>
   );
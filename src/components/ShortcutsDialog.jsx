@@ -0,0 +1,111 @@
+/**
+ * ShortcutsDialog Component
+ *
+ * Accessible modal listing the keyboard shortcuts
+ * Features:
+ * - Global shortcuts and the keys that move through movie grids (see SHORTCUTS in services/shortcuts.js)
+ * - Switch to turn the global shortcuts on or off (stored locally)
+ * - Focus is trapped inside the dialog and returned to the opener on close
+ * - Closes on Escape, on the close button and on a click outside the dialog
+ *
+ * Props:
+ * @param {function} onClose - Callback to close the dialog
+ */
+
+import { useEffect, useRef } from 'react';
+import useFocusTrap from '../hooks/useFocusTrap';
+import useI18n from '../hooks/useI18n';
+import useShortcuts from '../hooks/useShortcuts';
+import { SHORTCUTS } from '../services/shortcuts';
+
+const ShortcutsDialog = ({ onClose }) => {
+  const { t } = useI18n();
+  const { enabled, setEnabled } = useShortcuts();
+
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef);
+
+  /**
+   * Close on Escape (whether or not the shortcuts are on)
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-dialog-title"
+        tabIndex={-1}
+        className="w-full max-w-lg max-h-full overflow-y-auto bg-secondary rounded-lg shadow-2xl text-black focus:outline-none"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between gap-4 px-4 py-3 border-b border-black/10">
+          <h2 id="shortcuts-dialog-title" className="text-lg md:text-xl font-bold">
+            {t('shortcuts.title')}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label={t('shortcuts.close')}
+            className="p-2 rounded-full hover:bg-black/10 transition-colors duration-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Shortcut List */}
+        <dl className="p-4 space-y-3">
+          {SHORTCUTS.map(({ keys, action, global }) => (
+            <div
+              key={action}
+              className={`flex items-center justify-between gap-4 ${global && !enabled ? 'opacity-50' : ''}`}
+            >
+              <dt className="flex flex-wrap gap-1">
+                {keys.map((key) => (
+                  <kbd key={key} className="min-w-8 text-center px-2 py-1 rounded bg-black/10 font-mono text-sm">
+                    {key}
+                  </kbd>
+                ))}
+              </dt>
+              <dd className="text-right">{t(`shortcuts.actions.${action}`)}</dd>
+            </div>
+          ))}
+        </dl>
+
+        {/* On / Off */}
+        <div className="px-4 py-3 border-t border-black/10">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+              className="w-4 h-4 accent-highlight"
+            />
+            {t('shortcuts.enable')}
+          </label>
+          <p className="mt-1 text-sm text-gray-700">{t('shortcuts.enableHint')}</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsDialog;
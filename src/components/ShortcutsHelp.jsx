@@ -0,0 +1,21 @@
+/**
+ * ShortcutsHelp Component
+ *
+ * Opens the keyboard shortcuts overlay when "?" is pressed (unless the shortcuts are turned off)
+ * Rendered once, in App, so the overlay is available on every page
+ */
+
+import { useState, useCallback } from 'react';
+import ShortcutsDialog from './ShortcutsDialog';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+
+const ShortcutsHelp = () => {
+  const [open, setOpen] = useState(false);
+  const close = useCallback(() => setOpen(false), []);
+
+  useKeyboardShortcuts({ '?': () => setOpen(true) });
+
+  return open ? <ShortcutsDialog onClose={close} /> : null;
+};
+
+export default ShortcutsHelp;
@@ -0,0 +1,120 @@
+/**
+ * StarRating Component
+ *
+ * Five stars with half-star precision, to show or pick a personal rating
+ * Features:
+ * - Click the left or right half of a star; clicking the current rating clears it
+ * - Hover previews the rating
+ * - Keyboard: it is a slider (arrow keys change it by half a star, Home / Delete clear it, End = 5 stars)
+ * - Read-only when no onChange is given
+ *
+ * Props:
+ * @param {number|null} value - Rating from 0.5 to 5 (null = not rated)
+ * @param {function} onChange - Callback with the new rating (or null); omit for a read-only display
+ * @param {string} label - Accessible name (e.g. "Your rating")
+ * @param {string} size - 'sm' or 'lg' (default: 'lg')
+ */
+
+import { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import { MAX_RATING, RATING_STEP, normalizeRating } from '../services/diary';
+
+const STAR_PATH =
+  'M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z';
+
+const STAR_SIZES = {
+  sm: 'w-4 h-4',
+  lg: 'w-8 h-8'
+};
+
+const StarRating = ({ value, onChange, label, size = 'lg' }) => {
+  const { t } = useI18n();
+  const [hover, setHover] = useState(null);
+
+  const readOnly = !onChange;
+  const shown = hover ?? value ?? 0;
+  const starClassName = STAR_SIZES[size] || STAR_SIZES.lg;
+  const valueText = value ? t('diary.stars', { count: value }) : t('diary.notRated');
+
+  /**
+   * Pick a rating (picking the current one clears it)
+   */
+  const select = (rating) => {
+    onChange(rating === value ? null : rating);
+  };
+
+  /**
+   * Slider keyboard support
+   */
+  const handleKeyDown = (e) => {
+    const current = value || 0;
+    const keys = {
+      ArrowRight: current + RATING_STEP,
+      ArrowUp: current + RATING_STEP,
+      ArrowLeft: current - RATING_STEP,
+      ArrowDown: current - RATING_STEP,
+      End: MAX_RATING,
+      Home: 0,
+      Delete: 0,
+      Backspace: 0
+    };
+    if (!(e.key in keys)) return;
+    e.preventDefault();
+    onChange(normalizeRating(Math.min(MAX_RATING, keys[e.key])));
+  };
+
+  const stars = Array.from({ length: MAX_RATING }, (_, index) => {
+    const fill = Math.min(1, Math.max(0, shown - index));
+    return (
+      <span key={index} className={`relative inline-block ${starClassName}`}>
+        {/* Empty star, with the filled part on top */}
+        <svg className={`${starClassName} text-gray-400`} fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+          <path d={STAR_PATH} />
+        </svg>
+        <span className="absolute inset-y-0 left-0 overflow-hidden" style={{ width: `${fill * 100}%` }}>
+          <svg className={`${starClassName} text-yellow-400`} fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+            <path d={STAR_PATH} />
+          </svg>
+        </span>
+
+        {/* Click targets: left half = n - 0.5, right half = n */}
+        {!readOnly &&
+          [index + RATING_STEP, index + 1].map((rating, half) => (
+            <span
+              key={rating}
+              className={`absolute inset-y-0 w-1/2 cursor-pointer ${half === 0 ? 'left-0' : 'right-0'}`}
+              onMouseEnter={() => setHover(rating)}
+              onClick={() => select(rating)}
+            />
+          ))}
+      </span>
+    );
+  });
+
+  if (readOnly) {
+    return (
+      <span className="inline-flex" role="img" aria-label={`${label ? `${label}: ` : ''}${valueText}`}>
+        {stars}
+      </span>
+    );
+  }
+
+  return (
+    <div
+      role="slider"
+      tabIndex={0}
+      aria-label={label}
+      aria-valuemin={0}
+      aria-valuemax={MAX_RATING}
+      aria-valuenow={value || 0}
+      aria-valuetext={valueText}
+      onKeyDown={handleKeyDown}
+      onMouseLeave={() => setHover(null)}
+      className="inline-flex rounded-lg focus:outline-none focus:ring-2 focus:ring-highlight"
+    >
+      {stars}
+    </div>
+  );
+};
+
+export default StarRating;
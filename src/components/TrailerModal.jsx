@@ -0,0 +1,197 @@
+/**
+ * TrailerModal Component
+ *
+ * Accessible modal video player for a movie's trailers and clips
+ * Features:
+ * - Loads the movie's videos when opened (cached, see services/api.js)
+ * - Starts with the official trailer when there is one, lists the other clips
+ *   (teasers, featurettes, behind the scenes...) to switch between
+ * - Focus is trapped inside the dialog and returned to the opener on close
+ * - Closes on Escape, on the close button and on a click outside the player
+ * - "Watch on YouTube" link for videos whose owner blocks embedding
+ * - Empty and error states when there is nothing to play
+ *
+ * Props:
+ * @param {number} movieId - Movie whose videos are shown
+ * @param {string} movieTitle - Movie title (dialog label)
+ * @param {function} onClose - Callback to close the modal
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorState from './ErrorState';
+import useFocusTrap from '../hooks/useFocusTrap';
+import useI18n from '../hooks/useI18n';
+import { fetchMovieVideos, isAbortError } from '../services/api';
+import { sortVideos, getEmbedUrl, getWatchUrl } from '../services/videos';
+
+const TrailerModal = ({ movieId, movieTitle, onClose }) => {
+  const { t } = useI18n();
+
+  // State management
+  const [videos, setVideos] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Incremented by "Try Again" so the retry is aborted with the modal, like the first load
+  const [retryKey, setRetryKey] = useState(0);
+
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef);
+
+  /**
+   * Load videos when the modal opens (and again on retry)
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    loadVideos(controller.signal);
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [movieId, retryKey]);
+
+  /**
+   * Close on Escape and keep the page behind from scrolling
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  /**
+   * Load movie videos from API
+   * @param {AbortSignal} signal - Signal to cancel the request
+   */
+  const loadVideos = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const sorted = sortVideos(await fetchMovieVideos(movieId, { signal }));
+      setVideos(sorted);
+      setSelectedId(sorted[0]?.id ?? null);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setError(err);
+      console.error('Error loading videos:', err);
+    } finally {
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const selected = videos.find((video) => video.id === selectedId);
+  const embedUrl = getEmbedUrl(selected);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="trailer-modal-title"
+        tabIndex={-1}
+        className="w-full max-w-4xl max-h-full overflow-y-auto bg-secondary rounded-lg shadow-2xl text-black focus:outline-none"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between gap-4 px-4 py-3 border-b border-black/10">
+          <h2 id="trailer-modal-title" className="text-lg md:text-xl font-bold">
+            {selected ? selected.name : t('trailer.videos', { title: movieTitle })}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label={t('trailer.close')}
+            className="p-2 rounded-full hover:bg-black/10 transition-colors duration-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <div className="p-4">
+            <ErrorState error={error} onRetry={() => setRetryKey((key) => key + 1)} compact />
+          </div>
+        ) : videos.length === 0 ? (
+          /* Empty State */
+          <div className="p-8 text-center">
+            <div className="text-6xl mb-4" aria-hidden="true">🎞️</div>
+            <p className="text-lg font-semibold mb-2">{t('trailer.emptyTitle')}</p>
+            <p className="text-gray-700">{t('trailer.emptyMessage', { title: movieTitle })}</p>
+          </div>
+        ) : (
+          <>
+            {/* Player */}
+            <div className="aspect-video bg-black">
+              {embedUrl && (
+                <iframe
+                  key={selected.id}
+                  src={embedUrl}
+                  title={selected.name}
+                  allow="autoplay; encrypted-media; picture-in-picture; fullscreen"
+                  allowFullScreen
+                  className="w-full h-full"
+                />
+              )}
+            </div>
+            <p className="px-4 pt-2 text-sm text-gray-700">
+              {t('trailer.notPlaying')}{' '}
+              <a
+                href={getWatchUrl(selected)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-highlight hover:underline"
+              >
+                {t('trailer.watchOn', { site: selected.site })}
+              </a>
+            </p>
+
+            {/* Other Videos */}
+            {videos.length > 1 && (
+              <ul className="p-4 grid grid-cols-1 sm:grid-cols-2 gap-2" aria-label={t('trailer.otherVideos')}>
+                {videos.map((video) => (
+                  <li key={video.id}>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedId(video.id)}
+                      aria-current={video.id === selectedId ? 'true' : undefined}
+                      className={`w-full text-left px-3 py-2 rounded-lg transition-colors duration-200
+                                  ${video.id === selectedId ? 'bg-highlight text-white' : 'bg-white/40 hover:bg-white/60'}`}
+                    >
+                      <span className="block font-semibold line-clamp-1">{video.name}</span>
+                      <span className="block text-xs">
+                        {video.type}
+                        {video.official && ` · ${t('trailer.official')}`}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrailerModal;
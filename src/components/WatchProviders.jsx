@@ -0,0 +1,142 @@
+/**
+ * WatchProviders Component
+ *
+ * "Where to watch" section of the movie page
+ * Features:
+ * - Streaming (flatrate), rent and buy providers for the chosen region, with logos
+ * - Region selector; the choice is remembered (see services/streaming.js)
+ * - The user's own services are highlighted
+ * - Link to the full list of offers on TMDB, with the JustWatch attribution TMDB asks for
+ * - Loading, error (with retry) and "not available" states
+ *
+ * Props:
+ * @param {number} movieId - Movie ID
+ * @param {string} movieTitle - Movie title (for messages)
+ *
+ * Give the section a key tied to the movie (and locale) so it reloads when that changes.
+ */
+
+import { useState, useEffect } from 'react';
+import RegionSelect from './RegionSelect';
+import useI18n from '../hooks/useI18n';
+import useStreaming from '../hooks/useStreaming';
+import { fetchWatchProviders, getImageUrl, isAbortError } from '../services/api';
+import { OFFER_TYPES, getRegionOffers } from '../services/streaming';
+
+const WatchProviders = ({ movieId, movieTitle }) => {
+  const { t } = useI18n();
+  const { region, hasService } = useStreaming();
+
+  // State management
+  const [availability, setAvailability] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Incremented by the retry link; the effect refetches and aborts on unmount
+  const [retryKey, setRetryKey] = useState(0);
+
+  /**
+   * Load the providers once (the response covers every region), and again on retry
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    load(controller.signal);
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [retryKey]);
+
+  /**
+   * Fetch where the movie can be watched
+   * @param {AbortSignal} signal - Signal to cancel the request
+   */
+  const load = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setAvailability(await fetchWatchProviders(movieId, { signal }));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setError(err);
+      console.error('Error loading watch providers:', err);
+    } finally {
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const offers = getRegionOffers(availability, region);
+
+  return (
+    <section className="mt-12 text-black" aria-labelledby="watch-providers-heading">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 id="watch-providers-heading" className="text-2xl font-bold">
+          {t('watch.title')}
+        </h2>
+        <RegionSelect className="bg-secondary text-white rounded-lg px-2 py-1 border border-black/50" />
+      </div>
+
+      {/* Loading / Error / Empty */}
+      {loading && <p className="text-gray-700">{t('common.loading')}</p>}
+      {!loading && error && (
+        <p className="text-red-600">
+          {t('watch.error')}{' '}
+          <button type="button" onClick={() => setRetryKey((key) => key + 1)} className="underline">
+            {t('common.tryAgain')}
+          </button>
+        </p>
+      )}
+      {!loading && !error && !offers && (
+        <p className="text-gray-700">{t('watch.unavailable', { title: movieTitle })}</p>
+      )}
+
+      {/* Offers */}
+      {!loading && !error && offers && (
+        <div className="bg-white/40 backdrop-blur-lg rounded-lg p-4 md:p-6 space-y-4">
+          {OFFER_TYPES.filter((type) => offers[type].length > 0).map((type) => (
+            <div key={type}>
+              <h3 className="font-semibold mb-2">{t(`watch.offer.${type}`)}</h3>
+              <ul className="flex flex-wrap gap-3">
+                {offers[type].map((provider) => {
+                  const mine = hasService(provider.provider_id);
+                  return (
+                    <li
+                      key={provider.provider_id}
+                      className={`flex items-center gap-2 bg-secondary rounded-lg pr-3
+                        ${provider.logo_path ? '' : 'pl-3 py-2'}
+                        ${mine ? 'ring-2 ring-highlight' : ''}`}
+                    >
+                      {provider.logo_path && (
+                        <img
+                          src={getImageUrl(provider.logo_path, 'w92')}
+                          alt=""
+                          className="w-10 h-10 rounded-lg"
+                          loading="lazy"
+                        />
+                      )}
+                      <span className="text-sm font-semibold">{provider.provider_name}</span>
+                      {mine && <span className="text-xs text-highlight">{t('watch.myService')}</span>}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+
+          <p className="text-sm text-gray-700">
+            {offers.link && (
+              <>
+                <a href={offers.link} target="_blank" rel="noopener noreferrer" className="underline">
+                  {t('watch.allOptions')}
+                </a>
+                {' · '}
+              </>
+            )}
+            {t('watch.attribution')}
+          </p>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default WatchProviders;
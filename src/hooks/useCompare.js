@@ -0,0 +1,23 @@
+/**
+ * useCompare Hook
+ *
+ * Movies picked for comparison with helpers bound to the current state
+ * @returns {Object} { movies, isPicked(movieId), isFull, toggle(movie), clear() }
+ */
+
+import usePersistentStore from './usePersistentStore';
+import { compareStore, isInCompare, toggleCompare, clearCompare, MAX_COMPARE } from '../services/compare';
+
+const useCompare = () => {
+  const state = usePersistentStore(compareStore);
+
+  return {
+    movies: state.movies,
+    isPicked: (movieId) => isInCompare(state, movieId),
+    isFull: state.movies.length >= MAX_COMPARE,
+    toggle: toggleCompare,
+    clear: clearCompare
+  };
+};
+
+export default useCompare;
@@ -0,0 +1,33 @@
+/**
+ * useDiary Hook
+ *
+ * Personal ratings, notes and diary entries with helpers bound to the current state
+ * @returns {Object} { diary, getRecord(movieId), getEntries(movieId), setRating, setNote, logWatch, removeEntry }
+ */
+
+import usePersistentStore from './usePersistentStore';
+import {
+  diaryStore,
+  getMovieRecord,
+  getMovieEntries,
+  setRating,
+  setNote,
+  logWatch,
+  removeEntry
+} from '../services/diary';
+
+const useDiary = () => {
+  const diary = usePersistentStore(diaryStore);
+
+  return {
+    diary,
+    getRecord: (movieId) => getMovieRecord(diary, movieId),
+    getEntries: (movieId) => getMovieEntries(diary, movieId),
+    setRating,
+    setNote,
+    logWatch,
+    removeEntry
+  };
+};
+
+export default useDiary;
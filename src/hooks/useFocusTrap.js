@@ -0,0 +1,63 @@
+/**
+ * useFocusTrap Hook
+ *
+ * Keeps keyboard focus inside a container (e.g. a modal dialog) while it is mounted
+ * - Moves focus into the container on mount
+ * - Tab / Shift+Tab wrap around inside the container
+ * - Gives focus back to the element that had it before, on unmount
+ *
+ * @param {Object} containerRef - Ref to the container element
+ */
+
+import { useEffect } from 'react';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+const useFocusTrap = (containerRef) => {
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const previouslyFocused = document.activeElement;
+    const getFocusable = () => [...container.querySelectorAll(FOCUSABLE_SELECTOR)];
+
+    // Focus the first control, or the container itself (needs tabIndex="-1")
+    (getFocusable()[0] || container).focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Tab') return;
+
+      const focusable = getFocusable();
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      previouslyFocused?.focus?.();
+    };
+  }, [containerRef]);
+};
+
+export default useFocusTrap;
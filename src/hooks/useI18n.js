@@ -0,0 +1,20 @@
+/**
+ * useI18n Hook
+ *
+ * Current locale and a translate function for components
+ * Components using it re-render when the locale changes (see services/i18n.js)
+ * @returns {Object} { locale, setLocale, t }
+ */
+
+import { useCallback } from 'react';
+import usePersistentStore from './usePersistentStore';
+import { localeStore, resolveLocale, setLocale, translate } from '../services/i18n';
+
+const useI18n = () => {
+  const locale = resolveLocale(usePersistentStore(localeStore));
+  const t = useCallback((key, params) => translate(key, params, locale), [locale]);
+
+  return { locale, setLocale, t };
+};
+
+export default useI18n;
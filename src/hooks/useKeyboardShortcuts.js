@@ -0,0 +1,36 @@
+/**
+ * useKeyboardShortcuts Hook
+ *
+ * Listens for global single-key shortcuts while they are turned on (see services/shortcuts.js)
+ * - Ignored while typing in a text field, inside a modal dialog, or with Ctrl / Alt / Meta held
+ * - Ignored when something else already handled the key (event.defaultPrevented)
+ * - A handler that runs prevents the browser default (e.g. Firefox's quick find on "/")
+ *
+ * @param {Object} handlers - Callbacks keyed by KeyboardEvent.key, e.g. { '/': focusSearch }
+ */
+
+import { useEffect, useEffectEvent } from 'react';
+import useShortcuts from './useShortcuts';
+import { isTypingTarget } from '../services/shortcuts';
+
+const useKeyboardShortcuts = (handlers) => {
+  const { enabled } = useShortcuts();
+
+  const handleKeyDown = useEffectEvent((e) => {
+    const handler = handlers[e.key];
+    if (!handler || e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey) return;
+    if (isTypingTarget(e.target) || e.target.closest?.('[aria-modal="true"]')) return;
+
+    e.preventDefault();
+    handler(e);
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    const listener = (e) => handleKeyDown(e);
+    document.addEventListener('keydown', listener);
+    return () => document.removeEventListener('keydown', listener);
+  }, [enabled]);
+};
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,13 @@
+/**
+ * useOnlineStatus Hook
+ *
+ * Subscribes a component to the browser's online / offline status
+ * @returns {boolean} false while offline
+ */
+
+import { useSyncExternalStore } from 'react';
+import { isOnline, subscribeOnlineStatus } from '../services/network';
+
+const useOnlineStatus = () => useSyncExternalStore(subscribeOnlineStatus, isOnline, isOnline);
+
+export default useOnlineStatus;
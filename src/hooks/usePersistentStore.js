@@ -0,0 +1,14 @@
+/**
+ * usePersistentStore Hook
+ *
+ * Subscribes a component to a store created with createPersistentStore
+ * @param {Object} store - Persistent store (see services/storage.js)
+ * @returns {*} Current store state
+ */
+
+import { useSyncExternalStore } from 'react';
+
+const usePersistentStore = (store) =>
+  useSyncExternalStore(store.subscribe, store.getState, store.getState);
+
+export default usePersistentStore;
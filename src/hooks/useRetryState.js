@@ -0,0 +1,13 @@
+/**
+ * useRetryState Hook
+ *
+ * Subscribes a component to the HTTP client's retry state
+ * @returns {Object} { retrying: number of requests waiting to retry, attempt: highest attempt number }
+ */
+
+import { useSyncExternalStore } from 'react';
+import { getRetryState, subscribeRetryState } from '../services/http';
+
+const useRetryState = () => useSyncExternalStore(subscribeRetryState, getRetryState, getRetryState);
+
+export default useRetryState;
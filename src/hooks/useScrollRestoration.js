@@ -0,0 +1,84 @@
+/**
+ * useScrollRestoration Hook
+ *
+ * Remembers the window scroll offset per history entry (sessionStorage, keyed by location.key)
+ * and puts it back once the page has re-rendered its content.
+ * The browser can't do this itself because the content is loaded asynchronously.
+ *
+ * @param {boolean} ready - True once the content the offset refers to is on screen
+ * @returns {function} saveScrollPosition() - Store the current offset right away (e.g. before navigating)
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+
+const STORAGE_PREFIX = 'moviepedia:scroll:';
+
+const readPosition = (key) => {
+  try {
+    const value = sessionStorage.getItem(STORAGE_PREFIX + key);
+    return value === null ? null : Number(value);
+  } catch {
+    return null;
+  }
+};
+
+const writePosition = (key, offset) => {
+  try {
+    sessionStorage.setItem(STORAGE_PREFIX + key, String(Math.round(offset)));
+  } catch {
+    // Storage disabled or full - the page just opens at the top
+  }
+};
+
+const useScrollRestoration = (ready) => {
+  const { key } = useLocation();
+  // Entry the page was opened on (later replace() navigations get new keys)
+  const initialKeyRef = useRef(key);
+  const restoredRef = useRef(false);
+
+  /**
+   * Stop the browser from jumping to an offset before the content exists
+   */
+  useEffect(() => {
+    if (!('scrollRestoration' in window.history)) return;
+    const previous = window.history.scrollRestoration;
+    window.history.scrollRestoration = 'manual';
+    return () => {
+      window.history.scrollRestoration = previous;
+    };
+  }, []);
+
+  /**
+   * Track the offset of the current entry while scrolling
+   */
+  useEffect(() => {
+    let frame = null;
+    const handleScroll = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        writePosition(key, window.scrollY);
+      });
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [key]);
+
+  /**
+   * Restore the saved offset once, as soon as the content is ready
+   */
+  useEffect(() => {
+    if (!ready || restoredRef.current) return;
+    restoredRef.current = true;
+    window.scrollTo(0, readPosition(initialKeyRef.current) ?? 0);
+  }, [ready]);
+
+  return useCallback(() => writePosition(key, window.scrollY), [key]);
+};
+
+export default useScrollRestoration;
@@ -0,0 +1,27 @@
+/**
+ * useSearchHistory Hook
+ *
+ * Recent searches with the helpers to change them
+ * @returns {Object} { recent, add(query), remove(query), clear() }
+ */
+
+import usePersistentStore from './usePersistentStore';
+import {
+  searchHistoryStore,
+  addRecentSearch,
+  removeRecentSearch,
+  clearRecentSearches
+} from '../services/searchHistory';
+
+const useSearchHistory = () => {
+  const { queries } = usePersistentStore(searchHistoryStore);
+
+  return {
+    recent: queries,
+    add: addRecentSearch,
+    remove: removeRecentSearch,
+    clear: clearRecentSearches
+  };
+};
+
+export default useSearchHistory;
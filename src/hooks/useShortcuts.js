@@ -0,0 +1,20 @@
+/**
+ * useShortcuts Hook
+ *
+ * Whether the global keyboard shortcuts are turned on, with the setter
+ * @returns {Object} { enabled, setEnabled(enabled) }
+ */
+
+import usePersistentStore from './usePersistentStore';
+import { shortcutsStore, setShortcutsEnabled } from '../services/shortcuts';
+
+const useShortcuts = () => {
+  const { enabled } = usePersistentStore(shortcutsStore);
+
+  return {
+    enabled,
+    setEnabled: setShortcutsEnabled
+  };
+};
+
+export default useShortcuts;
@@ -0,0 +1,23 @@
+/**
+ * useStreaming Hook
+ *
+ * Watch region and streaming services with helpers bound to the current state
+ * @returns {Object} { region, services, setRegion, hasService(providerId), toggleService(providerId) }
+ */
+
+import usePersistentStore from './usePersistentStore';
+import { streamingStore, setRegion, toggleService } from '../services/streaming';
+
+const useStreaming = () => {
+  const { region, services } = usePersistentStore(streamingStore);
+
+  return {
+    region,
+    services,
+    setRegion,
+    hasService: (providerId) => services.includes(providerId),
+    toggleService
+  };
+};
+
+export default useStreaming;
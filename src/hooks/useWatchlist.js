@@ -0,0 +1,21 @@
+/**
+ * useWatchlist Hook
+ *
+ * Saved lists (watchlist & favorites) with helpers bound to the current state
+ * @returns {Object} { lists, isSaved(listName, movieId, mediaType), toggle(listName, movie) }
+ */
+
+import usePersistentStore from './usePersistentStore';
+import { watchlistStore, isInList, toggleInList } from '../services/watchlist';
+
+const useWatchlist = () => {
+  const lists = usePersistentStore(watchlistStore);
+
+  return {
+    lists,
+    isSaved: (listName, movieId, mediaType) => isInList(lists, listName, movieId, mediaType),
+    toggle: toggleInList
+  };
+};
+
+export default useWatchlist;
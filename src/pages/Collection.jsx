@@ -0,0 +1,252 @@
+/**
+ * Collection Page Component
+ *
+ * A movie collection (franchise), e.g. every Lord of the Rings film
+ * Features:
+ * - Every film of the collection in release order (films without a release date last)
+ * - Watched / unwatched marker per film, from the user's diary (see services/diary.js)
+ * - "Watched X of Y" progress and the total runtime for a marathon
+ * - Runtimes come from each film's details, loaded after the list is shown
+ * - Back button returns to the previous page (usually the movie we came from), or home
+ * - Texts and dates in the chosen language; the collection reloads when it changes
+ * - Error handling (not found, offline, auth... each with its own message)
+ *
+ * URL Parameters:
+ * - id: TMDB collection ID (belongs_to_collection.id of its movies)
+ *
+ * State Management:
+ * - collection: Collection with its films ({ id, name, overview, parts })
+ * - runtimes: Runtime in minutes per movie ID (null when unknown)
+ * - loading: Boolean for loading state
+ * - error: Error thrown by the API service (typed, see services/errors.js)
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorState from '../components/ErrorState';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import ResponsiveImage from '../components/ResponsiveImage';
+import useI18n from '../hooks/useI18n';
+import useDiary from '../hooks/useDiary';
+import { fetchCollection, fetchMovieDetails, formatDate, isAbortError } from '../services/api';
+
+/**
+ * Sort films by release date, oldest first; films without a date go last
+ * @param {Array<Object>} parts - Collection films
+ * @returns {Array<Object>} Sorted copy
+ */
+const sortByReleaseDate = (parts) =>
+  [...parts].sort((a, b) => {
+    if (!a.release_date || !b.release_date) return !a.release_date - !b.release_date;
+    return a.release_date.localeCompare(b.release_date);
+  });
+
+const Collection = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { locale, t } = useI18n();
+  const { getEntries } = useDiary();
+
+  // State management
+  const [collection, setCollection] = useState(null);
+  const [runtimes, setRuntimes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Incremented by "Try Again"; reloading through the effect keeps the retry cancellable
+  const [retryKey, setRetryKey] = useState(0);
+
+  /**
+   * Load the collection whenever the ID or the language change, and on retry
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    loadCollection(controller.signal);
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, locale, retryKey]);
+
+  /**
+   * Fetch the collection, then the runtime of each film (failed ones stay unknown)
+   * @param {AbortSignal} signal - Signal to cancel the requests
+   */
+  const loadCollection = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setRuntimes({});
+      const data = await fetchCollection(id, { signal });
+      setCollection({ ...data, parts: sortByReleaseDate(data.parts || []) });
+      setLoading(false);
+
+      const results = await Promise.allSettled(data.parts.map((part) => fetchMovieDetails(part.id, { signal })));
+      if (signal?.aborted) return;
+      setRuntimes(
+        Object.fromEntries(
+          data.parts.map((part, index) => [
+            part.id,
+            results[index].status === 'fulfilled' ? results[index].value.runtime || null : null
+          ])
+        )
+      );
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setError(err);
+      console.error('Error loading collection:', err);
+    } finally {
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  /**
+   * Go back to the previous page (e.g. the movie we came from)
+   * Falls back to home when the collection was opened directly from a link
+   */
+  const handleBack = () => {
+    if (location.key !== 'default') {
+      navigate(-1);
+    } else {
+      navigate('/');
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-primary flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  // Show error state
+  if (error || !collection) {
+    // A missing collection can't be fixed by retrying
+    const canRetry = error && error.type !== 'not-found' && error.type !== 'auth';
+    return (
+      <div className="min-h-screen bg-primary flex items-center justify-center px-4">
+        <ErrorState
+          error={error || { type: 'not-found' }}
+          onRetry={canRetry ? () => setRetryKey((key) => key + 1) : undefined}
+          onBack={handleBack}
+          overrides={{
+            'not-found': {
+              icon: '🎞️',
+              title: t('collection.notFoundTitle'),
+              message: t('collection.notFoundMessage')
+            }
+          }}
+        />
+      </div>
+    );
+  }
+
+  const { parts } = collection;
+  const watchedCount = parts.filter((part) => getEntries(part.id).length > 0).length;
+  const knownRuntimes = parts.map((part) => runtimes[part.id]).filter(Boolean);
+  const totalRuntime = knownRuntimes.reduce((sum, runtime) => sum + runtime, 0);
+  const runtimesLoaded = parts.every((part) => part.id in runtimes);
+
+  return (
+    <div className="min-h-screen bg-primary">
+      {/* Header Section */}
+      <header className="bg-gradient-to-r from-secondary to-accent shadow-lg">
+        <div className="max-w-7xl mx-auto px-4 py-8">
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <button
+              type="button"
+              onClick={handleBack}
+              className="flex items-center gap-2 text-black hover:underline"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              {t('common.back')}
+            </button>
+            <LanguageSwitcher />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-black">{collection.name}</h1>
+          {collection.overview && <p className="mt-4 max-w-3xl text-black/80">{collection.overview}</p>}
+
+          {/* Marathon Summary */}
+          <dl className="mt-6 flex flex-wrap gap-x-8 gap-y-2 text-black">
+            <div>
+              <dt className="text-sm text-black/70">{t('collection.films')}</dt>
+              <dd className="text-xl font-semibold">{parts.length}</dd>
+            </div>
+            <div>
+              <dt className="text-sm text-black/70">{t('collection.progress')}</dt>
+              <dd className="text-xl font-semibold">
+                {t('collection.watchedCount', { count: watchedCount, total: parts.length })}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-sm text-black/70">{t('collection.marathon')}</dt>
+              <dd className="text-xl font-semibold" aria-live="polite">
+                {!runtimesLoaded
+                  ? t('common.loading')
+                  : knownRuntimes.length === 0
+                    ? t('common.notAvailable')
+                    : t('collection.duration', {
+                        hours: Math.floor(totalRuntime / 60),
+                        minutes: totalRuntime % 60
+                      })}
+              </dd>
+              {runtimesLoaded && knownRuntimes.length > 0 && knownRuntimes.length < parts.length && (
+                <p className="text-sm text-black/70">
+                  {t('collection.runtimeMissing', { count: parts.length - knownRuntimes.length })}
+                </p>
+              )}
+            </div>
+          </dl>
+        </div>
+      </header>
+
+      {/* Films in Release Order */}
+      <main className="max-w-7xl mx-auto px-4 py-8 text-black">
+        <h2 className="text-2xl font-bold mb-4">{t('collection.releaseOrder')}</h2>
+        <ol className="space-y-4">
+          {parts.map((part, index) => {
+            const watched = getEntries(part.id).length > 0;
+            return (
+              <li key={part.id} className="flex gap-4 items-center bg-secondary rounded-lg shadow-lg p-3">
+                <span className="w-8 text-center text-2xl font-bold text-black/50" aria-hidden="true">
+                  {index + 1}
+                </span>
+                <ResponsiveImage
+                  path={part.poster_path}
+                  sizes="64px"
+                  alt=""
+                  className="w-16 aspect-[2/3] rounded shrink-0"
+                />
+                <div className="flex-1 min-w-0">
+                  <Link to={`/movie/${part.id}`} className="block text-lg font-semibold hover:underline">
+                    {part.title}
+                  </Link>
+                  <p className="text-sm text-gray-700">
+                    {part.release_date ? formatDate(part.release_date) : t('common.notAvailable')}
+                    {runtimes[part.id] && ` · ${t('common.minutes', { count: runtimes[part.id] })}`}
+                  </p>
+                </div>
+
+                {/* Watched Marker */}
+                <span
+                  className={`shrink-0 rounded-full px-3 py-1 text-sm font-semibold ${
+                    watched ? 'bg-highlight text-white' : 'bg-black/10 text-black/70'
+                  }`}
+                >
+                  {watched ? `✓ ${t('collection.watched')}` : t('collection.unwatched')}
+                </span>
+              </li>
+            );
+          })}
+        </ol>
+      </main>
+    </div>
+  );
+};
+
+export default Collection;
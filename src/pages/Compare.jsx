@@ -0,0 +1,269 @@
+/**
+ * Compare Page Component
+ *
+ * Side-by-side comparison of 2 to 4 movies
+ * Features:
+ * - One aligned column per movie: poster, title, then rating, vote count, runtime, release date,
+ *   genres, budget, revenue, director and top cast (see COMPARE_ROWS in services/compare.js)
+ * - The best and worst value of each comparable row are highlighted (and labelled for screen readers)
+ * - Movies come from the URL (/compare?ids=550,680), so a comparison can be shared
+ * - Columns can be removed; the URL and the compare tray follow
+ * - Movies that fail to load are left out, with a retry banner
+ * - Scrolls sideways on small screens, with the row labels kept in view
+ * - Texts, dates and money in the chosen language; details reload when it changes
+ *
+ * URL Parameters:
+ * - ids: Comma-separated TMDB movie IDs (at most MAX_COMPARE are used)
+ *
+ * State Management:
+ * - movies: Movie details, in URL order
+ * - loading: Boolean for loading state
+ * - error: First error thrown while loading (typed, see services/errors.js)
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorState from '../components/ErrorState';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import ResponsiveImage from '../components/ResponsiveImage';
+import useI18n from '../hooks/useI18n';
+import { fetchMovieDetails, formatDate, formatRating, formatCurrency, isAbortError } from '../services/api';
+import {
+  MIN_COMPARE,
+  MAX_COMPARE,
+  COMPARE_ROWS,
+  parseCompareIds,
+  getRowHighlights,
+  removeFromCompare
+} from '../services/compare';
+
+// Cell classes for the best / worst value of a row
+const HIGHLIGHT_CLASSES = {
+  best: 'bg-green-100 text-green-900 font-semibold',
+  worst: 'bg-red-100 text-red-900'
+};
+
+const Compare = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { locale, t } = useI18n();
+
+  const ids = parseCompareIds(searchParams.get('ids'));
+  const idsKey = ids.join(',');
+
+  // State management
+  const [movies, setMovies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Incremented by "Try Again"; the effect reloads every column with a fresh AbortController
+  const [retryKey, setRetryKey] = useState(0);
+
+  /**
+   * Load the movies whenever the IDs or the language change, and on retry
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    loadMovies(controller.signal);
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [idsKey, locale, retryKey]);
+
+  /**
+   * Fetch the details of every movie; failed ones are left out
+   * @param {AbortSignal} signal - Signal to cancel the requests
+   */
+  const loadMovies = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const results = await Promise.allSettled(ids.map((id) => fetchMovieDetails(id, { signal })));
+      if (signal?.aborted) return;
+
+      const failed = results.find((result) => result.status === 'rejected' && !isAbortError(result.reason));
+      if (failed) {
+        setError(failed.reason);
+        console.error('Error loading movies to compare:', failed.reason);
+      }
+      setMovies(results.filter((result) => result.status === 'fulfilled').map((result) => result.value));
+    } finally {
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  // Load everything again (through the effect, so the requests stay cancellable)
+  const retry = () => setRetryKey((key) => key + 1);
+  // A movie ID that doesn't exist, or a rejected API key, can't be fixed by retrying
+  const canRetry = error && error.type !== 'not-found' && error.type !== 'auth';
+
+  /**
+   * Take a movie out of the comparison (the page's URL and the picked movies in the tray)
+   * @param {number} movieId - Movie ID
+   */
+  const removeMovie = (movieId) => {
+    removeFromCompare(movieId);
+    const next = new URLSearchParams(searchParams);
+    next.set('ids', ids.filter((id) => id !== movieId).join(','));
+    setSearchParams(next, { replace: true });
+  };
+
+  /**
+   * Show a row value
+   * @param {string} format - Row format (see COMPARE_ROWS)
+   * @param {*} value - Value read from the movie
+   * @returns {string} Text for the cell
+   */
+  const formatValue = (format, value) => {
+    if (value === null || (Array.isArray(value) && value.length === 0)) {
+      return t('common.notAvailable');
+    }
+    switch (format) {
+      case 'rating':
+        return `${formatRating(value)} / 10`;
+      case 'number':
+        return value.toLocaleString(locale);
+      case 'runtime':
+        return t('common.minutes', { count: value });
+      case 'date':
+        return formatDate(value);
+      case 'currency':
+        return formatCurrency(value);
+      case 'list':
+        return value.join(', ');
+      default:
+        return String(value);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-primary">
+      {/* Header Section */}
+      <header className="bg-gradient-to-r from-secondary to-accent shadow-lg">
+        <div className="max-w-7xl mx-auto px-4 py-8">
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <button
+              type="button"
+              onClick={() => navigate('/')}
+              className="flex items-center gap-2 text-black hover:underline"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              {t('common.backToHome')}
+            </button>
+            <LanguageSwitcher />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-black">{t('compare.title')}</h1>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-7xl mx-auto px-4 py-8 text-black">
+        {loading ? (
+          <LoadingSpinner />
+        ) : movies.length === 0 && error ? (
+          <ErrorState error={error} onRetry={canRetry ? retry : undefined} onBack={() => navigate('/')} />
+        ) : (
+          <>
+            {/* Failed Movies */}
+            {error && (
+              <div className="mb-6">
+                <ErrorState error={error} onRetry={canRetry ? retry : undefined} compact />
+              </div>
+            )}
+
+            {movies.length < MIN_COMPARE && (
+              <div className="text-center py-8">
+                <div className="text-6xl mb-4" aria-hidden="true">⚖️</div>
+                <h2 className="text-2xl font-bold mb-2">{t('compare.emptyTitle')}</h2>
+                <p className="text-gray-700">
+                  {t('compare.emptyMessage', { min: MIN_COMPARE, max: MAX_COMPARE })}
+                </p>
+              </div>
+            )}
+
+            {/* Comparison Table */}
+            {movies.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full border-separate border-spacing-0 text-left">
+                  <caption className="sr-only">{t('compare.caption')}</caption>
+                  <thead>
+                    <tr>
+                      <td className="sticky left-0 bg-white/80 backdrop-blur-sm" />
+                      {movies.map((movie) => (
+                        <th key={movie.id} scope="col" className="align-top p-3 min-w-40 w-1/4">
+                          <ResponsiveImage
+                            path={movie.poster_path}
+                            sizes="160px"
+                            alt=""
+                            className="w-28 aspect-[2/3] rounded-lg shadow-lg mb-3"
+                          />
+                          <Link to={`/movie/${movie.id}`} className="block text-lg font-bold hover:underline">
+                            {movie.title}
+                          </Link>
+                          <button
+                            type="button"
+                            onClick={() => removeMovie(movie.id)}
+                            className="mt-1 text-sm font-normal text-gray-700 hover:underline"
+                          >
+                            {t('compare.removeColumn')}
+                            <span className="sr-only">: {movie.title}</span>
+                          </button>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {COMPARE_ROWS.map((row) => {
+                      const highlights = getRowHighlights(row, movies);
+                      return (
+                        <tr key={row.key}>
+                          <th
+                            scope="row"
+                            className="sticky left-0 bg-white/80 backdrop-blur-sm p-3 border-t border-black/10
+                                       font-semibold whitespace-nowrap align-top"
+                          >
+                            {t(`compare.rows.${row.key}`)}
+                          </th>
+                          {movies.map((movie, index) => (
+                            <td
+                              key={movie.id}
+                              className={`p-3 border-t border-black/10 align-top ${HIGHLIGHT_CLASSES[highlights[index]] || ''}`}
+                            >
+                              {formatValue(row.format, row.value(movie))}
+                              {highlights[index] && (
+                                <span className="sr-only"> ({t(`compare.${highlights[index]}`)})</span>
+                              )}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Legend */}
+            {movies.length >= MIN_COMPARE && (
+              <p className="mt-4 text-sm text-gray-700 flex flex-wrap items-center gap-4">
+                <span className="flex items-center gap-2">
+                  <span className={`inline-block w-4 h-4 rounded ${HIGHLIGHT_CLASSES.best}`} aria-hidden="true" />
+                  {t('compare.best')}
+                </span>
+                <span className="flex items-center gap-2">
+                  <span className={`inline-block w-4 h-4 rounded ${HIGHLIGHT_CLASSES.worst}`} aria-hidden="true" />
+                  {t('compare.worst')}
+                </span>
+              </p>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Compare;
@@ -0,0 +1,124 @@
+/**
+ * Diary Page Component
+ *
+ * Every movie the user logged as watched, newest first
+ * Features:
+ * - Entries grouped by month, each with the day, poster, title, rating given and rewatch marker
+ * - Private notes shown under the movie
+ * - Entries can be removed; the movie page is one click away
+ * - Renders from stored movie snapshots, so it works offline
+ * - Empty state
+ * - Link to import / export
+ * - Language switcher
+ */
+
+import { Link, useNavigate } from 'react-router-dom';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import StarRating from '../components/StarRating';
+import useDiary from '../hooks/useDiary';
+import useI18n from '../hooks/useI18n';
+import { getImageUrl, formatMonth } from '../services/api';
+import { getDiaryByMonth } from '../services/diary';
+import { getReleaseYear } from '../services/media';
+
+const Diary = () => {
+  const navigate = useNavigate();
+  const { diary, removeEntry } = useDiary();
+  const { t } = useI18n();
+
+  const months = getDiaryByMonth(diary);
+
+  return (
+    <div className="min-h-screen bg-primary">
+      {/* Header Section */}
+      <header className="bg-gradient-to-r from-secondary to-accent shadow-lg">
+        <div className="max-w-7xl mx-auto px-4 py-8">
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <button
+              type="button"
+              onClick={() => navigate('/')}
+              className="flex items-center gap-2 text-black hover:underline"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              {t('common.backToHome')}
+            </button>
+            <div className="flex items-center gap-4">
+              <Link to="/import" className="text-black font-semibold hover:underline">
+                {t('nav.importExport')}
+              </Link>
+              <LanguageSwitcher />
+            </div>
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-black">{t('diary.title')}</h1>
+          <p className="text-black mt-2">{t('diary.count', { count: diary.entries.length })}</p>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-7xl mx-auto px-4 py-8 text-black">
+        {months.length === 0 ? (
+          <div className="text-center py-16">
+            <div className="text-6xl mb-4" aria-hidden="true">📔</div>
+            <h2 className="text-2xl font-bold mb-2">{t('diary.emptyTitle')}</h2>
+            <p className="text-gray-700">{t('diary.emptyMessage')}</p>
+          </div>
+        ) : (
+          months.map(({ month, entries }) => (
+            <section key={month} className="mb-8" aria-labelledby={`diary-${month}`}>
+              <h2 id={`diary-${month}`} className="text-2xl font-bold mb-4">
+                {formatMonth(month)}
+              </h2>
+              <ol className="space-y-3">
+                {entries.map((entry) => (
+                  <li key={entry.id} className="flex items-start gap-4 bg-secondary rounded-lg p-3 shadow-lg">
+                    {/* Day */}
+                    <span className="w-10 text-center text-2xl font-bold text-gray-700 flex-shrink-0">
+                      {Number(entry.watchedOn.slice(8, 10))}
+                    </span>
+
+                    {/* Poster */}
+                    <Link to={`/movie/${entry.movieId}`} className="flex-shrink-0">
+                      <img
+                        src={getImageUrl(entry.movie.poster_path, 'w92')}
+                        alt={t('common.poster', { title: entry.movie.title })}
+                        className="w-12 rounded"
+                        loading="lazy"
+                      />
+                    </Link>
+
+                    {/* Details */}
+                    <div className="flex-1 min-w-0">
+                      <Link to={`/movie/${entry.movieId}`} className="font-semibold text-lg hover:underline">
+                        {entry.movie.title}
+                      </Link>
+                      {getReleaseYear(entry.movie) && (
+                        <span className="text-gray-700 ml-2">{getReleaseYear(entry.movie)}</span>
+                      )}
+                      <div className="flex flex-wrap items-center gap-3 mt-1">
+                        {entry.rating && <StarRating value={entry.rating} size="sm" />}
+                        {entry.rewatch && <span className="text-xs text-highlight">{t('diary.rewatchBadge')}</span>}
+                      </div>
+                      {entry.note && <p className="text-sm text-gray-700 mt-1 line-clamp-2">{entry.note}</p>}
+                    </div>
+
+                    <button
+                      type="button"
+                      onClick={() => removeEntry(entry.id)}
+                      className="text-sm text-gray-700 hover:text-red-600 underline flex-shrink-0"
+                    >
+                      {t('diary.remove')}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            </section>
+          ))
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Diary;
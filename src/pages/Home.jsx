@@ -4,102 +4,373 @@
  * Main landing page of the Movie Explorer App
  * Features:
  * - Display popular movies in a grid
- * - Search functionality with real-time results
+ * - Movies / TV Shows switch (TV: popular shows and search)
+ * - Search functionality with real-time results, title suggestions and recent searches
+ * - Movie searches include TV shows and people (type badges), with a "Movies only" toggle
+ * - Discover mode: filter by genres, years, rating, language and runtime
+ * - Infinite scroll with a "Load More" fallback
+ * - Duplicate movies across pages are skipped
+ * - Superseded requests are aborted, so the last query typed always wins
+ * - Search query, filters, sort and loaded pages live in the URL (shareable links,
+ *   and going back restores the same results and scroll offset)
+ * - Language switcher (UI strings and TMDB data; the list reloads in the new language)
  * - Loading states during API calls
  * - Error handling with user-friendly messages
  * - Empty state when no results found
+ * - Keyboard shortcuts on / off switch in the footer (see services/shortcuts.js)
  * 
+ * URL Parameters:
+ * - q: Search query
+ * - type: 'tv' for TV shows (movies otherwise)
+ * - movies_only: '1' to search movies only (otherwise movies, TV shows and people)
+ * - page: Number of pages loaded (restored on back navigation)
+ * - genres, exclude, from, to, rating, votes, lang, runtime_min, runtime_max, sort:
+ *   Discover filters (see services/discover.js)
+ *
  * State Management:
- * - movies: Array of movies to display
- * - searchQuery: Current search input value
- * - loading: Boolean for loading state
- * - error: Error message string
- * - isSearching: Boolean to track if user is searching
+ * - movies: Array of movies to display (all pages loaded so far)
+ * - page / totalPages / totalResults: Pagination info from the API
+ * - searchQuery: Current search input value (written to the URL after a short pause)
+ * - loading: Boolean for loading state (first page)
+ * - loadingMore: Boolean for loading state (next pages)
+ * - error: Error thrown by the API service (typed, see services/errors.js)
  */
 
-import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import MovieList from '../components/MovieList';
 import SearchBar from '../components/SearchBar';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { fetchPopularMovies, searchMovies } from '../services/api';
+import LoadMoreTrigger from '../components/LoadMoreTrigger';
+import FilterPanel from '../components/FilterPanel';
+import ErrorState from '../components/ErrorState';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import useScrollRestoration from '../hooks/useScrollRestoration';
+import useI18n from '../hooks/useI18n';
+import useShortcuts from '../hooks/useShortcuts';
+import {
+  fetchPopularMovies,
+  searchMovies,
+  searchMulti,
+  discoverMovies,
+  fetchPopularTv,
+  searchTv,
+  isAbortError
+} from '../services/api';
+import {
+  DEFAULT_FILTERS,
+  isDefaultFilters,
+  serializeFilters,
+  filtersFromSearchParams,
+  filtersToSearchParams
+} from '../services/discover';
+import { MEDIA_TYPES, getDetailPath, getMediaKey } from '../services/media';
 import logo from '../../public/logo.png';
 
+// Upper bound for pages restored from the URL (each one is a request)
+const MAX_RESTORED_PAGES = 10;
+
+// Tab labels, titles and counts are message keys under home.*.<type>
+const MEDIA_TABS = [MEDIA_TYPES.MOVIE, MEDIA_TYPES.TV];
+
+/**
+ * Append a page of movies, skipping any already in the list
+ * TMDB popularity shifts between requests, so the same movie can show up on two pages
+ * @param {Array} existing - Movies already displayed
+ * @param {Array} incoming - Movies from the newly loaded page
+ * @returns {Array} Combined list without duplicates (by media type and ID)
+ */
+const mergeUniqueMovies = (existing, incoming) => {
+  const seen = new Set(existing.map(getMediaKey));
+  const merged = [...existing];
+  incoming.forEach((movie) => {
+    const key = getMediaKey(movie);
+    if (!seen.has(key)) {
+      seen.add(key);
+      merged.push(movie);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Read the number of loaded pages from the URL
+ * @param {URLSearchParams} searchParams - Current URL search params
+ * @returns {number} Page count between 1 and MAX_RESTORED_PAGES
+ */
+const getPageParam = (searchParams) => {
+  const value = Number.parseInt(searchParams.get('page'), 10);
+  return Number.isInteger(value) && value > 1 ? Math.min(value, MAX_RESTORED_PAGES) : 1;
+};
+
 const Home = () => {
   // Navigation hook for routing
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { locale, t } = useI18n();
+  const { enabled: shortcutsEnabled, setEnabled: setShortcutsEnabled } = useShortcuts();
+
+  // Browse state from the URL
+  const urlQuery = (searchParams.get('q') || '').trim();
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams]);
+  const filtersKey = serializeFilters(filters);
+  const mediaType = searchParams.get('type') === MEDIA_TYPES.TV ? MEDIA_TYPES.TV : MEDIA_TYPES.MOVIE;
+  const isTv = mediaType === MEDIA_TYPES.TV;
+  const isSearching = urlQuery !== '';
+  const moviesOnly = searchParams.get('movies_only') === '1';
+  // Searching from the Movies tab also finds TV shows and people, unless "Movies only" is on
+  const isMultiSearch = isSearching && !isTv && !moviesOnly;
+  // Discover filters only apply to movies
+  const isDiscovering = !isSearching && !isTv && !isDefaultFilters(filters);
 
   // State management
   const [movies, setMovies] = useState([]);
-  const [searchQuery, setSearchQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalResults, setTotalResults] = useState(0);
+  const [searchQuery, setSearchQuery] = useState(urlQuery);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
-  const [isSearching, setIsSearching] = useState(false);
+
+  // AbortController of the request currently filling the grid
+  const requestRef = useRef(null);
+  // Query this page last wrote to the URL (anything else came from back/forward)
+  const committedQueryRef = useRef(urlQuery);
+
+  const saveScrollPosition = useScrollRestoration(!loading);
 
   /**
-   * Load popular movies on component mount
-   * This runs once when the component first renders
+   * Reload the list whenever the media type, query or filters in the URL change
+   * (typing, applying filters, back/forward navigation, opening a shared link),
+   * or when the language changes (translated titles and overviews)
+   * The page param is read once so that going back restores every loaded page
    */
   useEffect(() => {
-    loadPopularMovies();
-  }, []);
+    loadMovies(getPageParam(searchParams));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mediaType, urlQuery, moviesOnly, filtersKey, locale]);
 
   /**
-   * Search movies when search query changes
+   * Cancel whatever is still loading when leaving the page
+   */
+  useEffect(() => () => requestRef.current?.abort(), []);
+
+  /**
+   * Keep the search input in sync when the URL changes from outside (back/forward)
+   */
+  useEffect(() => {
+    if (urlQuery === committedQueryRef.current) return;
+    committedQueryRef.current = urlQuery;
+    setSearchQuery(urlQuery);
+  }, [urlQuery]);
+
+  /**
+   * Write the search query to the URL when it changes
    * Debounced effect to avoid too many API calls
    */
   useEffect(() => {
-    // Only search if there's a query
-    if (searchQuery.trim()) {
-      // Set a timeout to debounce the search
-      const timeoutId = setTimeout(() => {
-        handleSearch();
-      }, 500); // Wait 500ms after user stops typing
-
-      // Cleanup function to clear timeout if query changes
-      return () => clearTimeout(timeoutId);
-    } else {
-      // If search is cleared, load popular movies again
-      if (isSearching) {
-        setIsSearching(false);
-        loadPopularMovies();
-      }
-    }
+    if (searchQuery.trim() === urlQuery) return;
+
+    // Clearing the search goes back right away, typing waits 500ms after the last key
+    const timeoutId = setTimeout(() => {
+      commitSearch(searchQuery);
+    }, searchQuery.trim() ? 500 : 0);
+
+    // Cleanup function to clear timeout if query changes
+    return () => clearTimeout(timeoutId);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [searchQuery]);
 
   /**
-   * Load popular movies from API
+   * Put a search query in the URL (starts from page 1)
+   * Refining a search replaces the history entry, starting or clearing one adds an entry
+   * @param {string} query - Search query ('' = back to browsing)
    */
-  const loadPopularMovies = async () => {
+  const commitSearch = (query) => {
+    const trimmed = query.trim();
+    if (trimmed === urlQuery) return;
+
+    committedQueryRef.current = trimmed;
+    const next = new URLSearchParams(searchParams);
+    next.delete('page');
+    if (trimmed) {
+      next.set('q', trimmed);
+    } else {
+      next.delete('q');
+    }
+    setSearchParams(next, { replace: isSearching && trimmed !== '' });
+  };
+
+  /**
+   * Abort the previous request and start tracking a new one
+   * @returns {AbortSignal} Signal for the new request
+   */
+  const startRequest = () => {
+    if (requestRef.current) {
+      requestRef.current.abort();
+      // The aborted request won't reset its own loading flag
+      setLoading(false);
+      setLoadingMore(false);
+    }
+    const controller = new AbortController();
+    requestRef.current = controller;
+    return controller.signal;
+  };
+
+  /**
+   * Fetch one page of the current list (search results, Discover or popular; movies, TV or mixed)
+   * @param {number} pageToLoad - Page number
+   * @param {AbortSignal} signal - Signal to cancel the request
+   * @returns {Promise<Object>} Paged result
+   */
+  const fetchPage = (pageToLoad, signal) => {
+    if (isTv) {
+      return isSearching
+        ? searchTv(urlQuery, pageToLoad, { signal })
+        : fetchPopularTv(pageToLoad, { signal });
+    }
+    if (isMultiSearch) return searchMulti(urlQuery, pageToLoad, { signal });
+    if (isSearching) return searchMovies(urlQuery, pageToLoad, { signal });
+    if (isDiscovering) return discoverMovies(filters, pageToLoad, { signal });
+    return fetchPopularMovies(pageToLoad, { signal });
+  };
+
+  /**
+   * Store pagination info from the last loaded page
+   */
+  const applyPageInfo = (data) => {
+    setPage(data.page);
+    setTotalPages(data.total_pages);
+    setTotalResults(data.total_results);
+  };
+
+  /**
+   * Load the current list from page 1
+   * @param {number} throughPage - Load every page up to this one (restoring from the URL)
+   */
+  const loadMovies = async (throughPage = 1) => {
+    const signal = startRequest();
     try {
       setLoading(true);
       setError(null);
-      const data = await fetchPopularMovies();
-      setMovies(data);
+      let collected = [];
+      let data;
+      // Pages are cached, so going back usually restores them without a network round trip
+      for (let pageToLoad = 1; pageToLoad <= throughPage; pageToLoad++) {
+        data = await fetchPage(pageToLoad, signal);
+        collected = mergeUniqueMovies(collected, data.results);
+        if (pageToLoad >= data.total_pages) break;
+      }
+      setMovies(collected);
+      applyPageInfo(data);
     } catch (err) {
-      setError('Failed to load movies. Please try again later.');
-      console.error('Error loading popular movies:', err);
+      // Superseded by a newer request - nothing to report
+      if (isAbortError(err)) return;
+      setMovies([]);
+      setError(err);
+      console.error('Error loading movies:', err);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
   /**
-   * Search movies by query
+   * Append the next page of the current list and record it in the URL
    */
-  const handleSearch = async () => {
+  const loadNextPage = async () => {
+    const signal = startRequest();
+    const pageToLoad = page + 1;
     try {
-      setLoading(true);
+      setLoadingMore(true);
       setError(null);
-      setIsSearching(true);
-      const data = await searchMovies(searchQuery);
-      setMovies(data);
+      const data = await fetchPage(pageToLoad, signal);
+      setMovies((prev) => mergeUniqueMovies(prev, data.results));
+      applyPageInfo(data);
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          next.set('page', String(data.page));
+          return next;
+        },
+        { replace: true }
+      );
     } catch (err) {
-      setError('Failed to search movies. Please try again.');
-      console.error('Error searching movies:', err);
+      // Superseded by a newer request - nothing to report
+      if (isAbortError(err)) return;
+      setError(err);
+      console.error('Error loading more movies:', err);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  /**
+   * Load the next page of the current list (popular, discover or search results)
+   */
+  const handleLoadMore = () => {
+    if (loading || loadingMore || page >= totalPages) return;
+    loadNextPage();
+  };
+
+  /**
+   * Switch between movies and TV shows (keeps the search query)
+   */
+  const handleMediaTypeChange = (type) => {
+    if (type === mediaType) return;
+    const next = new URLSearchParams(searchParams);
+    next.delete('page');
+    if (type === MEDIA_TYPES.TV) {
+      next.set('type', type);
+    } else {
+      next.delete('type');
+    }
+    setSearchParams(next);
+  };
+
+  /**
+   * Toggle between searching movies only and searching everything
+   */
+  const handleMoviesOnlyChange = (e) => {
+    const next = new URLSearchParams(searchParams);
+    next.delete('page');
+    if (e.target.checked) {
+      next.set('movies_only', '1');
+    } else {
+      next.delete('movies_only');
+    }
+    setSearchParams(next);
+  };
+
+  /**
+   * Apply new Discover filters (a new history entry, starting from page 1)
+   */
+  const handleApplyFilters = (nextFilters) => {
+    const next = filtersToSearchParams(nextFilters, searchParams);
+    next.delete('page');
+    setSearchParams(next);
+  };
+
+  /**
+   * Clear all Discover filters
+   */
+  const handleResetFilters = () => {
+    handleApplyFilters(DEFAULT_FILTERS);
+  };
+
+  /**
+   * Retry whichever request failed last
+   * Retries the next page if some results are already on screen
+   */
+  const handleRetry = () => {
+    if (movies.length > 0) {
+      loadNextPage();
+    } else {
+      loadMovies();
     }
   };
 
@@ -111,10 +382,12 @@ const Home = () => {
   };
 
   /**
-   * Navigate to movie detail page
+   * Navigate to the movie, TV show or person detail page
+   * The offset is saved first so "Back" lands on the same spot
    */
-  const handleMovieClick = (movieId) => {
-    navigate(`/movie/${movieId}`);
+  const handleMovieClick = (movieId, movie) => {
+    saveScrollPosition();
+    navigate(getDetailPath(movie));
   };
 
   return (
@@ -122,10 +395,25 @@ const Home = () => {
       {/* Header Section */}
       <header className="bg-gradient-to-r from-secondary to-accent shadow-lg">
         <div className="max-w-7xl mx-auto px-4 py-8">
+          {/* Navigation */}
+          <nav className="flex justify-end items-center gap-4 mb-4" aria-label={t('nav.main')}>
+            <Link to="/watchlist" className="text-black font-semibold hover:underline">
+              {t('nav.watchlist')}
+            </Link>
+            <Link to="/diary" className="text-black font-semibold hover:underline">
+              {t('nav.diary')}
+            </Link>
+            <Link to="/import" className="text-black font-semibold hover:underline">
+              {t('nav.importExport')}
+            </Link>
+            <LanguageSwitcher />
+          </nav>
+
           {/* App Title */}
           <div className="text-center">
             <h1 className="text-4xl md:text-5xl font-bold text-black mb-2">
-              <img src={logo} alt="MoviePedia Logo" className="inline-block w-15 h-15 md:w-25 md:h-25 mr-2" /> Movie Explorer
+              <img src={logo} alt={t('home.logoAlt')} className="inline-block w-15 h-15 md:w-25 md:h-25 mr-2" />{' '}
+              {t('common.appName')}
             </h1>
           </div>
 
@@ -133,52 +421,112 @@ const Home = () => {
           <SearchBar
             value={searchQuery}
             onChange={handleSearchChange}
-            onSearch={handleSearch}
-            placeholder="Search for movies..."
+            onSearch={commitSearch}
+            onSelect={(item) => handleMovieClick(item.id, item)}
+            mediaType={mediaType}
+            placeholder={t(`home.searchPlaceholder.${mediaType}`)}
           />
         </div>
       </header>
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 py-8">
+        {/* Movies / TV Shows */}
+        <div role="tablist" aria-label={t('home.mediaTypeTabs')} className="flex gap-2 mb-6">
+          {MEDIA_TABS.map((type) => (
+            <button
+              key={type}
+              type="button"
+              role="tab"
+              aria-selected={mediaType === type}
+              onClick={() => handleMediaTypeChange(type)}
+              className={`px-4 py-2 rounded-lg font-semibold transition-colors duration-300
+                          ${mediaType === type ? 'bg-highlight text-white' : 'bg-secondary text-white hover:bg-accent'}`}
+            >
+              {t(`home.tabs.${type}`)}
+            </button>
+          ))}
+        </div>
+
+        {/* Discover Filters (movies only; TMDB search can't be filtered, so hide them while searching) */}
+        {!isSearching && !isTv && (
+          <FilterPanel
+            key={filtersKey}
+            filters={filters}
+            onApply={handleApplyFilters}
+            onReset={handleResetFilters}
+          />
+        )}
+
         {/* Section Title */}
-        <div className="mb-6">
+        <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
           <h2 className="text-2xl md:text-3xl font-bold text-black">
             {isSearching ? (
               <>
-                Search Results for "{searchQuery}"
+                {t('home.searchResults', { query: urlQuery })}
+                <span className="text-gray-400 text-lg ml-2">
+                  ({t(`home.count.${isMultiSearch ? 'multi' : mediaType}`, { count: totalResults })})
+                </span>
+              </>
+            ) : isDiscovering ? (
+              <>
+                {t('home.discover')}
                 <span className="text-gray-400 text-lg ml-2">
-                  ({movies.length} {movies.length === 1 ? 'movie' : 'movies'})
+                  ({t('home.count.movie', { count: totalResults })})
                 </span>
               </>
             ) : (
-              'Popular Movies'
+              t(`home.popular.${mediaType}`)
             )}
           </h2>
+
+          {/* Search Scope (movie searches only) */}
+          {isSearching && !isTv && (
+            <label className="flex items-center gap-2 text-black font-semibold cursor-pointer">
+              <input
+                type="checkbox"
+                checked={moviesOnly}
+                onChange={handleMoviesOnlyChange}
+                className="w-4 h-4 accent-highlight"
+              />
+              {t('home.moviesOnly')}
+            </label>
+          )}
         </div>
 
-        {/* Error Message */}
-        {error && (
-          <div className="bg-red-500/10 border border-red-500 text-red-500 px-4 py-3 rounded-lg mb-6">
-            <div className="flex items-center gap-2">
-              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                <path
-                  fillRule="evenodd"
-                  d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z"
-                  clipRule="evenodd"
-                />
-              </svg>
-              <span>{error}</span>
-            </div>
-          </div>
+        {/* Error Message (inline when earlier pages are still on screen) */}
+        {error && movies.length > 0 && (
+          <ErrorState error={error} onRetry={handleRetry} compact />
         )}
 
         {/* Loading State */}
         {loading ? (
           <LoadingSpinner />
+        ) : error && movies.length === 0 ? (
+          /* Error State (nothing to show) */
+          <ErrorState error={error} onRetry={handleRetry} />
         ) : (
-          /* Movie Grid */
-          <MovieList movies={movies} onMovieClick={handleMovieClick} />
+          <>
+            {/* Movie Grid */}
+            <MovieList
+              movies={movies}
+              onMovieClick={handleMovieClick}
+              showTypeBadges={isMultiSearch}
+              emptyTitle={isTv ? t('home.empty.tvTitle') : isMultiSearch ? t('home.empty.multiTitle') : undefined}
+              emptyMessage={
+                isTv ? t('home.empty.tvMessage') : isMultiSearch ? t('home.empty.multiMessage') : undefined
+              }
+            />
+
+            {/* Next Page (infinite scroll + "Load More" fallback) */}
+            {movies.length > 0 && !error && (
+              <LoadMoreTrigger
+                onLoadMore={handleLoadMore}
+                hasMore={page < totalPages}
+                loading={loadingMore}
+              />
+            )}
+          </>
         )}
       </main>
 
@@ -186,7 +534,7 @@ const Home = () => {
       <footer className="bg-secondary mt-16 py-6">
         <div className="max-w-7xl mx-auto px-4 text-center text-gray-400">
           <p>
-            Movie data provided by{' '}
+            {t('footer.credit')}{' '}
             <a
               href="https://www.themoviedb.org/"
               target="_blank"
@@ -197,8 +545,19 @@ const Home = () => {
             </a>
           </p>
           <p className="text-sm mt-2">
-            © 2026 Movie Explorer - All rights reserved.
+            {t('footer.rights')}
           </p>
+
+          {/* Keyboard Shortcuts On / Off */}
+          <label className="inline-flex items-center gap-2 text-sm mt-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={shortcutsEnabled}
+              onChange={(e) => setShortcutsEnabled(e.target.checked)}
+              className="w-4 h-4 accent-highlight"
+            />
+            {t('shortcuts.footerToggle')}
+          </label>
         </div>
       </footer>
     </div>
@@ -0,0 +1,407 @@
+/**
+ * ImportExport Page Component
+ *
+ * Bring lists in from Letterboxd / IMDb and take the app's data out again
+ * Features:
+ * - Import a Letterboxd or IMDb CSV export (or the app's own CSV)
+ * - Rows are matched to TMDB with a progress bar; matching can be cancelled
+ * - Review screen: pick the right movie for ambiguous rows, search for unmatched ones, or skip them
+ * - Choose where the rows go (watchlist, favorites or diary)
+ * - Restore a JSON backup (replaces the saved data after a confirmation; a damaged backup is rejected as a whole)
+ * - Export the watchlist, favorites and diary as CSV, or everything as a JSON backup
+ *
+ * State Management:
+ * - step: 'choose' | 'matching' | 'review' | 'done'
+ * - format: Detected export format (key of IMPORT_FORMATS)
+ * - rows: Import rows with their match ({ status, movie, candidates })
+ * - skipped: Indexes of matched rows the user left out
+ * - target: Where the rows go (key of IMPORT_TARGETS)
+ * - progress: Matching progress ({ done, total })
+ * - error: Message key when the file can't be imported
+ * - result: Summary of the finished import or restore
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import ImportReviewRow from '../components/ImportReviewRow';
+import useI18n from '../hooks/useI18n';
+import { isAbortError } from '../services/api';
+import { LISTS } from '../services/watchlist';
+import { today } from '../services/diary';
+import { getDetailPath, getTitle, getReleaseYear } from '../services/media';
+import {
+  IMPORT_FORMATS,
+  IMPORT_TARGETS,
+  MATCH_STATUS,
+  parseImportFile,
+  matchRows,
+  applyImport,
+  getImportableRows,
+  parseBackup,
+  restoreBackup,
+  exportListCsv,
+  exportDiaryCsv,
+  exportBackup,
+  downloadFile
+} from '../services/importExport';
+
+// Labels are message keys: transfer.export.<key>
+const EXPORTS = [
+  { key: LISTS.WATCHLIST, build: () => exportListCsv(LISTS.WATCHLIST), extension: 'csv', type: 'text/csv' },
+  { key: LISTS.FAVORITES, build: () => exportListCsv(LISTS.FAVORITES), extension: 'csv', type: 'text/csv' },
+  { key: 'diary', build: exportDiaryCsv, extension: 'csv', type: 'text/csv' },
+  { key: 'backup', build: exportBackup, extension: 'json', type: 'application/json' }
+];
+
+const ImportExport = () => {
+  const navigate = useNavigate();
+  const { t } = useI18n();
+
+  // State management
+  const [step, setStep] = useState('choose');
+  const [format, setFormat] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [skipped, setSkipped] = useState(() => new Set());
+  const [target, setTarget] = useState(null);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  // Controller of the running match, to cancel it
+  const matchControllerRef = useRef(null);
+
+  // Stop matching when leaving the page
+  useEffect(() => () => matchControllerRef.current?.abort(), []);
+
+  /**
+   * Read the chosen file: restore a backup, or parse and match a CSV export
+   */
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    // Allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    let text;
+    try {
+      text = await file.text();
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      setError('transfer.unreadable');
+      return;
+    }
+
+    const parsedBackup = parseBackup(text);
+    if (parsedBackup) {
+      if (!parsedBackup.valid) {
+        setError('transfer.invalidBackup');
+        return;
+      }
+      if (window.confirm(t('transfer.confirmRestore'))) {
+        restoreBackup(parsedBackup.backup);
+        setResult({ restored: true });
+        setStep('done');
+      }
+      return;
+    }
+
+    const parsed = parseImportFile(text);
+    if (!parsed.format) {
+      setError('transfer.unsupported');
+      return;
+    }
+    if (parsed.rows.length === 0) {
+      setError('transfer.emptyFile');
+      return;
+    }
+
+    setFormat(parsed.format);
+    setTarget(IMPORT_FORMATS[parsed.format].defaultTarget);
+    setProgress({ done: 0, total: parsed.rows.length });
+    setStep('matching');
+
+    const controller = new AbortController();
+    matchControllerRef.current = controller;
+    try {
+      const matched = await matchRows(parsed.rows, {
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      setRows(matched);
+      setSkipped(new Set());
+      setStep('review');
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error('Error matching import rows:', err);
+      setError('transfer.matchError');
+      setStep('choose');
+    }
+  };
+
+  /**
+   * Cancel the running match
+   */
+  const handleCancel = () => {
+    matchControllerRef.current?.abort();
+    setStep('choose');
+  };
+
+  /**
+   * Pick the movie for a row (null = skip it)
+   */
+  const resolveRow = (index, movie) => {
+    setRows((prev) => prev.map((row) => (row.index === index ? { ...row, movie } : row)));
+  };
+
+  /**
+   * Leave a matched row out of the import, or put it back
+   */
+  const toggleSkipped = (index) => {
+    setSkipped((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  /**
+   * Write the chosen rows into the target list
+   */
+  const handleImport = () => {
+    setResult(applyImport(rows.map((row) => (skipped.has(row.index) ? { ...row, movie: null } : row)), target));
+    setStep('done');
+  };
+
+  /**
+   * Start over with another file
+   */
+  const handleRestart = () => {
+    setRows([]);
+    setResult(null);
+    setStep('choose');
+  };
+
+  /**
+   * Download one of the exports
+   */
+  const handleExport = ({ key, build, extension, type }) => {
+    downloadFile(build(), `moviepedia-${key}-${today()}.${extension}`, type);
+  };
+
+  const matchedRows = rows.filter((row) => row.status === MATCH_STATUS.MATCHED);
+  const reviewRows = rows.filter((row) => row.status !== MATCH_STATUS.MATCHED);
+  const chosenCount = target
+    ? getImportableRows(rows.filter((row) => !skipped.has(row.index)), target).length
+    : 0;
+
+  return (
+    <div className="min-h-screen bg-primary">
+      {/* Header Section */}
+      <header className="bg-gradient-to-r from-secondary to-accent shadow-lg">
+        <div className="max-w-7xl mx-auto px-4 py-8">
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <button
+              type="button"
+              onClick={() => navigate('/')}
+              className="flex items-center gap-2 text-black hover:underline"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              {t('common.backToHome')}
+            </button>
+            <LanguageSwitcher />
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-black">{t('transfer.title')}</h1>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-7xl mx-auto px-4 py-8 text-black space-y-12">
+        {/* Import */}
+        <section aria-labelledby="import-heading">
+          <h2 id="import-heading" className="text-2xl font-bold mb-4">
+            {t('transfer.import')}
+          </h2>
+
+          {step === 'choose' && (
+            <div className="bg-white/40 backdrop-blur-lg rounded-lg p-4 md:p-6">
+              <p className="text-gray-700 mb-4">{t('transfer.importHint')}</p>
+              <label className="inline-flex items-center gap-2 bg-highlight hover:bg-highlight/80 text-white px-6 py-2
+                                rounded-lg cursor-pointer transition-colors duration-300">
+                {t('transfer.chooseFile')}
+                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="sr-only" />
+              </label>
+              {error && (
+                <p className="text-red-600 mt-4" role="alert">
+                  {t(error)}
+                </p>
+              )}
+            </div>
+          )}
+
+          {step === 'matching' && (
+            <div className="bg-white/40 backdrop-blur-lg rounded-lg p-4 md:p-6" aria-live="polite">
+              <p className="mb-2">{t('transfer.matching', { done: progress.done, total: progress.total })}</p>
+              <progress value={progress.done} max={progress.total} className="w-full accent-highlight mb-4" />
+              <button
+                type="button"
+                onClick={handleCancel}
+                className="bg-secondary hover:bg-accent text-white px-6 py-2 rounded-lg transition-colors duration-300"
+              >
+                {t('transfer.cancel')}
+              </button>
+            </div>
+          )}
+
+          {step === 'review' && (
+            <div className="space-y-6">
+              {/* Summary + Target */}
+              <div className="bg-white/40 backdrop-blur-lg rounded-lg p-4 md:p-6 flex flex-wrap items-end justify-between gap-4">
+                <div>
+                  <p className="font-semibold">{t(IMPORT_FORMATS[format].labelKey)}</p>
+                  <p className="text-gray-700">
+                    {t('transfer.summary', {
+                      matched: matchedRows.length,
+                      review: reviewRows.length
+                    })}
+                  </p>
+                </div>
+                <label className="block">
+                  <span className="block font-semibold mb-2">{t('transfer.importInto')}</span>
+                  <select
+                    value={target}
+                    onChange={(e) => setTarget(e.target.value)}
+                    className="bg-secondary text-white rounded-lg px-3 py-2 border border-black/50"
+                  >
+                    {IMPORT_FORMATS[format].targets.map((key) => (
+                      <option key={key} value={key}>
+                        {t(IMPORT_TARGETS[key].labelKey)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              {/* Needs Review */}
+              {reviewRows.length > 0 && (
+                <div>
+                  <h3 className="text-xl font-bold mb-3">{t('transfer.review.title', { count: reviewRows.length })}</h3>
+                  <ul className="space-y-3">
+                    {reviewRows.map((row) => (
+                      <ImportReviewRow
+                        key={row.index}
+                        row={row}
+                        onResolve={(movie) => resolveRow(row.index, movie)}
+                      />
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Matched */}
+              {matchedRows.length > 0 && (
+                <details className="bg-white/40 backdrop-blur-lg rounded-lg p-4 md:p-6">
+                  <summary className="font-semibold cursor-pointer">
+                    {t('transfer.matched', { count: matchedRows.length })}
+                  </summary>
+                  <ul className="mt-4 space-y-2">
+                    {matchedRows.map((row) => (
+                      <li key={row.index}>
+                        <label className="flex items-center gap-3 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={!skipped.has(row.index)}
+                            onChange={() => toggleSkipped(row.index)}
+                            className="accent-highlight"
+                          />
+                          <span className={skipped.has(row.index) ? 'line-through text-gray-700' : ''}>
+                            {row.title || row.imdbId}
+                            <span className="text-gray-700">
+                              {' → '}
+                              <Link to={getDetailPath(row.movie)} target="_blank" className="hover:underline">
+                                {getTitle(row.movie)} ({getReleaseYear(row.movie) || '?'})
+                              </Link>
+                            </span>
+                          </span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+
+              {/* Actions */}
+              <div className="flex flex-wrap justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={handleRestart}
+                  className="bg-secondary hover:bg-accent text-white px-6 py-2 rounded-lg transition-colors duration-300"
+                >
+                  {t('transfer.cancel')}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={chosenCount === 0}
+                  className="bg-highlight hover:bg-highlight/80 text-white px-6 py-2 rounded-lg transition-colors duration-300
+                             disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {t('transfer.importCount', { count: chosenCount })}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'done' && result && (
+            <div className="bg-white/40 backdrop-blur-lg rounded-lg p-4 md:p-6" role="status">
+              <p className="font-semibold mb-4">
+                {result.restored
+                  ? t('transfer.restored')
+                  : t('transfer.done', { imported: result.imported, skipped: result.skipped })}
+              </p>
+              <div className="flex flex-wrap gap-4">
+                <Link to="/watchlist" className="font-semibold hover:underline">
+                  {t('nav.watchlist')}
+                </Link>
+                <Link to="/diary" className="font-semibold hover:underline">
+                  {t('nav.diary')}
+                </Link>
+                <button type="button" onClick={handleRestart} className="font-semibold hover:underline">
+                  {t('transfer.importAnother')}
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+
+        {/* Export */}
+        <section aria-labelledby="export-heading">
+          <h2 id="export-heading" className="text-2xl font-bold mb-4">
+            {t('transfer.export.title')}
+          </h2>
+          <div className="bg-white/40 backdrop-blur-lg rounded-lg p-4 md:p-6">
+            <p className="text-gray-700 mb-4">{t('transfer.export.hint')}</p>
+            <div className="flex flex-wrap gap-2">
+              {EXPORTS.map((option) => (
+                <button
+                  key={option.key}
+                  type="button"
+                  onClick={() => handleExport(option)}
+                  className="bg-secondary hover:bg-accent text-white px-4 py-2 rounded-lg transition-colors duration-300"
+                >
+                  {t(`transfer.export.${option.key}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default ImportExport;
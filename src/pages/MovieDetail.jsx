@@ -4,63 +4,126 @@
  * Detailed view of a single movie
  * Features:
  * - Full movie information (poster, title, rating, overview, release date)
- * - Backdrop image with gradient overlay
- * - Back button to return to home
+ * - Backdrop image with gradient overlay (responsive sizes, never the multi-megabyte original)
+ * - "Play trailer" button opening a modal video player
+ * - Add to watchlist / favorites, or to the comparison
+ * - "Part of the ... Collection" banner linking to the collection page, for franchise films
+ * - Key crew (director, writers, composer) and a scrollable top-billed cast row
+ * - "Where to watch": streaming, rent and buy providers for the chosen region
+ * - Personal diary: half-star rating, private note and "watched on" entries (stored locally)
+ * - "Recommended" and "Similar" carousels, loaded when scrolled into view
+ * - Back button returns to the previous page (same results and scroll offset), or home
+ * - Texts, dates and money in the chosen language; details reload when it changes
  * - Loading state while fetching data
- * - Error handling
+ * - Pending request is aborted when the ID changes or the page unmounts
+ * - Error handling (not found, offline, auth... each with its own message)
  * - Responsive design
  * 
  * State Management:
  * - movie: Movie details object
  * - loading: Boolean for loading state
- * - error: Error message string
+ * - error: Error thrown by the API service (typed, see services/errors.js)
+ * - showTrailer: Whether the video player modal is open
  */
 
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { fetchMovieDetails, getImageUrl, formatDate, formatRating } from '../services/api';
+import ErrorState from '../components/ErrorState';
+import ListToggleButton from '../components/ListToggleButton';
+import CastRow from '../components/CastRow';
+import TrailerModal from '../components/TrailerModal';
+import MovieCarousel from '../components/MovieCarousel';
+import WatchProviders from '../components/WatchProviders';
+import DiaryPanel from '../components/DiaryPanel';
+import ResponsiveImage from '../components/ResponsiveImage';
+import CompareButton from '../components/CompareButton';
+import useI18n from '../hooks/useI18n';
+import {
+  fetchMovieDetails,
+  fetchRecommendedMovies,
+  fetchSimilarMovies,
+  formatDate,
+  formatRating,
+  formatCurrency,
+  isAbortError
+} from '../services/api';
+import { LISTS } from '../services/watchlist';
+import { getTopCast, getKeyCrew } from '../services/credits';
 
 const MovieDetail = () => {
   // Get movie ID from URL parameters
   const { id } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
+  const { locale, t } = useI18n();
 
   // State management
   const [movie, setMovie] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showTrailer, setShowTrailer] = useState(false);
+  // Bumped by "Try Again", so a retry runs through the effect and can be cancelled like the first load
+  const [retryKey, setRetryKey] = useState(0);
+
+  // Stable so the modal's Escape listener isn't re-attached on every render
+  const closeTrailer = useCallback(() => setShowTrailer(false), []);
 
   /**
-   * Fetch movie details when component mounts or ID changes
+   * Fetch movie details when component mounts, the ID changes, the language changes or on retry
    */
   useEffect(() => {
-    loadMovieDetails();
+    // Start at the top, not at the offset of the page we came from
+    window.scrollTo(0, 0);
+    setShowTrailer(false);
+
+    const controller = new AbortController();
+    loadMovieDetails(controller.signal);
+
+    // Cancel the request if the ID changes or the page unmounts
+    return () => controller.abort();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [id]);
+  }, [id, locale, retryKey]);
 
   /**
    * Load movie details from API
+   * @param {AbortSignal} signal - Signal to cancel the request
    */
-  const loadMovieDetails = async () => {
+  const loadMovieDetails = async (signal) => {
     try {
       setLoading(true);
       setError(null);
-      const data = await fetchMovieDetails(id);
+      const data = await fetchMovieDetails(id, { signal });
       setMovie(data);
     } catch (err) {
-      setError('Failed to load movie details. Please try again.');
+      // Request was cancelled - a newer one is already running
+      if (isAbortError(err)) return;
+      setError(err);
       console.error('Error loading movie details:', err);
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
   /**
-   * Navigate back to home page
+   * Open another movie (from the carousels)
+   */
+  const handleMovieClick = (movieId) => {
+    navigate(`/movie/${movieId}`);
+  };
+
+  /**
+   * Go back to the previous page (e.g. the search results we came from)
+   * Falls back to home when the movie was opened directly from a link
    */
   const handleBack = () => {
-    navigate('/');
+    if (location.key !== 'default') {
+      navigate(-1);
+    } else {
+      navigate('/');
+    }
   };
 
   // Show loading state
@@ -74,35 +137,43 @@ const MovieDetail = () => {
 
   // Show error state
   if (error || !movie) {
+    // A missing movie can't be fixed by retrying
+    const canRetry = error && error.type !== 'not-found' && error.type !== 'auth';
     return (
       <div className="min-h-screen bg-primary flex items-center justify-center px-4">
-        <div className="text-center">
-          <div className="text-6xl mb-4">😕</div>
-          <h2 className="text-2xl text-white mb-4">Oops! Something went wrong</h2>
-          <p className="text-gray-400 mb-6">{error || 'Movie not found'}</p>
-          <button
-            onClick={handleBack}
-            className="bg-highlight hover:bg-highlight/80 text-white px-6 py-3 rounded-lg
-                       transition-colors duration-300"
-          >
-            Back to Home
-          </button>
-        </div>
+        <ErrorState
+          error={error || { type: 'not-found' }}
+          onRetry={canRetry ? () => setRetryKey((key) => key + 1) : undefined}
+          onBack={handleBack}
+          overrides={{
+            'not-found': {
+              icon: '🎬',
+              title: t('movie.notFoundTitle'),
+              message: t('movie.notFoundMessage')
+            }
+          }}
+        />
       </div>
     );
   }
 
+  const keyCrew = getKeyCrew(movie.credits);
+
   return (
     <div className="min-h-screen bg-primary">
       {/* Backdrop Image Section */}
       <div className="relative h-[50vh] md:h-[60vh] overflow-hidden">
         {/* Backdrop Image */}
-        <div
-          className="absolute inset-0 bg-cover bg-center bg-no-repeat"
-          style={{
-            backgroundImage: `url(${getImageUrl(movie.backdrop_path || movie.poster_path, 'original')})`,
-          }}
-        >
+        <div className="absolute inset-0">
+          <ResponsiveImage
+            path={movie.backdrop_path || movie.poster_path}
+            type={movie.backdrop_path ? 'backdrop' : 'poster'}
+            sizes="100vw"
+            alt=""
+            className="w-full h-full"
+            priority
+          />
+
           {/* Gradient Overlay */}
           <div className="absolute inset-0 bg-gradient-to-t from-primary via-primary/80 to-transparent"></div>
           <div className="absolute inset-0 bg-gradient-to-r from-primary/90 via-primary/50 to-primary/90"></div>
@@ -123,19 +194,43 @@ const MovieDetail = () => {
               d="M15 19l-7-7 7-7"
             />
           </svg>
-          Back
+          {t('common.back')}
         </button>
+
+        {/* Play Trailer */}
+        <div className="absolute inset-x-0 top-1/3 flex justify-center z-10">
+          <button
+            type="button"
+            onClick={() => setShowTrailer(true)}
+            aria-haspopup="dialog"
+            className="flex items-center gap-3 bg-black/60 hover:bg-highlight text-white
+                       px-6 py-3 rounded-full backdrop-blur-sm font-semibold text-lg
+                       transition-all duration-300"
+          >
+            <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+              <path d="M6.3 2.841A1.5 1.5 0 004 4.11v11.78a1.5 1.5 0 002.3 1.269l9.344-5.89a1.5 1.5 0 000-2.538L6.3 2.84z" />
+            </svg>
+            {t('movie.playTrailer')}
+          </button>
+        </div>
       </div>
 
+      {/* Trailer Player */}
+      {showTrailer && (
+        <TrailerModal movieId={movie.id} movieTitle={movie.title} onClose={closeTrailer} />
+      )}
+
       {/* Movie Details Section */}
       <div className="max-w-7xl mx-auto px-4 -mt-32 md:-mt-40 relative z-10">
         <div className="flex flex-col md:flex-row gap-8">
           {/* Movie Poster */}
           <div className="flex-shrink-0">
-            <img
-              src={getImageUrl(movie.poster_path, 'w500')}
-              alt={`${movie.title} poster`}
-              className="w-full md:w-80 rounded-lg shadow-2xl"
+            <ResponsiveImage
+              path={movie.poster_path}
+              sizes="(min-width: 768px) 320px, 100vw"
+              alt={t('common.poster', { title: movie.title })}
+              className="w-full md:w-80 aspect-[2/3] rounded-lg shadow-2xl"
+              priority
             />
           </div>
 
@@ -188,11 +283,32 @@ const MovieDetail = () => {
                       d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
                     />
                   </svg>
-                  <span>{movie.runtime} min</span>
+                  <span>{t('common.minutes', { count: movie.runtime })}</span>
                 </div>
               )}
             </div>
 
+            {/* Watchlist / Favorites / Compare */}
+            <div className="flex flex-wrap gap-4 mb-6">
+              <ListToggleButton list={LISTS.WATCHLIST} movie={movie} />
+              <ListToggleButton list={LISTS.FAVORITES} movie={movie} />
+              <CompareButton movie={movie} />
+            </div>
+
+            {/* Collection Banner */}
+            {movie.belongs_to_collection && (
+              <Link
+                to={`/collection/${movie.belongs_to_collection.id}`}
+                className="flex items-center justify-between gap-4 mb-6 bg-secondary rounded-lg shadow-lg
+                           px-4 py-3 hover:bg-accent transition-colors duration-300"
+              >
+                <span>
+                  {t('collection.partOf', { name: movie.belongs_to_collection.name })}
+                </span>
+                <span className="shrink-0 font-semibold text-highlight">{t('collection.view')} →</span>
+              </Link>
+            )}
+
             {/* Genres */}
             {movie.genres && movie.genres.length > 0 && (
               <div className="mb-6">
@@ -211,20 +327,43 @@ const MovieDetail = () => {
 
             {/* Overview */}
             <div className="mb-6">
-              <h2 className="text-2xl font-bold mb-3">Overview</h2>
+              <h2 className="text-2xl font-bold mb-3">{t('common.overview')}</h2>
               <p className="text-gray-700 text-lg leading-relaxed">
-                {movie.overview || 'No overview available.'}
+                {movie.overview || t('common.noOverview')}
               </p>
             </div>
 
+            {/* Key Crew */}
+            {keyCrew.length > 0 && (
+              <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+                {keyCrew.map((entry) => (
+                  <div key={entry.role}>
+                    <dt className="text-gray-700 text-sm mb-1">
+                      {t(`crew.${entry.role}`, { count: entry.people.length })}
+                    </dt>
+                    <dd className="font-semibold">
+                      {entry.people.map((person, index) => (
+                        <span key={person.id}>
+                          {index > 0 && ', '}
+                          <Link to={`/person/${person.id}`} className="hover:underline">
+                            {person.name}
+                          </Link>
+                        </span>
+                      ))}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+
             {/* Additional Information */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 bg-secondary p-6 rounded-lg">
               {/* Budget */}
               {movie.budget > 0 && (
                 <div>
-                  <h3 className="text-gray-400 text-sm mb-1">Budget</h3>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('movie.budget')}</h3>
                   <p className="font-semibold">
-                    ${movie.budget.toLocaleString()}
+                    {formatCurrency(movie.budget)}
                   </p>
                 </div>
               )}
@@ -232,9 +371,9 @@ const MovieDetail = () => {
               {/* Revenue */}
               {movie.revenue > 0 && (
                 <div>
-                  <h3 className="text-gray-400 text-sm mb-1">Revenue</h3>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('movie.revenue')}</h3>
                   <p className="font-semibold">
-                    ${movie.revenue.toLocaleString()}
+                    {formatCurrency(movie.revenue)}
                   </p>
                 </div>
               )}
@@ -242,7 +381,7 @@ const MovieDetail = () => {
               {/* Status */}
               {movie.status && (
                 <div>
-                  <h3 className="text-gray-400 text-sm mb-1">Status</h3>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('common.status')}</h3>
                   <p className="font-semibold">{movie.status}</p>
                 </div>
               )}
@@ -250,13 +389,41 @@ const MovieDetail = () => {
               {/* Original Language */}
               {movie.original_language && (
                 <div>
-                  <h3 className="text-gray-400 text-sm mb-1">Original Language</h3>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('common.originalLanguage')}</h3>
                   <p className="font-semibold uppercase">{movie.original_language}</p>
                 </div>
               )}
             </div>
           </div>
         </div>
+
+        {/* Your Diary */}
+        <DiaryPanel key={`diary-${movie.id}`} movie={movie} />
+
+        {/* Where to Watch */}
+        <WatchProviders key={`watch-${movie.id}-${locale}`} movieId={movie.id} movieTitle={movie.title} />
+
+        {/* Top Billed Cast */}
+        <section className="mt-12 text-black">
+          <h2 className="text-2xl font-bold mb-4">{t('movie.topBilledCast')}</h2>
+          <CastRow cast={getTopCast(movie.credits)} />
+        </section>
+
+        {/* Recommended & Similar (keyed so they reload for each movie and language) */}
+        <MovieCarousel
+          key={`recommended-${movie.id}-${locale}`}
+          title={t('movie.recommended')}
+          loadMovies={(signal) => fetchRecommendedMovies(movie.id, 1, { signal })}
+          onMovieClick={handleMovieClick}
+          emptyMessage={t('movie.noRecommendations')}
+        />
+        <MovieCarousel
+          key={`similar-${movie.id}-${locale}`}
+          title={t('movie.similar')}
+          loadMovies={(signal) => fetchSimilarMovies(movie.id, 1, { signal })}
+          onMovieClick={handleMovieClick}
+          emptyMessage={t('movie.noSimilar')}
+        />
       </div>
 
       {/* Footer Spacing */}
@@ -0,0 +1,237 @@
+/**
+ * Person Page Component
+ *
+ * Actor / crew member page
+ * Features:
+ * - Profile picture, known for, birthday, place of birth
+ * - Biography
+ * - Filmography sorted by year (acting and crew credits merged per movie),
+ *   each entry linking to the movie page
+ * - Back button to return to the previous page
+ * - Biography in the chosen language (reloads when it changes)
+ * - Pending request is aborted when the ID changes or the page unmounts
+ * - Error handling (not found, offline, auth... each with its own message)
+ *
+ * State Management:
+ * - person: Person details object (with movie_credits)
+ * - loading: Boolean for loading state
+ * - error: Error thrown by the API service (typed, see services/errors.js)
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorState from '../components/ErrorState';
+import useI18n from '../hooks/useI18n';
+import { fetchPersonDetails, getImageUrl, formatDate, isAbortError } from '../services/api';
+import { buildFilmography } from '../services/credits';
+
+const Person = () => {
+  // Get person ID from URL parameters
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { locale, t } = useI18n();
+
+  // State management
+  const [person, setPerson] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Incremented by "Try Again": the effect reloads with a fresh AbortController
+  const [retryKey, setRetryKey] = useState(0);
+
+  /**
+   * Fetch person details when component mounts, the ID changes, the language changes or on retry
+   */
+  useEffect(() => {
+    window.scrollTo(0, 0);
+
+    const controller = new AbortController();
+    loadPerson(controller.signal);
+
+    // Cancel the request if the ID changes or the page unmounts
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, locale, retryKey]);
+
+  /**
+   * Load person details from API
+   * @param {AbortSignal} signal - Signal to cancel the request
+   */
+  const loadPerson = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setPerson(await fetchPersonDetails(id, { signal }));
+    } catch (err) {
+      // Request was cancelled - a newer one is already running
+      if (isAbortError(err)) return;
+      setError(err);
+      console.error('Error loading person:', err);
+    } finally {
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  /**
+   * Describe a filmography role (see buildFilmography)
+   * @param {Object} role - { character } or { job }
+   * @returns {string} e.g. "as Batman", "Actor" or "Director"
+   */
+  const formatRole = (role) => {
+    if (role.job) return role.job;
+    return role.character ? t('person.asCharacter', { character: role.character }) : t('person.actor');
+  };
+
+  /**
+   * Go back to the previous page, or home when opened directly from a link
+   */
+  const handleBack = () => {
+    if (location.key !== 'default') {
+      navigate(-1);
+    } else {
+      navigate('/');
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-primary flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  // Show error state
+  if (error || !person) {
+    const canRetry = error && error.type !== 'not-found' && error.type !== 'auth';
+    return (
+      <div className="min-h-screen bg-primary flex items-center justify-center px-4">
+        <ErrorState
+          error={error || { type: 'not-found' }}
+          onRetry={canRetry ? () => setRetryKey((key) => key + 1) : undefined}
+          onBack={handleBack}
+          backLabel={t('common.back')}
+          overrides={{
+            'not-found': {
+              icon: '🎭',
+              title: t('person.notFoundTitle'),
+              message: t('person.notFoundMessage')
+            }
+          }}
+        />
+      </div>
+    );
+  }
+
+  const filmography = buildFilmography(person.movie_credits);
+
+  return (
+    <div className="min-h-screen bg-primary">
+      {/* Header Section */}
+      <header className="bg-gradient-to-r from-secondary to-accent shadow-lg">
+        <div className="max-w-7xl mx-auto px-4 py-4">
+          <button
+            type="button"
+            onClick={handleBack}
+            className="flex items-center gap-2 text-black hover:underline"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            {t('common.back')}
+          </button>
+        </div>
+      </header>
+
+      {/* Person Details Section */}
+      <main className="max-w-7xl mx-auto px-4 py-8 text-black">
+        <div className="flex flex-col md:flex-row gap-8">
+          {/* Profile Picture */}
+          <div className="flex-shrink-0">
+            <img
+              src={getImageUrl(person.profile_path, 'h632')}
+              alt={person.name}
+              className="w-64 md:w-72 rounded-lg shadow-2xl"
+            />
+
+            {/* Personal Info */}
+            <dl className="mt-6 space-y-3">
+              {person.known_for_department && (
+                <div>
+                  <dt className="text-gray-700 text-sm">{t('person.knownFor')}</dt>
+                  <dd className="font-semibold">{person.known_for_department}</dd>
+                </div>
+              )}
+              {person.birthday && (
+                <div>
+                  <dt className="text-gray-700 text-sm">{t('person.born')}</dt>
+                  <dd className="font-semibold">{formatDate(person.birthday)}</dd>
+                </div>
+              )}
+              {person.deathday && (
+                <div>
+                  <dt className="text-gray-700 text-sm">{t('person.died')}</dt>
+                  <dd className="font-semibold">{formatDate(person.deathday)}</dd>
+                </div>
+              )}
+              {person.place_of_birth && (
+                <div>
+                  <dt className="text-gray-700 text-sm">{t('person.placeOfBirth')}</dt>
+                  <dd className="font-semibold">{person.place_of_birth}</dd>
+                </div>
+              )}
+            </dl>
+          </div>
+
+          {/* Biography + Filmography */}
+          <div className="flex-1">
+            <h1 className="text-4xl md:text-5xl font-bold mb-6">{person.name}</h1>
+
+            {/* Biography */}
+            <section className="mb-8">
+              <h2 className="text-2xl font-bold mb-3">{t('person.biography')}</h2>
+              <p className="text-gray-700 text-lg leading-relaxed whitespace-pre-line">
+                {person.biography || t('person.noBiography', { name: person.name })}
+              </p>
+            </section>
+
+            {/* Filmography */}
+            <section>
+              <h2 className="text-2xl font-bold mb-3">{t('person.filmography')}</h2>
+              {filmography.length === 0 ? (
+                <p className="text-gray-700">{t('person.noCredits')}</p>
+              ) : (
+                <ol className="bg-secondary rounded-lg divide-y divide-black/10">
+                  {filmography.map((entry) => (
+                    <li key={entry.id} className="flex gap-4 px-4 py-3">
+                      <span className="w-12 flex-shrink-0 text-gray-700 tabular-nums">
+                        {entry.year || '—'}
+                      </span>
+                      <div>
+                        <Link to={`/movie/${entry.id}`} className="font-semibold hover:underline">
+                          {entry.title}
+                        </Link>
+                        {entry.roles.length > 0 && (
+                          <p className="text-sm text-gray-700">{entry.roles.map(formatRole).join(', ')}</p>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </section>
+          </div>
+        </div>
+      </main>
+
+      {/* Footer Spacing */}
+      <div className="h-16"></div>
+    </div>
+  );
+};
+
+export default Person;
@@ -0,0 +1,481 @@
+/**
+ * TvDetail Page Component
+ *
+ * Detailed view of a single TV show
+ * Features:
+ * - Show information (poster, name, rating, first air date, seasons, networks, creators)
+ * - Backdrop image with gradient overlay
+ * - Add to watchlist / favorites
+ * - Season tabs (kept in the URL as ?season=N) with the episodes of the selected season:
+ *   still, episode number, name, air date, runtime and overview
+ * - Back button returns to the previous page, or home
+ * - Show and episode texts in the chosen language (reloads when it changes)
+ * - Pending requests are aborted when the show / season changes or the page unmounts
+ * - Error handling (not found, offline, auth... each with its own message)
+ *
+ * State Management:
+ * - show: TV show details object (seasons without episodes)
+ * - loading / error: Show request state
+ * - season: Selected season with its episodes
+ * - seasonLoading / seasonError: Season request state
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorState from '../components/ErrorState';
+import ListToggleButton from '../components/ListToggleButton';
+import ResponsiveImage from '../components/ResponsiveImage';
+import useI18n from '../hooks/useI18n';
+import { fetchTvDetails, fetchTvSeason, getImageUrl, formatDate, formatRating, isAbortError } from '../services/api';
+import { LISTS } from '../services/watchlist';
+
+/**
+ * Seasons in tab order: regular seasons first, "Specials" (season 0) last
+ * @param {Array} seasons - Seasons from the show details
+ * @returns {Array} Sorted copy
+ */
+const orderSeasons = (seasons = []) =>
+  [...seasons].sort((a, b) => {
+    if (a.season_number === 0) return 1;
+    if (b.season_number === 0) return -1;
+    return a.season_number - b.season_number;
+  });
+
+const TvDetail = () => {
+  // Get show ID from URL parameters
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { locale, t } = useI18n();
+
+  // State management
+  const [show, setShow] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [season, setSeason] = useState(null);
+  const [seasonLoading, setSeasonLoading] = useState(false);
+  const [seasonError, setSeasonError] = useState(null);
+  // Bumped by "Try Again", so retries run through the effects and can be cancelled like the first loads
+  const [retryKey, setRetryKey] = useState(0);
+  const [seasonRetryKey, setSeasonRetryKey] = useState(0);
+
+  const tabRefs = useRef({});
+
+  const seasons = orderSeasons(show?.seasons);
+  const seasonParam = Number.parseInt(searchParams.get('season'), 10);
+  const selectedSeason = seasons.some((s) => s.season_number === seasonParam)
+    ? seasonParam
+    : seasons[0]?.season_number;
+
+  /**
+   * Fetch show details when component mounts, the ID changes, the language changes or on retry
+   * (a new show object also reloads the selected season below)
+   */
+  useEffect(() => {
+    window.scrollTo(0, 0);
+
+    const controller = new AbortController();
+    loadShow(controller.signal);
+
+    // Cancel the request if the ID changes or the page unmounts
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, locale, retryKey]);
+
+  /**
+   * Fetch the episodes whenever another season is selected (and again on retry)
+   */
+  useEffect(() => {
+    if (!show || selectedSeason === undefined) return;
+
+    const controller = new AbortController();
+    loadSeason(selectedSeason, controller.signal);
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [show, selectedSeason, seasonRetryKey]);
+
+  /**
+   * Load TV show details from API
+   * @param {AbortSignal} signal - Signal to cancel the request
+   */
+  const loadShow = async (signal) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setShow(await fetchTvDetails(id, { signal }));
+    } catch (err) {
+      // Request was cancelled - a newer one is already running
+      if (isAbortError(err)) return;
+      setError(err);
+      console.error('Error loading TV show details:', err);
+    } finally {
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  /**
+   * Load one season with its episodes
+   * @param {number} seasonNumber - Season to load
+   * @param {AbortSignal} signal - Signal to cancel the request
+   */
+  const loadSeason = async (seasonNumber, signal) => {
+    try {
+      setSeasonLoading(true);
+      setSeasonError(null);
+      setSeason(await fetchTvSeason(id, seasonNumber, { signal }));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setSeasonError(err);
+      console.error('Error loading season:', err);
+    } finally {
+      if (!signal?.aborted) {
+        setSeasonLoading(false);
+      }
+    }
+  };
+
+  /**
+   * Select a season (replaces the history entry, so Back still leaves the page)
+   */
+  const selectSeason = (seasonNumber) => {
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        next.set('season', String(seasonNumber));
+        return next;
+      },
+      { replace: true }
+    );
+  };
+
+  /**
+   * Arrow keys move between season tabs (WAI-ARIA tabs pattern)
+   */
+  const handleTabKeyDown = (e, index) => {
+    const moves = { ArrowRight: 1, ArrowLeft: -1, Home: -index, End: seasons.length - 1 - index };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    const target = seasons[(index + moves[e.key] + seasons.length) % seasons.length];
+    selectSeason(target.season_number);
+    tabRefs.current[target.season_number]?.focus();
+  };
+
+  /**
+   * Go back to the previous page, or home when opened directly from a link
+   */
+  const handleBack = () => {
+    if (location.key !== 'default') {
+      navigate(-1);
+    } else {
+      navigate('/');
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-primary flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  // Show error state
+  if (error || !show) {
+    const canRetry = error && error.type !== 'not-found' && error.type !== 'auth';
+    return (
+      <div className="min-h-screen bg-primary flex items-center justify-center px-4">
+        <ErrorState
+          error={error || { type: 'not-found' }}
+          onRetry={canRetry ? () => setRetryKey((key) => key + 1) : undefined}
+          onBack={handleBack}
+          overrides={{
+            'not-found': {
+              icon: '📺',
+              title: t('tv.notFoundTitle'),
+              message: t('tv.notFoundMessage')
+            }
+          }}
+        />
+      </div>
+    );
+  }
+
+  // Episodes of the season that was loaded last (hidden while another one loads)
+  const episodes = season?.season_number === selectedSeason ? season.episodes || [] : [];
+  const runtime = show.episode_run_time?.[0];
+
+  return (
+    <div className="min-h-screen bg-primary">
+      {/* Backdrop Image Section */}
+      <div className="relative h-[50vh] md:h-[60vh] overflow-hidden">
+        {/* Backdrop Image */}
+        <div className="absolute inset-0">
+          <ResponsiveImage
+            path={show.backdrop_path || show.poster_path}
+            type={show.backdrop_path ? 'backdrop' : 'poster'}
+            sizes="100vw"
+            alt=""
+            className="w-full h-full"
+            priority
+          />
+
+          {/* Gradient Overlay */}
+          <div className="absolute inset-0 bg-gradient-to-t from-primary via-primary/80 to-transparent"></div>
+          <div className="absolute inset-0 bg-gradient-to-r from-primary/90 via-primary/50 to-primary/90"></div>
+        </div>
+
+        {/* Back Button */}
+        <button
+          onClick={handleBack}
+          className="absolute top-4 left-4 bg-black/50 hover:bg-black/70 text-white
+                     px-4 py-2 rounded-lg backdrop-blur-sm flex items-center gap-2
+                     transition-all duration-300 z-10"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          {t('common.back')}
+        </button>
+      </div>
+
+      {/* Show Details Section */}
+      <div className="max-w-7xl mx-auto px-4 -mt-32 md:-mt-40 relative z-10">
+        <div className="flex flex-col md:flex-row gap-8">
+          {/* Poster */}
+          <div className="flex-shrink-0">
+            <ResponsiveImage
+              path={show.poster_path}
+              sizes="(min-width: 768px) 320px, 100vw"
+              alt={t('common.poster', { title: show.name })}
+              className="w-full md:w-80 aspect-[2/3] rounded-lg shadow-2xl"
+              priority
+            />
+          </div>
+
+          {/* Show Information */}
+          <div className="flex-1 text-black">
+            {/* Title */}
+            <h1 className="text-4xl md:text-5xl md:text-white text-black font-bold mb-4">{show.name}</h1>
+
+            {/* Tagline */}
+            {show.tagline && <p className="text-xl md:text-gray-300 italic mb-6">"{show.tagline}"</p>}
+
+            {/* Meta Information */}
+            <div className="flex flex-wrap items-center gap-4 mb-6 bg-white/40 p-4 rounded-lg backdrop-blur-lg">
+              {/* Rating */}
+              <div className="flex items-center gap-2 bg-secondary px-4 py-2 rounded-lg">
+                <svg className="w-5 h-5 text-yellow-400" fill="currentColor" viewBox="0 0 20 20">
+                  <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                </svg>
+                <span className="font-semibold">{formatRating(show.vote_average)}</span>
+                <span className="text-gray-700">/10</span>
+              </div>
+
+              {/* First Air Date */}
+              <div className="flex items-center gap-2 bg-secondary px-4 py-2 rounded-lg">
+                <svg className="w-5 h-5 text-highlight" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"
+                  />
+                </svg>
+                <span>{formatDate(show.first_air_date)}</span>
+              </div>
+
+              {/* Seasons */}
+              {show.number_of_seasons > 0 && (
+                <div className="flex items-center gap-2 bg-secondary px-4 py-2 rounded-lg">
+                  <span>{t('tv.seasonCount', { count: show.number_of_seasons })}</span>
+                </div>
+              )}
+
+              {/* Episode Runtime */}
+              {runtime > 0 && (
+                <div className="flex items-center gap-2 bg-secondary px-4 py-2 rounded-lg">
+                  <svg className="w-5 h-5 text-highlight" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+                    />
+                  </svg>
+                  <span>{t('common.minutes', { count: runtime })}</span>
+                </div>
+              )}
+            </div>
+
+            {/* Watchlist / Favorites */}
+            <div className="flex flex-wrap gap-4 mb-6">
+              <ListToggleButton list={LISTS.WATCHLIST} movie={show} />
+              <ListToggleButton list={LISTS.FAVORITES} movie={show} />
+            </div>
+
+            {/* Genres */}
+            {show.genres && show.genres.length > 0 && (
+              <div className="mb-6">
+                <div className="flex flex-wrap gap-2">
+                  {show.genres.map((genre) => (
+                    <span
+                      key={genre.id}
+                      className="bg-black backdrop-blur-md text-white px-3 py-1 rounded-full text-sm"
+                    >
+                      {genre.name}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Overview */}
+            <div className="mb-6">
+              <h2 className="text-2xl font-bold mb-3">{t('common.overview')}</h2>
+              <p className="text-gray-700 text-lg leading-relaxed">{show.overview || t('common.noOverview')}</p>
+            </div>
+
+            {/* Additional Information */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 bg-secondary p-6 rounded-lg">
+              {show.created_by?.length > 0 && (
+                <div>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('tv.createdBy')}</h3>
+                  <p className="font-semibold">{show.created_by.map((creator) => creator.name).join(', ')}</p>
+                </div>
+              )}
+
+              {show.networks?.length > 0 && (
+                <div>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('tv.network')}</h3>
+                  <p className="font-semibold">{show.networks.map((network) => network.name).join(', ')}</p>
+                </div>
+              )}
+
+              {show.status && (
+                <div>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('common.status')}</h3>
+                  <p className="font-semibold">{show.status}</p>
+                </div>
+              )}
+
+              {show.last_air_date && (
+                <div>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('tv.lastAired')}</h3>
+                  <p className="font-semibold">{formatDate(show.last_air_date)}</p>
+                </div>
+              )}
+
+              {show.number_of_episodes > 0 && (
+                <div>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('tv.episodes')}</h3>
+                  <p className="font-semibold">{show.number_of_episodes.toLocaleString(locale)}</p>
+                </div>
+              )}
+
+              {show.original_language && (
+                <div>
+                  <h3 className="text-gray-400 text-sm mb-1">{t('common.originalLanguage')}</h3>
+                  <p className="font-semibold uppercase">{show.original_language}</p>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Seasons & Episodes */}
+        {seasons.length > 0 && (
+          <section className="mt-12 text-black">
+            <h2 className="text-2xl font-bold mb-4">{t('tv.seasons')}</h2>
+
+            {/* Season Tabs */}
+            <div role="tablist" aria-label={t('tv.seasons')} className="flex gap-2 overflow-x-auto pb-2 mb-6">
+              {seasons.map((s, index) => {
+                const selected = s.season_number === selectedSeason;
+                return (
+                  <button
+                    key={s.season_number}
+                    ref={(node) => {
+                      tabRefs.current[s.season_number] = node;
+                    }}
+                    type="button"
+                    role="tab"
+                    id={`season-tab-${s.season_number}`}
+                    aria-selected={selected}
+                    aria-controls="season-panel"
+                    tabIndex={selected ? 0 : -1}
+                    onClick={() => selectSeason(s.season_number)}
+                    onKeyDown={(e) => handleTabKeyDown(e, index)}
+                    className={`flex-shrink-0 px-4 py-2 rounded-lg font-semibold transition-colors duration-300
+                                ${selected ? 'bg-highlight text-white' : 'bg-secondary text-white hover:bg-accent'}`}
+                  >
+                    {s.name}
+                    {s.episode_count > 0 && <span className="font-normal"> ({s.episode_count})</span>}
+                  </button>
+                );
+              })}
+            </div>
+
+            {/* Episode List */}
+            <div role="tabpanel" id="season-panel" aria-labelledby={`season-tab-${selectedSeason}`}>
+              {seasonLoading ? (
+                <LoadingSpinner />
+              ) : seasonError ? (
+                <ErrorState error={seasonError} onRetry={() => setSeasonRetryKey((key) => key + 1)} compact />
+              ) : episodes.length === 0 ? (
+                <p className="text-gray-700">{t('tv.noEpisodes')}</p>
+              ) : (
+                <ol className="space-y-4">
+                  {episodes.map((episode) => (
+                    <li
+                      key={episode.id}
+                      className="flex flex-col sm:flex-row gap-4 bg-secondary rounded-lg overflow-hidden shadow-lg"
+                    >
+                      {episode.still_path ? (
+                        <img
+                          src={getImageUrl(episode.still_path, 'w300')}
+                          alt=""
+                          className="w-full sm:w-56 aspect-video object-cover flex-shrink-0"
+                          loading="lazy"
+                        />
+                      ) : (
+                        <div
+                          className="w-full sm:w-56 aspect-video flex-shrink-0 bg-accent flex items-center justify-center text-4xl"
+                          aria-hidden="true"
+                        >
+                          📺
+                        </div>
+                      )}
+                      <div className="p-4 sm:pl-0">
+                        <h3 className="font-semibold text-lg">
+                          <span className="text-gray-700 mr-2">
+                            {t('tv.episodeNumber', { number: episode.episode_number })}
+                          </span>
+                          {episode.name}
+                        </h3>
+                        <p className="text-sm text-gray-700 mb-2">
+                          {episode.air_date ? formatDate(episode.air_date) : t('tv.airDateUnknown')}
+                          {episode.runtime > 0 && ` · ${t('common.minutes', { count: episode.runtime })}`}
+                        </p>
+                        {episode.overview && <p className="text-gray-700 line-clamp-3">{episode.overview}</p>}
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </section>
+        )}
+      </div>
+
+      {/* Footer Spacing */}
+      <div className="h-16"></div>
+    </div>
+  );
+};
+
+export default TvDetail;
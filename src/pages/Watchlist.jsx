@@ -0,0 +1,125 @@
+/**
+ * Watchlist Page Component
+ *
+ * Movies and TV shows the user saved to their watchlist or favorites
+ * Features:
+ * - Tabs for watchlist and favorites (with counts)
+ * - Sort by date added, rating or release date
+ * - Renders from stored movie snapshots, so it works offline
+ * - Empty state per list
+ * - Language switcher
+ * - Link to import / export
+ *
+ * State Management:
+ * - activeList: Which list is shown (watchlist or favorites)
+ * - sortBy: Current sort option (key of SORT_OPTIONS)
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import MovieList from '../components/MovieList';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import useWatchlist from '../hooks/useWatchlist';
+import useI18n from '../hooks/useI18n';
+import { LISTS, SORT_OPTIONS, getSortedMovies } from '../services/watchlist';
+import { getDetailPath } from '../services/media';
+
+// Labels are message keys: watchlist.<list>, watchlist.<list>EmptyTitle, watchlist.<list>Empty
+const TABS = [LISTS.WATCHLIST, LISTS.FAVORITES];
+
+const Watchlist = () => {
+  const navigate = useNavigate();
+  const { lists } = useWatchlist();
+  const { t } = useI18n();
+
+  // State management
+  const [activeList, setActiveList] = useState(LISTS.WATCHLIST);
+  const [sortBy, setSortBy] = useState('dateAdded');
+
+  const movies = getSortedMovies(lists, activeList, sortBy);
+
+  /**
+   * Navigate to the movie (or TV show) detail page
+   */
+  const handleMovieClick = (movieId, movie) => {
+    navigate(getDetailPath(movie));
+  };
+
+  return (
+    <div className="min-h-screen bg-primary">
+      {/* Header Section */}
+      <header className="bg-gradient-to-r from-secondary to-accent shadow-lg">
+        <div className="max-w-7xl mx-auto px-4 py-8">
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <button
+              type="button"
+              onClick={() => navigate('/')}
+              className="flex items-center gap-2 text-black hover:underline"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              {t('common.backToHome')}
+            </button>
+            <div className="flex items-center gap-4">
+              <Link to="/import" className="text-black font-semibold hover:underline">
+                {t('nav.importExport')}
+              </Link>
+              <LanguageSwitcher />
+            </div>
+          </div>
+          <h1 className="text-4xl md:text-5xl font-bold text-black">{t('watchlist.title')}</h1>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-7xl mx-auto px-4 py-8">
+        {/* Tabs + Sort */}
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div role="tablist" aria-label={t('watchlist.tabs')} className="flex gap-2">
+            {TABS.map((list) => (
+              <button
+                key={list}
+                type="button"
+                role="tab"
+                aria-selected={activeList === list}
+                onClick={() => setActiveList(list)}
+                className={`px-4 py-2 rounded-lg font-semibold transition-colors duration-300
+                            ${activeList === list ? 'bg-highlight text-white' : 'bg-secondary text-white hover:bg-accent'}`}
+              >
+                {t('watchlist.tabWithCount', { label: t(`watchlist.${list}`), count: (lists[list] || []).length })}
+              </button>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2 text-black">
+            <span>{t('common.sortBy')}</span>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="bg-secondary text-white rounded-lg px-3 py-2 border border-black/50"
+            >
+              {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+                <option key={key} value={key}>
+                  {t(option.labelKey)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {/* Movie Grid */}
+        <div role="tabpanel" aria-label={t(`watchlist.${activeList}`)}>
+          <MovieList
+            movies={movies}
+            onMovieClick={handleMovieClick}
+            emptyTitle={t(`watchlist.${activeList}EmptyTitle`)}
+            emptyMessage={t(`watchlist.${activeList}Empty`)}
+          />
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Watchlist;
@@ -1,230 +1,443 @@
 /**
  * API Service for TMDB (The Movie Database)
  * 
- * This service handles all API calls to TMDB.
+ * This service handles all API calls for movie and TV data.
+ * Requests go to the active data provider (TMDB or the offline fixtures, see services/providers).
  * Features:
- * - Fetch popular movies
- * - Search movies by title
+ * - Fetch popular movies (paginated)
+ * - Search movies by title (paginated)
  * - Get movie details by ID
- * - Error handling with fallback dummy data
- */
-
-// TMDB API Configuration 
-const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
-// indonesian language
-const BASE_URL = 'https://api.themoviedb.org/3';
-const IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
-
-/**
- * Dummy data fallback for demo/presentation purposes
- * Used when API fails or for testing without API key
- */
-const DUMMY_MOVIES = [
-  {
-    id: 1,
-    title: "The Shawshank Redemption",
-    poster_path: "/q6y0Go1tsGEsmtFryDOJo3dEmqu.jpg",
-    backdrop_path: "/kXfqcdQKsToO0OUXHcrrNCHDBzO.jpg",
-    overview: "Framed in the 1940s for the double murder of his wife and her lover, upstanding banker Andy Dufresne begins a new life at the Shawshank prison.",
-    vote_average: 8.7,
-    release_date: "1994-09-23"
-  },
-  {
-    id: 2,
-    title: "The Godfather",
-    poster_path: "/3bhkrj58Vtu7enYsRolD1fZdja1.jpg",
-    backdrop_path: "/tmU7GeKVybMWFButWEGl2M4GeiP.jpg",
-    overview: "Spanning the years 1945 to 1955, a chronicle of the fictional Italian-American Corleone crime family.",
-    vote_average: 8.7,
-    release_date: "1972-03-14"
-  },
-  {
-    id: 3,
-    title: "The Dark Knight",
-    poster_path: "/qJ2tW6WMUDux911r6m7haRef0WH.jpg",
-    backdrop_path: "/hkBaDkMWbLaf8B1lsWsKX7Ew3Xq.jpg",
-    overview: "Batman raises the stakes in his war on crime with the help of Lt. Jim Gordon and District Attorney Harvey Dent.",
-    vote_average: 8.5,
-    release_date: "2008-07-16"
-  },
-  {
-    id: 4,
-    title: "Pulp Fiction",
-    poster_path: "/d5iIlFn5s0ImszYzBPb8JPIfbXD.jpg",
-    backdrop_path: "/4cDFJr4HnXN5AdPw4AKrmLlMWdO.jpg",
-    overview: "A burger-loving hit man, his philosophical partner, and a drug-addled gangster's moll.",
-    vote_average: 8.5,
-    release_date: "1994-09-10"
-  },
-  {
-    id: 5,
-    title: "Forrest Gump",
-    poster_path: "/arw2vcBveWOVZr6pxd9XTd1TdQa.jpg",
-    backdrop_path: "/7c9UVPPiTPltouxRVY6N9uUaHNd.jpg",
-    overview: "A man with a low IQ has accomplished great things in his life and been present during significant historic events.",
-    vote_average: 8.4,
-    release_date: "1994-06-23"
-  },
-  {
-    id: 6,
-    title: "Inception",
-    poster_path: "/9gk7adHYeDvHkCSEqAvQNLV5Uge.jpg",
-    backdrop_path: "/s3TBrRGB1iav7gFOCNx3H31MoES.jpg",
-    overview: "Cobb, a skilled thief who commits corporate espionage by infiltrating the subconscious of his targets.",
-    vote_average: 8.4,
-    release_date: "2010-07-15"
-  }
-];
+ * - Discover movies with filters (genres, years, rating, language, runtime)
+ * - Movie genre list
+ * - Person details with filmography
+ * - Movie videos (trailers, teasers, clips)
+ * - Recommended and similar movies
+ * - TV shows: popular, search, details and seasons with episodes
+ * - Multi search (movies, TV shows and people in one list)
+ * - Where to watch: streaming, rental and purchase providers per region
+ * - Lookup by IMDb ID (used by the list import)
+ * - Collections (franchises) with their movies
+ * - Response caching (memory + localStorage, stale-while-revalidate)
+ * - Request cancellation with AbortController
+ * - Typed errors (see services/errors.js)
+ * - Responses in the current UI language (see services/i18n.js), cached per language
+ * - Locale-aware date, rating and currency formatting
+ * - Image URLs (see services/images.js)
+ * - Demo mode with the bundled offline dataset
+ */
+
+import { cachedRequest } from './cache';
+import { isAbortError } from './errors';
+import { serializeFilters } from './discover';
+import { activeProvider as provider } from './providers';
+import { getLocale, translate } from './i18n';
+
+export { isAbortError };
+export { getImageUrl } from './images';
 
 /**
- * Get the full URL for movie poster images
- * @param {string} path - The poster path from API
- * @param {string} size - Image size (w200, w500, original)
- * @returns {string} Full image URL
+ * Demo mode means the app is showing the bundled sample data instead of live TMDB data
+ * (VITE_DEMO_MODE=true, VITE_DATA_PROVIDER=fixture, or no API key configured)
  */
-export const getImageUrl = (path, size = 'w500') => {
-  if (!path) return 'https://via.placeholder.com/500x750?text=No+Image';
-  return `${IMAGE_BASE_URL}/${size}${path}`;
+const DEMO_MODE = provider.name === 'fixture';
+export const isDemoMode = () => DEMO_MODE;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Cache lifetimes per endpoint
+ * - ttl: data is served from cache without a request
+ * - staleTtl: after ttl, cached data is still served while a fresh copy loads in the background
+ */
+const CACHE_POLICY = {
+  popular: { ttl: 10 * MINUTE, staleTtl: HOUR },
+  search: { ttl: 5 * MINUTE, staleTtl: 30 * MINUTE },
+  details: { ttl: 24 * HOUR, staleTtl: 7 * 24 * HOUR },
+  discover: { ttl: 10 * MINUTE, staleTtl: HOUR },
+  genres: { ttl: 7 * 24 * HOUR, staleTtl: 30 * 24 * HOUR },
+  person: { ttl: 24 * HOUR, staleTtl: 7 * 24 * HOUR },
+  videos: { ttl: 24 * HOUR, staleTtl: 7 * 24 * HOUR },
+  related: { ttl: 24 * HOUR, staleTtl: 7 * 24 * HOUR },
+  watch: { ttl: 6 * HOUR, staleTtl: 24 * HOUR },
+  watchProviders: { ttl: 7 * 24 * HOUR, staleTtl: 30 * 24 * HOUR }
 };
 
 /**
- * Fetch popular movies from TMDB
- * @param {number} page - Page number for pagination
- * @returns {Promise<Array>} Array of movie objects
- */
-export const fetchPopularMovies = async (page = 1) => {
-  try {
-    // Check if API key is set
-    if (API_KEY === 'YOUR_TMDB_API_KEY') {
-      console.warn('Using dummy data - Please set your TMDB API key in services/api.js');
-      return DUMMY_MOVIES;
-    }
-
-    const response = await fetch(
-      `${BASE_URL}/movie/popular?api_key=${API_KEY}&language=en-US&page=${page}` ,{
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${API_KEY}`
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch popular movies');
-    }
-
-    const data = await response.json();
-    return data.results;
-  } catch (error) {
-    console.error('Error fetching popular movies:', error);
-    // Return dummy data as fallback
-    return DUMMY_MOVIES;
+ * Run a provider request, through the response cache when the provider allows it
+ * @param {string} key - Cache key (prefixed with the provider name and the locale)
+ * @param {function} load - Async function calling the provider, receives an AbortSignal
+ * @param {Object} policy - Cache policy from CACHE_POLICY
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<*>} Response data
+ */
+const request = (key, load, policy, signal) => {
+  if (!provider.cacheable) {
+    return load(signal);
   }
+  // Titles and overviews are translated, so each language gets its own cache entries
+  return cachedRequest(`${provider.name}:${getLocale()}:${key}`, load, policy, { signal });
 };
 
+/**
+ * Fetch popular movies
+ * @param {number} page - Page number for pagination
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Paginated result ({ page, results, total_pages, total_results })
+ * @throws {ApiError} When the request fails
+ */
+export const fetchPopularMovies = async (page = 1, { signal } = {}) =>
+  request(
+    `popular:${page}`,
+    (requestSignal) => provider.getPopularMovies({ page, signal: requestSignal }),
+    CACHE_POLICY.popular,
+    signal
+  );
+
 /**
  * Search movies by title
  * @param {string} query - Search query string
  * @param {number} page - Page number for pagination
- * @returns {Promise<Array>} Array of movie objects matching the search
- */
-export const searchMovies = async (query, page = 1) => {
-  try {
-    if (!query.trim()) {
-      return [];
-    }
-
-    // Check if API key is set
-    if (API_KEY === 'YOUR_TMDB_API_KEY') {
-      console.warn('Using dummy data - Please set your TMDB API key in services/api.js');
-      // Filter dummy data based on search query
-      return DUMMY_MOVIES.filter(movie =>
-        movie.title.toLowerCase().includes(query.toLowerCase())
-      );
-    }
-
-    const response = await fetch(
-      `${BASE_URL}/search/movie?api_key=${API_KEY}&language=en-US&query=${encodeURIComponent(query)}&page=${page}`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${API_KEY}`
-      }
-    }
-    );
-
-    if (!response.ok) {
-      throw new Error('Failed to search movies');
-    }
-
-    const data = await response.json();
-    return data.results;
-  } catch (error) {
-    console.error('Error searching movies:', error);
-    // Return filtered dummy data as fallback
-    return DUMMY_MOVIES.filter(movie =>
-      movie.title.toLowerCase().includes(query.toLowerCase())
-    );
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @param {number} options.year - Only movies released that year
+ * @returns {Promise<Object>} Paginated result with movies matching the search
+ * @throws {ApiError} When the request fails
+ */
+export const searchMovies = async (query, page = 1, { signal, year } = {}) => {
+  const trimmedQuery = query.trim();
+  if (!trimmedQuery) {
+    return { page: 1, results: [], total_pages: 1, total_results: 0 };
   }
+
+  return request(
+    `search:${trimmedQuery.toLowerCase()}:${year || ''}:${page}`,
+    (requestSignal) => provider.searchMovies({ query: trimmedQuery, page, year, signal: requestSignal }),
+    CACHE_POLICY.search,
+    signal
+  );
 };
 
 /**
  * Fetch detailed information about a specific movie
  * @param {number} movieId - The ID of the movie
- * @returns {Promise<Object>} Movie details object
- */
-export const fetchMovieDetails = async (movieId) => {
-  try {
-    // Check if API key is set
-    if (API_KEY === 'YOUR_TMDB_API_KEY') {
-      console.warn('Using dummy data - Please set your TMDB API key in services/api.js');
-      const movie = DUMMY_MOVIES.find(m => m.id === parseInt(movieId));
-      return movie || DUMMY_MOVIES[0];
-    }
-
-    const response = await fetch(
-      `${BASE_URL}/movie/${movieId}?api_key=${API_KEY}&language=en-US`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${API_KEY}`
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch movie details');
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error fetching movie details:', error);
-    // Return dummy data as fallback
-    const movie = DUMMY_MOVIES.find(m => m.id === parseInt(movieId));
-    return movie || DUMMY_MOVIES[0];
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Movie details object (with credits: { cast, crew })
+ * @throws {NotFoundError} When no movie has this ID
+ * @throws {ApiError} When the request fails
+ */
+export const fetchMovieDetails = async (movieId, { signal } = {}) =>
+  request(
+    `details:${movieId}:credits`,
+    (requestSignal) => provider.getMovieDetails({ id: movieId, signal: requestSignal }),
+    CACHE_POLICY.details,
+    signal
+  );
+
+/**
+ * Discover movies matching a set of filters
+ * @param {Object} filters - Discover filters (see services/discover.js)
+ * @param {number} page - Page number for pagination
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Paginated result with matching movies
+ * @throws {ApiError} When the request fails
+ */
+export const discoverMovies = async (filters, page = 1, { signal } = {}) =>
+  request(
+    `discover:${serializeFilters(filters)}:${page}`,
+    (requestSignal) => provider.discoverMovies({ filters, page, signal: requestSignal }),
+    CACHE_POLICY.discover,
+    signal
+  );
+
+/**
+ * Fetch the list of movie genres
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Array>} Genres ([{ id, name }])
+ * @throws {ApiError} When the request fails
+ */
+export const fetchGenres = async ({ signal } = {}) =>
+  request(
+    'genres',
+    (requestSignal) => provider.getGenres({ signal: requestSignal }),
+    CACHE_POLICY.genres,
+    signal
+  );
+
+/**
+ * Fetch a person's details and movie credits
+ * @param {number} personId - The ID of the person
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Person details (with movie_credits: { cast, crew })
+ * @throws {NotFoundError} When no person has this ID
+ * @throws {ApiError} When the request fails
+ */
+export const fetchPersonDetails = async (personId, { signal } = {}) =>
+  request(
+    `person:${personId}`,
+    (requestSignal) => provider.getPersonDetails({ id: personId, signal: requestSignal }),
+    CACHE_POLICY.person,
+    signal
+  );
+
+/**
+ * Fetch the videos of a movie (trailers, teasers, clips, featurettes)
+ * @param {number} movieId - The ID of the movie
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Array>} Videos ([{ id, key, name, site, type, official, published_at }])
+ * @throws {ApiError} When the request fails
+ */
+export const fetchMovieVideos = async (movieId, { signal } = {}) =>
+  request(
+    `videos:${movieId}`,
+    (requestSignal) => provider.getMovieVideos({ id: movieId, signal: requestSignal }),
+    CACHE_POLICY.videos,
+    signal
+  );
+
+/**
+ * Fetch movies recommended to people who liked a movie
+ * @param {number} movieId - The ID of the movie
+ * @param {number} page - Page number for pagination
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Paginated result with recommended movies
+ * @throws {ApiError} When the request fails
+ */
+export const fetchRecommendedMovies = async (movieId, page = 1, { signal } = {}) =>
+  request(
+    `recommendations:${movieId}:${page}`,
+    (requestSignal) => provider.getMovieRecommendations({ id: movieId, page, signal: requestSignal }),
+    CACHE_POLICY.related,
+    signal
+  );
+
+/**
+ * Fetch movies similar to a movie
+ * @param {number} movieId - The ID of the movie
+ * @param {number} page - Page number for pagination
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Paginated result with similar movies
+ * @throws {ApiError} When the request fails
+ */
+export const fetchSimilarMovies = async (movieId, page = 1, { signal } = {}) =>
+  request(
+    `similar:${movieId}:${page}`,
+    (requestSignal) => provider.getSimilarMovies({ id: movieId, page, signal: requestSignal }),
+    CACHE_POLICY.related,
+    signal
+  );
+
+/**
+ * Find the movie or TV show with an IMDb ID
+ * @param {string} imdbId - IMDb ID (e.g. tt0111161)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} { movie_results, tv_results } (usually one item in total, or none)
+ * @throws {ApiError} When the request fails
+ */
+export const findByImdbId = async (imdbId, { signal } = {}) =>
+  request(
+    `find:${imdbId}`,
+    (requestSignal) => provider.findByImdbId({ imdbId, signal: requestSignal }),
+    CACHE_POLICY.details,
+    signal
+  );
+
+/**
+ * Fetch a collection (franchise) with its movies
+ * @param {number} collectionId - The ID of the collection (belongs_to_collection.id)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Collection ({ id, name, overview, poster_path, backdrop_path, parts })
+ * @throws {NotFoundError} When the collection doesn't exist
+ * @throws {ApiError} When the request fails
+ */
+export const fetchCollection = async (collectionId, { signal } = {}) =>
+  request(
+    `collection:${collectionId}`,
+    (requestSignal) => provider.getCollection({ id: collectionId, signal: requestSignal }),
+    CACHE_POLICY.details,
+    signal
+  );
+
+/**
+ * Fetch where a movie can be streamed, rented or bought
+ * @param {number} movieId - The ID of the movie
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Availability keyed by region ({ US: { link, flatrate, rent, buy } })
+ * @throws {ApiError} When the request fails
+ */
+export const fetchWatchProviders = async (movieId, { signal } = {}) =>
+  request(
+    `watch:${movieId}`,
+    (requestSignal) => provider.getWatchProviders({ id: movieId, signal: requestSignal }),
+    CACHE_POLICY.watch,
+    signal
+  );
+
+/**
+ * Fetch the watch providers (streaming services, stores) available in a region
+ * @param {string} region - ISO 3166-1 country code
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Array>} Providers ([{ provider_id, provider_name, logo_path, display_priority }])
+ * @throws {ApiError} When the request fails
+ */
+export const fetchWatchProviderList = async (region, { signal } = {}) =>
+  request(
+    `watch:list:${region}`,
+    (requestSignal) => provider.getWatchProviderList({ region, signal: requestSignal }),
+    CACHE_POLICY.watchProviders,
+    signal
+  );
+
+/**
+ * Search movies, TV shows and people at once
+ * @param {string} query - Search query string
+ * @param {number} page - Page number for pagination
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Paginated result, each item with media_type ('movie', 'tv' or 'person')
+ * @throws {ApiError} When the request fails
+ */
+export const searchMulti = async (query, page = 1, { signal } = {}) => {
+  const trimmedQuery = query.trim();
+  if (!trimmedQuery) {
+    return { page: 1, results: [], total_pages: 1, total_results: 0 };
+  }
+
+  return request(
+    `multi:${trimmedQuery.toLowerCase()}:${page}`,
+    (requestSignal) => provider.searchMulti({ query: trimmedQuery, page, signal: requestSignal }),
+    CACHE_POLICY.search,
+    signal
+  );
+};
+
+/**
+ * Fetch popular TV shows
+ * @param {number} page - Page number for pagination
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Paginated result (items use name / first_air_date)
+ * @throws {ApiError} When the request fails
+ */
+export const fetchPopularTv = async (page = 1, { signal } = {}) =>
+  request(
+    `tv:popular:${page}`,
+    (requestSignal) => provider.getPopularTv({ page, signal: requestSignal }),
+    CACHE_POLICY.popular,
+    signal
+  );
+
+/**
+ * Search TV shows by name
+ * @param {string} query - Search query string
+ * @param {number} page - Page number for pagination
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Paginated result with TV shows matching the search
+ * @throws {ApiError} When the request fails
+ */
+export const searchTv = async (query, page = 1, { signal } = {}) => {
+  const trimmedQuery = query.trim();
+  if (!trimmedQuery) {
+    return { page: 1, results: [], total_pages: 1, total_results: 0 };
   }
+
+  return request(
+    `tv:search:${trimmedQuery.toLowerCase()}:${page}`,
+    (requestSignal) => provider.searchTv({ query: trimmedQuery, page, signal: requestSignal }),
+    CACHE_POLICY.search,
+    signal
+  );
 };
 
 /**
- * Format release date to readable format
+ * Fetch detailed information about a TV show (seasons listed without episodes)
+ * @param {number} tvId - The ID of the TV show
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} TV show details object
+ * @throws {NotFoundError} When no TV show has this ID
+ * @throws {ApiError} When the request fails
+ */
+export const fetchTvDetails = async (tvId, { signal } = {}) =>
+  request(
+    `tv:details:${tvId}`,
+    (requestSignal) => provider.getTvDetails({ id: tvId, signal: requestSignal }),
+    CACHE_POLICY.details,
+    signal
+  );
+
+/**
+ * Fetch one season of a TV show with its episodes
+ * @param {number} tvId - The ID of the TV show
+ * @param {number} seasonNumber - Season number (0 = specials)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object>} Season ({ season_number, name, air_date, episodes })
+ * @throws {NotFoundError} When the season doesn't exist
+ * @throws {ApiError} When the request fails
+ */
+export const fetchTvSeason = async (tvId, seasonNumber, { signal } = {}) =>
+  request(
+    `tv:season:${tvId}:${seasonNumber}`,
+    (requestSignal) => provider.getTvSeason({ id: tvId, seasonNumber, signal: requestSignal }),
+    CACHE_POLICY.details,
+    signal
+  );
+
+/**
+ * Format release date to readable format (in the current locale)
  * @param {string} dateString - Date string from API (YYYY-MM-DD)
  * @returns {string} Formatted date string
  */
 export const formatDate = (dateString) => {
-  if (!dateString) return 'Unknown';
+  if (!dateString) return translate('common.unknown');
   const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', {
+  return date.toLocaleDateString(getLocale(), {
     year: 'numeric',
     month: 'long',
-    day: 'numeric'
+    day: 'numeric',
+    // TMDB dates are calendar days - don't let the local time zone shift them
+    timeZone: 'UTC'
   });
 };
 
 /**
- * Format rating to one decimal place
+ * Format a month (e.g. a diary heading) in the current locale
+ * @param {string} monthString - Month (YYYY-MM)
+ * @returns {string} Formatted month (e.g. "October 2026")
+ */
+export const formatMonth = (monthString) =>
+  new Date(`${monthString}-01`).toLocaleDateString(getLocale(), { year: 'numeric', month: 'long', timeZone: 'UTC' });
+
+/**
+ * Format rating to one decimal place (decimal separator of the current locale)
  * @param {number} rating - Rating value
  * @returns {string} Formatted rating
  */
 export const formatRating = (rating) => {
-  if (!rating) return 'N/A';
-  return rating.toFixed(1);
+  if (!rating) return translate('common.notAvailable');
+  return rating.toLocaleString(getLocale(), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
 };
+
+/**
+ * Format an amount of money in the current locale
+ * TMDB reports budgets and revenue in US dollars
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Formatted amount (e.g. "$63,000,000" or "US$63.000.000")
+ */
+export const formatCurrency = (amount, currency = 'USD') =>
+  amount.toLocaleString(getLocale(), { style: 'currency', currency, maximumFractionDigits: 0 });
@@ -0,0 +1,272 @@
+/**
+ * Response Cache
+ *
+ * Small caching layer used by the API service
+ * Features:
+ * - In-memory cache backed by localStorage (survives page reloads)
+ * - Per-request TTL with a stale-while-revalidate window
+ * - Concurrent identical requests share one in-flight promise
+ * - Per-caller AbortSignal; the network request is cancelled once every caller has aborted
+ * - Oldest entries are evicted when storage is full
+ * - Expired entries are still served when the network can't be reached (offline browsing)
+ */
+
+import { NetworkError } from './errors';
+
+const STORAGE_PREFIX = 'moviepedia:cache:';
+const MAX_MEMORY_ENTRIES = 300;
+
+// key -> { data, storedAt, staleAt, expiresAt }
+const memoryCache = new Map();
+// key -> { promise, controller, subscribers } for pending requests
+const inflight = new Map();
+
+/**
+ * Get localStorage if it is available (private mode and SSR can block it)
+ * @returns {Storage|null} localStorage or null
+ */
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Keep an entry in memory, dropping the oldest one when the cache is full
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ */
+const rememberEntry = (key, entry) => {
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+  if (memoryCache.size > MAX_MEMORY_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+};
+
+/**
+ * Remove the oldest half of the persisted entries to free up storage
+ * @param {Storage} storage - localStorage
+ */
+const evictOldestEntries = (storage) => {
+  const entries = [];
+  for (let i = 0; i < storage.length; i++) {
+    const storageKey = storage.key(i);
+    if (!storageKey || !storageKey.startsWith(STORAGE_PREFIX)) continue;
+    try {
+      entries.push({ storageKey, storedAt: JSON.parse(storage.getItem(storageKey)).storedAt || 0 });
+    } catch {
+      entries.push({ storageKey, storedAt: 0 });
+    }
+  }
+
+  entries
+    .sort((a, b) => a.storedAt - b.storedAt)
+    .slice(0, Math.ceil(entries.length / 2))
+    .forEach(({ storageKey }) => storage.removeItem(storageKey));
+};
+
+/**
+ * Read an entry from memory, falling back to localStorage
+ * @param {string} key - Cache key
+ * @returns {Object|null} Cache entry or null
+ */
+const readEntry = (key) => {
+  if (memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    const raw = storage.getItem(STORAGE_PREFIX + key);
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    rememberEntry(key, entry);
+    return entry;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Write an entry to memory and localStorage
+ * @param {string} key - Cache key
+ * @param {*} data - Response data to cache
+ * @param {Object} policy - { ttl, staleTtl } in milliseconds
+ */
+const writeEntry = (key, data, { ttl, staleTtl = 0 }) => {
+  const storedAt = Date.now();
+  const entry = {
+    data,
+    storedAt,
+    staleAt: storedAt + ttl,
+    expiresAt: storedAt + ttl + staleTtl
+  };
+  rememberEntry(key, entry);
+
+  const storage = getStorage();
+  if (!storage) return;
+
+  const serialized = JSON.stringify(entry);
+  try {
+    storage.setItem(STORAGE_PREFIX + key, serialized);
+  } catch {
+    // Storage is full - make room and try once more
+    try {
+      evictOldestEntries(storage);
+      storage.setItem(STORAGE_PREFIX + key, serialized);
+    } catch (error) {
+      console.warn('Response cache could not be persisted:', error);
+    }
+  }
+};
+
+/**
+ * Create the error a fetch rejects with when its signal is aborted
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} AbortError
+ */
+const createAbortError = (signal) =>
+  signal.reason instanceof Error ? signal.reason : new DOMException('The request was aborted', 'AbortError');
+
+/**
+ * Drop one caller from a shared request
+ * The underlying request is aborted once nobody is waiting for it any more
+ * @param {string} key - Cache key
+ * @param {Object} request - In-flight request entry
+ */
+const releaseRequest = (key, request) => {
+  request.subscribers -= 1;
+  if (request.subscribers > 0) return;
+
+  // Forget it right away so a new caller starts a fresh request instead of joining an aborted one
+  if (inflight.get(key) === request) {
+    inflight.delete(key);
+  }
+  request.controller.abort();
+};
+
+/**
+ * Wait for a shared request on behalf of one caller
+ * @param {string} key - Cache key
+ * @param {Object} request - In-flight request entry
+ * @param {AbortSignal} signal - Optional caller signal
+ * @returns {Promise<*>} Response data, or an AbortError when the caller aborts
+ */
+const joinRequest = (key, request, signal) => {
+  request.subscribers += 1;
+
+  // Callers without a signal keep the request alive until it settles
+  if (!signal) {
+    return request.promise;
+  }
+
+  if (signal.aborted) {
+    releaseRequest(key, request);
+    return Promise.reject(createAbortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      releaseRequest(key, request);
+      reject(createAbortError(signal));
+    };
+
+    signal.addEventListener('abort', handleAbort, { once: true });
+    request.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', handleAbort));
+  });
+};
+
+/**
+ * Run the request, sharing it with identical concurrent calls
+ * @param {string} key - Cache key
+ * @param {function} fetcher - Async function performing the request, receives an AbortSignal
+ * @param {Object} policy - { ttl, staleTtl } in milliseconds
+ * @param {AbortSignal} signal - Optional caller signal
+ * @returns {Promise<*>} Response data
+ */
+const revalidate = (key, fetcher, policy, signal) => {
+  if (inflight.has(key)) {
+    return joinRequest(key, inflight.get(key), signal);
+  }
+
+  const controller = new AbortController();
+  const request = { controller, subscribers: 0 };
+  request.promise = fetcher(controller.signal)
+    .then((data) => {
+      writeEntry(key, data, policy);
+      return data;
+    })
+    .finally(() => {
+      if (inflight.get(key) === request) {
+        inflight.delete(key);
+      }
+    });
+  // Rejections are delivered to each caller through joinRequest
+  request.promise.catch(() => {});
+
+  inflight.set(key, request);
+  return joinRequest(key, request, signal);
+};
+
+/**
+ * Return cached data for a request, fetching it when needed
+ * - Fresh entry: returned immediately
+ * - Stale entry (within staleTtl): returned immediately, refreshed in the background
+ * - Missing or expired entry: fetched (shared with any identical in-flight request);
+ *   an expired entry is still returned if the network can't be reached
+ *
+ * @param {string} key - Unique key for the request
+ * @param {function} fetcher - Async function performing the request; only resolved data is cached
+ * @param {Object} policy - Cache policy
+ * @param {number} policy.ttl - How long data stays fresh (ms)
+ * @param {number} policy.staleTtl - How long stale data may still be served while revalidating (ms)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Aborts this caller's wait (and the request, if no one else needs it)
+ * @returns {Promise<*>} Response data
+ */
+export const cachedRequest = async (key, fetcher, policy, { signal } = {}) => {
+  const entry = readEntry(key);
+  const now = Date.now();
+
+  if (entry && now < entry.staleAt) {
+    return entry.data;
+  }
+
+  if (entry && now < entry.expiresAt) {
+    revalidate(key, fetcher, policy).catch((error) => {
+      console.warn(`Background refresh failed for ${key}:`, error);
+    });
+    return entry.data;
+  }
+
+  try {
+    return await revalidate(key, fetcher, policy, signal);
+  } catch (error) {
+    // Offline: old data beats an error page
+    if (entry && error instanceof NetworkError) {
+      return entry.data;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Remove every cached response from memory and localStorage
+ */
+export const clearCache = () => {
+  memoryCache.clear();
+
+  const storage = getStorage();
+  if (!storage) return;
+
+  Object.keys(storage)
+    .filter((storageKey) => storageKey.startsWith(STORAGE_PREFIX))
+    .forEach((storageKey) => storage.removeItem(storageKey));
+};
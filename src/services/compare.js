@@ -0,0 +1,138 @@
+/**
+ * Compare Service
+ *
+ * Movies picked for the side-by-side comparison, and the rows the comparison shows
+ * Features:
+ * - Up to MAX_COMPARE movies, picked from movie cards and detail pages (stored locally)
+ * - The comparison itself lives in the URL (/compare?ids=1,2,3), so it can be shared
+ * - Row definitions: how to read each value and whether higher or lower is better
+ * - Best / worst marking per row
+ *
+ * Schema (v1):
+ *   { movies: [MovieSnapshot] }
+ */
+
+import { createPersistentStore, isObject } from './storage';
+import { toMovieSnapshot } from './watchlist';
+import { getKeyCrew, getTopCast } from './credits';
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+// Top-billed cast members shown per movie
+const COMPARE_CAST = 4;
+
+export const compareStore = createPersistentStore({
+  key: 'moviepedia:compare',
+  version: 1,
+  initialState: {
+    movies: []
+  },
+  validate: (data) => data.movies.every((movie) => isObject(movie) && Number.isInteger(movie.id))
+});
+
+/**
+ * Check whether a movie is picked for comparison
+ * @param {Object} state - Store state
+ * @param {number} movieId - Movie ID
+ * @returns {boolean} True if picked
+ */
+export const isInCompare = (state, movieId) => state.movies.some((movie) => movie.id === Number(movieId));
+
+/**
+ * Pick a movie for comparison, or drop it if it is already picked
+ * Nothing is added once MAX_COMPARE movies are picked
+ * @param {Object} movie - Movie to compare
+ */
+export const toggleCompare = (movie) => {
+  compareStore.setState((state) => {
+    if (isInCompare(state, movie.id)) {
+      return { ...state, movies: state.movies.filter((m) => m.id !== movie.id) };
+    }
+    if (state.movies.length >= MAX_COMPARE) return state;
+    return { ...state, movies: [...state.movies, toMovieSnapshot(movie)] };
+  });
+};
+
+/**
+ * Drop one picked movie (nothing happens if it isn't picked)
+ * @param {number} movieId - Movie ID
+ */
+export const removeFromCompare = (movieId) => {
+  compareStore.setState((state) =>
+    isInCompare(state, movieId)
+      ? { ...state, movies: state.movies.filter((movie) => movie.id !== Number(movieId)) }
+      : state
+  );
+};
+
+/**
+ * Drop every picked movie
+ */
+export const clearCompare = () => {
+  compareStore.setState((state) => ({ ...state, movies: [] }));
+};
+
+/**
+ * Link to the comparison page
+ * @param {Array<number>} ids - Movie IDs
+ * @returns {string} /compare?ids=...
+ */
+export const getCompareUrl = (ids) => `/compare?ids=${ids.join(',')}`;
+
+/**
+ * Read movie IDs from the ids URL parameter (duplicates and invalid IDs dropped, at most MAX_COMPARE)
+ * @param {string|null} value - e.g. '550,680'
+ * @returns {Array<number>} Movie IDs
+ */
+export const parseCompareIds = (value) =>
+  [...new Set((value || '').split(',').map((id) => Number.parseInt(id, 10)))]
+    .filter((id) => Number.isInteger(id) && id > 0)
+    .slice(0, MAX_COMPARE);
+
+/**
+ * Rows of the comparison, top to bottom (labels are message keys: compare.rows.<key>)
+ * - value: reads the value from movie details (numbers are compared in rows with `better`)
+ * - better: 'higher' or 'lower' when one end is better, absent otherwise
+ * - format: how the page shows the value (see pages/Compare.jsx)
+ */
+export const COMPARE_ROWS = [
+  { key: 'rating', value: (movie) => movie.vote_average || null, better: 'higher', format: 'rating' },
+  { key: 'voteCount', value: (movie) => movie.vote_count || null, better: 'higher', format: 'number' },
+  { key: 'runtime', value: (movie) => movie.runtime || null, format: 'runtime' },
+  { key: 'releaseDate', value: (movie) => movie.release_date || null, format: 'date' },
+  { key: 'genres', value: (movie) => (movie.genres || []).map((genre) => genre.name), format: 'list' },
+  { key: 'budget', value: (movie) => movie.budget || null, format: 'currency' },
+  { key: 'revenue', value: (movie) => movie.revenue || null, better: 'higher', format: 'currency' },
+  {
+    key: 'director',
+    value: (movie) =>
+      (getKeyCrew(movie.credits).find(({ role }) => role === 'director')?.people || []).map((person) => person.name),
+    format: 'list'
+  },
+  {
+    key: 'cast',
+    value: (movie) => getTopCast(movie.credits, COMPARE_CAST).map((person) => person.name),
+    format: 'list'
+  }
+];
+
+/**
+ * Mark the best and worst value of a row
+ * Nothing is marked when fewer than two movies have a value, or all values are equal
+ * @param {Object} row - Entry of COMPARE_ROWS
+ * @param {Array<Object>} movies - Movie details, in column order
+ * @returns {Array<string|null>} 'best', 'worst' or null per movie
+ */
+export const getRowHighlights = (row, movies) => {
+  const values = movies.map((movie) => row.value(movie));
+  const known = values.filter((value) => typeof value === 'number');
+  if (!row.better || known.length < MIN_COMPARE) return values.map(() => null);
+
+  const max = Math.max(...known);
+  const min = Math.min(...known);
+  if (max === min) return values.map(() => null);
+
+  const [best, worst] = row.better === 'higher' ? [max, min] : [min, max];
+  return values.map((value) => (value === best ? 'best' : value === worst ? 'worst' : null));
+};
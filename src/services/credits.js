@@ -0,0 +1,84 @@
+/**
+ * Credits Helpers
+ *
+ * Shapes TMDB credits for display
+ * - Movie credits (movie.credits from append_to_response=credits): top-billed cast, key crew
+ * - Person credits (person.movie_credits): filmography grouped per movie and sorted by year
+ */
+
+// Crew jobs shown on the movie page, in display order (role names are message keys under "crew.")
+const KEY_CREW_JOBS = [
+  { role: 'director', jobs: ['Director'] },
+  { role: 'writer', jobs: ['Screenplay', 'Writer', 'Story', 'Novel'] },
+  { role: 'composer', jobs: ['Original Music Composer', 'Music'] }
+];
+
+/**
+ * Top-billed cast members
+ * @param {Object} credits - Movie credits ({ cast, crew })
+ * @param {number} limit - Maximum number of cast members
+ * @returns {Array} Cast members ordered by billing
+ */
+export const getTopCast = (credits, limit = 15) =>
+  [...(credits?.cast || [])].sort((a, b) => a.order - b.order).slice(0, limit);
+
+/**
+ * Key crew (director, writers, composer), one person listed once per role
+ * @param {Object} credits - Movie credits ({ cast, crew })
+ * @returns {Array} Roles with people ([{ role, people: [{ id, name, jobs }] }]), empty roles left out
+ */
+export const getKeyCrew = (credits) =>
+  KEY_CREW_JOBS.map(({ role, jobs }) => {
+    const people = new Map();
+    (credits?.crew || [])
+      .filter((member) => jobs.includes(member.job))
+      .forEach((member) => {
+        const person = people.get(member.id) || { id: member.id, name: member.name, jobs: [] };
+        if (!person.jobs.includes(member.job)) person.jobs.push(member.job);
+        people.set(member.id, person);
+      });
+    return { role, people: [...people.values()] };
+  }).filter((entry) => entry.people.length > 0);
+
+/**
+ * Release year of a credit
+ * @param {Object} credit - Movie credit with release_date
+ * @returns {number|null} Year, or null when unknown
+ */
+const getYear = (credit) => {
+  const year = Number((credit.release_date || '').slice(0, 4));
+  return year > 0 ? year : null;
+};
+
+/**
+ * Filmography from a person's movie credits
+ * Acting and crew credits on the same movie are merged into one entry
+ * Roles are { character } for acting credits (character may be empty) and { job } for crew credits
+ * @param {Object} movieCredits - Person movie credits ({ cast, crew })
+ * @returns {Array} Entries ([{ id, title, year, roles }]), newest first, undated last
+ */
+export const buildFilmography = (movieCredits) => {
+  const entries = new Map();
+  const addRole = (credit, role) => {
+    const entry = entries.get(credit.id) || {
+      id: credit.id,
+      title: credit.title,
+      year: getYear(credit),
+      roles: []
+    };
+    if (!entry.roles.some((existing) => existing.character === role.character && existing.job === role.job)) {
+      entry.roles.push(role);
+    }
+    entries.set(credit.id, entry);
+  };
+
+  (movieCredits?.cast || []).forEach((credit) => addRole(credit, { character: credit.character || '' }));
+  (movieCredits?.crew || []).forEach((credit) => addRole(credit, { job: credit.job }));
+
+  return [...entries.values()].sort((a, b) => {
+    if (a.year === b.year) return a.title.localeCompare(b.title);
+    if (a.year === null) return 1;
+    if (b.year === null) return -1;
+    return b.year - a.year;
+  });
+};
@@ -0,0 +1,94 @@
+/**
+ * CSV Helpers
+ *
+ * Reading and writing comma-separated files (RFC 4180), as exported by Letterboxd and IMDb
+ * Features:
+ * - Quoted fields with commas, line breaks and doubled quotes ("")
+ * - CRLF or LF line endings, optional UTF-8 byte order mark
+ * - Rows become objects keyed by the header row
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows (blank lines are skipped)
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // \r\n counts as one line break
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row
+ * @param {string} text - CSV text
+ * @returns {Object} { headers: [string], rows: [{ [header]: value }] }
+ */
+export const parseCsv = (text) => {
+  const [headerRow = [], ...dataRows] = parseRows(text.replace(/^\uFEFF/, ''));
+  const headers = headerRow.map((header) => header.trim());
+
+  return {
+    headers,
+    rows: dataRows.map((fields) => Object.fromEntries(headers.map((header, index) => [header, fields[index] ?? ''])))
+  };
+};
+
+/**
+ * Quote a value when it contains a comma, a quote or a line break
+ * @param {*} value - Field value (null / undefined become empty)
+ * @returns {string} CSV field
+ */
+const formatField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from objects
+ * @param {Array<string>} headers - Column names, in order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export const toCsv = (headers, rows) =>
+  [headers, ...rows.map((row) => headers.map((header) => row[header]))]
+    .map((fields) => fields.map(formatField).join(','))
+    .join('\r\n') + '\r\n';
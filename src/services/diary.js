@@ -0,0 +1,257 @@
+/**
+ * Diary Service
+ *
+ * Personal ratings, private notes and a viewing diary, stored locally in the browser
+ * Features:
+ * - Half-star ratings from 0.5 to 5 and a private note per movie
+ * - Dated "watched on" entries; watching a movie again is logged as a rewatch
+ * - Each entry can keep the rating given at the time
+ * - Movie snapshots are kept, so the diary renders offline without API calls
+ * - Versioned schema with migrations (see services/storage.js)
+ *
+ * Schema (v1):
+ *   { movies: { [movieId]: MovieRecord }, entries: [Entry] }
+ *   MovieRecord = { movie: MovieSnapshot, rating: number|null, note: string, updatedAt: ISO date string }
+ *   Entry = { id, movieId, watchedOn: 'YYYY-MM-DD', rewatch: boolean, rating: number|null, createdAt: ISO date string }
+ */
+
+import { createPersistentStore, isObject } from './storage';
+import { toMovieSnapshot } from './watchlist';
+
+export const MAX_RATING = 5;
+export const RATING_STEP = 0.5;
+
+// Ratings are null (not rated) or a number of stars
+const isRating = (value) => value === null || typeof value === 'number';
+
+/**
+ * Check a movie record: { movie: { id: number }, rating, note, updatedAt }
+ * @param {*} record - Record read from storage or a backup
+ * @returns {boolean} True if the diary can render it
+ */
+const isValidRecord = (record) =>
+  isObject(record) &&
+  isObject(record.movie) &&
+  Number.isInteger(record.movie.id) &&
+  isRating(record.rating) &&
+  typeof record.note === 'string' &&
+  typeof record.updatedAt === 'string';
+
+/**
+ * Check a diary entry: { id, movieId: number, watchedOn: 'YYYY-MM-DD', rewatch, rating, createdAt }
+ * @param {*} entry - Entry read from storage or a backup
+ * @returns {boolean} True if the diary can render it
+ */
+const isValidEntry = (entry) =>
+  isObject(entry) &&
+  typeof entry.id === 'string' &&
+  Number.isInteger(entry.movieId) &&
+  typeof entry.watchedOn === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(entry.watchedOn) &&
+  typeof entry.rewatch === 'boolean' &&
+  isRating(entry.rating) &&
+  typeof entry.createdAt === 'string';
+
+export const diaryStore = createPersistentStore({
+  key: 'moviepedia:diary',
+  version: 1,
+  initialState: {
+    movies: {},
+    entries: []
+  },
+  validate: (data) => Object.values(data.movies).every(isValidRecord) && data.entries.every(isValidEntry)
+});
+
+/**
+ * Round a rating to the nearest half star (null when there is no rating)
+ * @param {number|null} rating - Rating on the 5-star scale
+ * @returns {number|null} Rating between 0.5 and 5, or null
+ */
+export const normalizeRating = (rating) => {
+  const value = Number(rating);
+  if (rating === null || rating === undefined || rating === '' || !Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+  return Math.min(MAX_RATING, Math.max(RATING_STEP, Math.round(value / RATING_STEP) * RATING_STEP));
+};
+
+/**
+ * Today's date in the user's time zone
+ * @returns {string} YYYY-MM-DD
+ */
+export const today = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Unique ID for a diary entry
+ */
+const createEntryId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Drop a movie record that no longer holds anything (no rating, note or diary entry)
+ * @param {Object} state - Store state
+ * @param {number} movieId - Movie ID
+ * @returns {Object} State without the empty record
+ */
+const pruneMovie = (state, movieId) => {
+  const record = state.movies[movieId];
+  if (!record || record.rating !== null || record.note || state.entries.some((entry) => entry.movieId === movieId)) {
+    return state;
+  }
+  const movies = Object.fromEntries(Object.entries(state.movies).filter(([id]) => Number(id) !== movieId));
+  return { ...state, movies };
+};
+
+/**
+ * Update (or create) the record of a movie
+ * @param {Object} state - Store state
+ * @param {Object} movie - Movie from the API or a snapshot
+ * @param {Object} changes - Fields to change ({ rating, note })
+ * @returns {Object} New state
+ */
+const updateMovie = (state, movie, changes) => {
+  const current = state.movies[movie.id] || { rating: null, note: '' };
+  return pruneMovie(
+    {
+      ...state,
+      movies: {
+        ...state.movies,
+        [movie.id]: { ...current, ...changes, movie: toMovieSnapshot(movie), updatedAt: new Date().toISOString() }
+      }
+    },
+    movie.id
+  );
+};
+
+/**
+ * Rate a movie (null clears the rating)
+ * @param {Object} movie - Movie to rate
+ * @param {number|null} rating - Rating from 0.5 to 5, in half stars
+ */
+export const setRating = (movie, rating) => {
+  diaryStore.setState((state) => updateMovie(state, movie, { rating: normalizeRating(rating) }));
+};
+
+/**
+ * Save the private note of a movie ('' removes it)
+ * @param {Object} movie - Movie the note is about
+ * @param {string} note - Note text
+ */
+export const setNote = (movie, note) => {
+  diaryStore.setState((state) => updateMovie(state, movie, { note: note.trim() }));
+};
+
+/**
+ * Add a "watched on" entry to the diary
+ * @param {Object} movie - Movie that was watched
+ * @param {Object} options - Entry details
+ * @param {string} options.watchedOn - Date watched (YYYY-MM-DD), defaults to today
+ * @param {boolean} options.rewatch - Whether the movie had been seen before
+ * @param {number|null} options.rating - Rating given at the time (defaults to the movie's current rating)
+ */
+export const logWatch = (movie, { watchedOn = today(), rewatch = false, rating } = {}) => {
+  diaryStore.setState((state) => {
+    const withMovie = updateMovie(state, movie, {});
+    const entry = {
+      id: createEntryId(),
+      movieId: movie.id,
+      watchedOn,
+      rewatch,
+      rating: rating === undefined ? withMovie.movies[movie.id].rating : normalizeRating(rating),
+      createdAt: new Date().toISOString()
+    };
+    return { ...withMovie, entries: [...withMovie.entries, entry] };
+  });
+};
+
+/**
+ * Remove a diary entry
+ * @param {string} entryId - Entry ID
+ */
+export const removeEntry = (entryId) => {
+  diaryStore.setState((state) => {
+    const entry = state.entries.find((e) => e.id === entryId);
+    if (!entry) return state;
+    return pruneMovie({ ...state, entries: state.entries.filter((e) => e.id !== entryId) }, entry.movieId);
+  });
+};
+
+/**
+ * Add ratings, notes and diary entries in one go, e.g. from an import
+ * Ratings and notes replace the current ones; an entry already logged for the same day is not added twice
+ * @param {Array} items - [{ movie, rating, note, watchedOn, rewatch }] (all but movie optional)
+ * @returns {number} Number of diary entries added
+ */
+export const importDiary = (items) => {
+  let added = 0;
+  diaryStore.setState((initial) =>
+    items.reduce((state, { movie, rating, note, watchedOn, rewatch = false }) => {
+      const changes = {};
+      if (normalizeRating(rating) !== null) changes.rating = normalizeRating(rating);
+      if (note) changes.note = note.trim();
+      const next = updateMovie(state, movie, changes);
+      if (!watchedOn || next.entries.some((entry) => entry.movieId === movie.id && entry.watchedOn === watchedOn)) {
+        return next;
+      }
+      added += 1;
+      const entry = {
+        id: createEntryId(),
+        movieId: movie.id,
+        watchedOn,
+        rewatch,
+        rating: normalizeRating(rating),
+        createdAt: new Date().toISOString()
+      };
+      return { ...next, entries: [...next.entries, entry] };
+    }, initial)
+  );
+  return added;
+};
+
+/**
+ * Get the record of a movie
+ * @param {Object} state - Store state
+ * @param {number|string} movieId - Movie ID
+ * @returns {Object|null} { movie, rating, note, updatedAt } or null
+ */
+export const getMovieRecord = (state, movieId) => state.movies[movieId] || null;
+
+/**
+ * Newest first: by date watched, then by when the entry was logged
+ */
+const compareEntries = (a, b) => b.watchedOn.localeCompare(a.watchedOn) || b.createdAt.localeCompare(a.createdAt);
+
+/**
+ * Diary entries of one movie, newest first
+ * @param {Object} state - Store state
+ * @param {number|string} movieId - Movie ID
+ * @returns {Array} Entries
+ */
+export const getMovieEntries = (state, movieId) =>
+  state.entries.filter((entry) => entry.movieId === Number(movieId)).sort(compareEntries);
+
+/**
+ * The whole diary, newest first, grouped by month
+ * @param {Object} state - Store state
+ * @returns {Array} [{ month: 'YYYY-MM', entries: [Entry & { movie, note }] }]
+ */
+export const getDiaryByMonth = (state) => {
+  const groups = [];
+  [...state.entries].sort(compareEntries).forEach((entry) => {
+    const month = entry.watchedOn.slice(0, 7);
+    const { movie, note } = state.movies[entry.movieId] || {};
+    if (!movie) return;
+    if (groups.length === 0 || groups[groups.length - 1].month !== month) {
+      groups.push({ month, entries: [] });
+    }
+    groups[groups.length - 1].entries.push({ ...entry, movie, note });
+  });
+  return groups;
+};
@@ -0,0 +1,233 @@
+/**
+ * Discover Filters
+ *
+ * Filter model for Discover mode (TMDB /discover/movie)
+ * Shared by the filter panel, the Home page and the data providers
+ *
+ * Filters shape:
+ * - includeGenres / excludeGenres: Arrays of genre IDs
+ * - yearFrom / yearTo: Release year range ('' = no bound)
+ * - minRating: Minimum vote average, 0-10 ('' = any)
+ * - minVotes: Minimum vote count ('' = any)
+ * - language: Original language ISO 639-1 code ('' = any)
+ * - runtimeMin / runtimeMax: Runtime bounds in minutes ('' = no bound)
+ * - watchProviders: Streaming service IDs - movie must be on at least one of them ([] = any)
+ * - watchRegion: ISO 3166-1 country the services are checked in (only used with watchProviders)
+ * - sortBy: Key of DISCOVER_SORT_OPTIONS
+ */
+
+export const DEFAULT_FILTERS = {
+  includeGenres: [],
+  excludeGenres: [],
+  yearFrom: '',
+  yearTo: '',
+  minRating: '',
+  minVotes: '',
+  language: '',
+  runtimeMin: '',
+  runtimeMax: '',
+  watchProviders: [],
+  watchRegion: '',
+  sortBy: 'popularity.desc'
+};
+
+/**
+ * Sort orders supported by Discover (keys are TMDB sort_by values)
+ * labelKey is a message key (see services/i18n.js)
+ */
+export const DISCOVER_SORT_OPTIONS = {
+  'popularity.desc': { labelKey: 'filters.sort.popularity', field: 'popularity' },
+  'vote_average.desc': { labelKey: 'filters.sort.rating', field: 'vote_average' },
+  'primary_release_date.desc': { labelKey: 'filters.sort.newest', field: 'release_date' },
+  'revenue.desc': { labelKey: 'filters.sort.revenue', field: 'revenue' }
+};
+
+/**
+ * Original languages offered in the filter panel
+ * The panel shows each name in the UI language (Intl.DisplayNames); label is the fallback
+ */
+export const LANGUAGE_OPTIONS = [
+  { code: 'en', label: 'English' },
+  { code: 'id', label: 'Indonesian' },
+  { code: 'ja', label: 'Japanese' },
+  { code: 'ko', label: 'Korean' },
+  { code: 'fr', label: 'French' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'de', label: 'German' },
+  { code: 'it', label: 'Italian' },
+  { code: 'hi', label: 'Hindi' },
+  { code: 'zh', label: 'Chinese' }
+];
+
+// Sorting by rating is meaningless for movies with a handful of votes
+const RATING_SORT_MIN_VOTES = 100;
+
+// Region used for streaming services when a link doesn't name one
+const DEFAULT_WATCH_REGION = 'US';
+
+// Keys that only refine another filter (not counted on their own)
+const UNCOUNTED_KEYS = ['sortBy', 'watchRegion'];
+
+/**
+ * Count how many filters differ from the defaults (sort order excluded)
+ * @param {Object} filters - Discover filters
+ * @returns {number} Number of active filters
+ */
+export const countActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).filter((key) => {
+    if (UNCOUNTED_KEYS.includes(key)) return false;
+    const value = filters[key];
+    return Array.isArray(value) ? value.length > 0 : value !== '' && value !== undefined;
+  }).length;
+
+/**
+ * Check whether the filters are all at their defaults (plain "Popular" browsing)
+ * @param {Object} filters - Discover filters
+ * @returns {boolean} True if nothing is filtered and the sort is the default
+ */
+export const isDefaultFilters = (filters) =>
+  countActiveFilters(filters) === 0 && filters.sortBy === DEFAULT_FILTERS.sortBy;
+
+/**
+ * Build a stable string for the filters (used in cache keys)
+ * @param {Object} filters - Discover filters
+ * @returns {string} Serialized filters
+ */
+export const serializeFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS)
+    .map((key) => {
+      const value = filters[key];
+      return `${key}=${Array.isArray(value) ? [...value].sort((a, b) => a - b).join(',') : value ?? ''}`;
+    })
+    .join('&');
+
+// URL search param used for each filter (kept short and readable for shareable links)
+const URL_PARAMS = {
+  includeGenres: 'genres',
+  excludeGenres: 'exclude',
+  yearFrom: 'from',
+  yearTo: 'to',
+  minRating: 'rating',
+  minVotes: 'votes',
+  language: 'lang',
+  runtimeMin: 'runtime_min',
+  runtimeMax: 'runtime_max',
+  watchProviders: 'providers',
+  watchRegion: 'region',
+  sortBy: 'sort'
+};
+
+/**
+ * Write filters into URL search params (defaults are left out)
+ * @param {Object} filters - Discover filters
+ * @param {URLSearchParams} baseParams - Existing params to keep (e.g. q)
+ * @returns {URLSearchParams} New search params
+ */
+export const filtersToSearchParams = (filters, baseParams = new URLSearchParams()) => {
+  const params = new URLSearchParams(baseParams);
+
+  Object.entries(URL_PARAMS).forEach(([key, name]) => {
+    params.delete(name);
+    const value = filters[key];
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(name, value.join(','));
+    } else if (value !== '' && value !== undefined && value !== DEFAULT_FILTERS[key]) {
+      params.set(name, value);
+    }
+  });
+
+  return params;
+};
+
+/**
+ * Read filters from URL search params, ignoring anything invalid
+ * @param {URLSearchParams} params - URL search params
+ * @returns {Object} Discover filters
+ */
+export const filtersFromSearchParams = (params) => {
+  const filters = { ...DEFAULT_FILTERS };
+
+  Object.entries(URL_PARAMS).forEach(([key, name]) => {
+    const value = params.get(name);
+    if (value === null || value === '') return;
+
+    if (Array.isArray(DEFAULT_FILTERS[key])) {
+      filters[key] = value
+        .split(',')
+        .map(Number)
+        .filter((id) => Number.isInteger(id) && id > 0);
+    } else if (key === 'sortBy') {
+      if (DISCOVER_SORT_OPTIONS[value]) filters.sortBy = value;
+    } else if (key === 'language') {
+      filters.language = value;
+    } else if (key === 'watchRegion') {
+      if (/^[A-Z]{2}$/.test(value)) filters.watchRegion = value;
+    } else if (Number.isFinite(Number(value))) {
+      filters[key] = value;
+    }
+  });
+
+  return filters;
+};
+
+/**
+ * Convert filters to TMDB /discover/movie query parameters
+ * @param {Object} filters - Discover filters
+ * @returns {Object} Query parameters
+ */
+export const toDiscoverParams = (filters) => {
+  const params = { sort_by: filters.sortBy || DEFAULT_FILTERS.sortBy };
+
+  // Comma = movie must have ALL included genres
+  if (filters.includeGenres.length > 0) params.with_genres = filters.includeGenres.join(',');
+  // Pipe = exclude movies with ANY of these genres
+  if (filters.excludeGenres.length > 0) params.without_genres = filters.excludeGenres.join('|');
+  if (filters.yearFrom) params['primary_release_date.gte'] = `${filters.yearFrom}-01-01`;
+  if (filters.yearTo) params['primary_release_date.lte'] = `${filters.yearTo}-12-31`;
+  if (filters.minRating !== '') params['vote_average.gte'] = filters.minRating;
+  if (filters.minVotes !== '') params['vote_count.gte'] = filters.minVotes;
+  if (filters.language) params.with_original_language = filters.language;
+  if (filters.runtimeMin !== '') params['with_runtime.gte'] = filters.runtimeMin;
+  if (filters.runtimeMax !== '') params['with_runtime.lte'] = filters.runtimeMax;
+  // Pipe = available on ANY of the services; subscriptions and free services only (not rent / buy)
+  if (filters.watchProviders.length > 0) {
+    params.with_watch_providers = filters.watchProviders.join('|');
+    params.watch_region = filters.watchRegion || DEFAULT_WATCH_REGION;
+    params.with_watch_monetization_types = 'flatrate|free|ads';
+  }
+
+  if (params.sort_by === 'vote_average.desc' && params['vote_count.gte'] === undefined) {
+    params['vote_count.gte'] = RATING_SORT_MIN_VOTES;
+  }
+
+  return params;
+};
+
+/**
+ * Check whether a full movie record matches the filters (offline Discover)
+ * @param {Object} movie - Movie with genre_ids, release_date, runtime, vote_average, vote_count...
+ *   and watch_provider_ids (streaming services in the filter's region)
+ * @param {Object} filters - Discover filters
+ * @returns {boolean} True if the movie matches
+ */
+export const matchesFilters = (movie, filters) => {
+  const year = Number((movie.release_date || '').slice(0, 4));
+  const genreIds = movie.genre_ids || [];
+
+  if (!filters.includeGenres.every((id) => genreIds.includes(id))) return false;
+  if (filters.excludeGenres.some((id) => genreIds.includes(id))) return false;
+  if (filters.yearFrom && year < Number(filters.yearFrom)) return false;
+  if (filters.yearTo && year > Number(filters.yearTo)) return false;
+  if (filters.minRating !== '' && movie.vote_average < Number(filters.minRating)) return false;
+  if (filters.minVotes !== '' && movie.vote_count < Number(filters.minVotes)) return false;
+  if (filters.language && movie.original_language !== filters.language) return false;
+  if (filters.runtimeMin !== '' && movie.runtime < Number(filters.runtimeMin)) return false;
+  if (filters.runtimeMax !== '' && movie.runtime > Number(filters.runtimeMax)) return false;
+  if (
+    filters.watchProviders.length > 0 &&
+    !filters.watchProviders.some((id) => (movie.watch_provider_ids || []).includes(id))
+  ) {
+    return false;
+  }
+  return true;
+};
@@ -0,0 +1,158 @@
+/**
+ * API Error Types
+ *
+ * Typed errors thrown by the API service so pages can show the right UI state
+ * Every error has a `type` the UI can switch on:
+ * - auth: API key missing or rejected (401/403)
+ * - not-found: Resource does not exist (404)
+ * - rate-limited: Too many requests (429)
+ * - network: Request never reached the server (offline, DNS, CORS)
+ * - server: TMDB failed (5xx)
+ * - unknown: Anything else
+ */
+
+/**
+ * Base class for all API errors
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Extra details
+   * @param {number} options.status - HTTP status code (if any)
+   * @param {Error} options.cause - Underlying error (if any)
+   */
+  constructor(message, { status, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.type = 'unknown';
+    this.status = status;
+  }
+}
+
+/**
+ * API key missing or rejected
+ */
+export class AuthError extends ApiError {
+  constructor(message = 'TMDB rejected the API key', options) {
+    super(message, options);
+    this.name = 'AuthError';
+    this.type = 'auth';
+  }
+}
+
+/**
+ * Requested resource does not exist
+ */
+export class NotFoundError extends ApiError {
+  constructor(message = 'The requested resource was not found', options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+    this.type = 'not-found';
+  }
+}
+
+/**
+ * Too many requests - TMDB asked us to slow down
+ */
+export class RateLimitError extends ApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Extra details
+   * @param {number} options.retryAfter - Seconds to wait before retrying (from Retry-After)
+   */
+  constructor(message = 'Too many requests to TMDB', { retryAfter, ...options } = {}) {
+    super(message, options);
+    this.name = 'RateLimitError';
+    this.type = 'rate-limited';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Request never got a response (offline, DNS failure, blocked)
+ */
+export class NetworkError extends ApiError {
+  constructor(message = 'Could not reach TMDB', options) {
+    super(message, options);
+    this.name = 'NetworkError';
+    this.type = 'network';
+  }
+}
+
+/**
+ * TMDB responded with a server error
+ */
+export class ServerError extends ApiError {
+  constructor(message = 'TMDB returned a server error', options) {
+    super(message, options);
+    this.name = 'ServerError';
+    this.type = 'server';
+  }
+}
+
+/**
+ * Check whether an error comes from an aborted request
+ * Aborted requests were superseded on purpose and should not be shown as failures
+ * @param {Error} error - Caught error
+ * @returns {boolean} True if the request was aborted
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Parse the Retry-After header into seconds
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|undefined} Seconds to wait, if the header is usable
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, (date - Date.now()) / 1000);
+  }
+
+  return undefined;
+};
+
+/**
+ * Build the matching typed error for a failed HTTP response
+ * @param {Response} response - Fetch response with !response.ok
+ * @param {string} path - Endpoint path, used in the message
+ * @returns {Promise<ApiError>} Typed error
+ */
+export const errorFromResponse = async (response, path) => {
+  const { status } = response;
+
+  // TMDB explains most failures in status_message
+  let detail = '';
+  try {
+    const body = await response.json();
+    detail = body.status_message ? `: ${body.status_message}` : '';
+  } catch {
+    // Body is not JSON - the status code is enough
+  }
+
+  const message = `TMDB request failed for ${path} (${status})${detail}`;
+
+  if (status === 401 || status === 403) {
+    return new AuthError(message, { status });
+  }
+  if (status === 404) {
+    return new NotFoundError(message, { status });
+  }
+  if (status === 429) {
+    return new RateLimitError(message, {
+      status,
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+    });
+  }
+  if (status >= 500) {
+    return new ServerError(message, { status });
+  }
+  return new ApiError(message, { status });
+};
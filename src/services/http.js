@@ -0,0 +1,191 @@
+/**
+ * HTTP Client
+ *
+ * Shared fetch wrapper used by the TMDB provider
+ * Features:
+ * - Retries idempotent requests (GET/HEAD) on 429, 5xx, non-JSON bodies and network failures (not while offline)
+ * - Exponential backoff with full jitter, honoring Retry-After when the server sends it
+ * - Client-side token bucket so bursts (infinite scroll, fast typing) can't flood the API
+ * - Retry state that the UI can subscribe to (LoadingSpinner shows "Retrying...")
+ * - Typed errors once retries are exhausted (see services/errors.js)
+ */
+
+import { ApiError, NetworkError, ServerError, errorFromResponse, isAbortError, parseRetryAfter } from './errors';
+import { isOnline } from './network';
+
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+// Token bucket: bursts of up to BUCKET_CAPACITY requests, then REFILL_PER_SECOND
+const BUCKET_CAPACITY = 8;
+const REFILL_PER_SECOND = 4;
+
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional signal to cancel the wait
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const handleAbort = () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+
+const bucket = {
+  tokens: BUCKET_CAPACITY,
+  updatedAt: Date.now()
+};
+
+/**
+ * Add the tokens earned since the last update
+ */
+const refillBucket = () => {
+  const now = Date.now();
+  const earned = ((now - bucket.updatedAt) / 1000) * REFILL_PER_SECOND;
+  bucket.tokens = Math.min(BUCKET_CAPACITY, bucket.tokens + earned);
+  bucket.updatedAt = now;
+};
+
+/**
+ * Take one token from the bucket, waiting until one is available
+ * @param {AbortSignal} signal - Optional signal to stop waiting
+ * @returns {Promise<void>}
+ */
+const acquireToken = async (signal) => {
+  refillBucket();
+  while (bucket.tokens < 1) {
+    const waitMs = ((1 - bucket.tokens) / REFILL_PER_SECOND) * 1000;
+    await sleep(Math.ceil(waitMs), signal);
+    refillBucket();
+  }
+  bucket.tokens -= 1;
+};
+
+// Replaced (never mutated) on every change so React can compare snapshots
+let retryState = { retrying: 0, attempt: 0 };
+const retryListeners = new Set();
+
+/**
+ * Update the retry state and notify subscribers
+ * @param {number} delta - +1 when a request starts waiting to retry, -1 when it stops
+ * @param {number} attempt - Retry attempt number of the request that changed
+ */
+const updateRetryState = (delta, attempt) => {
+  const retrying = Math.max(0, retryState.retrying + delta);
+  retryState = { retrying, attempt: retrying > 0 ? Math.max(attempt, retryState.attempt) : 0 };
+  retryListeners.forEach((listener) => listener());
+};
+
+/**
+ * Current retry state
+ * @returns {Object} { retrying: number of requests waiting to retry, attempt: highest attempt number }
+ */
+export const getRetryState = () => retryState;
+
+/**
+ * Subscribe to retry state changes
+ * @param {function} listener - Called after every change
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeRetryState = (listener) => {
+  retryListeners.add(listener);
+  return () => retryListeners.delete(listener);
+};
+
+/**
+ * Compute how long to wait before the next attempt
+ * @param {number} attempt - Retry attempt (1 for the first retry)
+ * @param {number|undefined} retryAfter - Seconds requested by the server
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt, retryAfter) => {
+  if (retryAfter !== undefined) {
+    return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  }
+  // Full jitter: random delay between 0 and the exponential cap
+  const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * cap);
+};
+
+/**
+ * Fetch JSON with retries, rate limiting and typed errors
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (also cancels pending retries)
+ * @param {string} options.method - HTTP method (only GET/HEAD are retried)
+ * @param {Object} options.headers - Request headers
+ * @param {number} options.retries - Maximum number of retries
+ * @param {string} options.label - Short name of the endpoint, used in error messages
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} Typed error once retries are exhausted
+ */
+export const fetchJson = async (
+  url,
+  { signal, method = 'GET', headers, retries = MAX_RETRIES, label = url } = {}
+) => {
+  const canRetry = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+
+  for (let attempt = 0; ; attempt++) {
+    const retriesLeft = canRetry && attempt < retries;
+    let retryAfter;
+
+    await acquireToken(signal);
+
+    try {
+      const response = await fetch(url, { method, headers, signal });
+
+      if (response.ok) {
+        try {
+          return await response.json();
+        } catch (error) {
+          // Aborts and broken connections while reading the body are handled below
+          if (!(error instanceof SyntaxError)) throw error;
+          // A cut-off or non-JSON body (e.g. a CDN error page) is a server failure, retried like a 5xx
+          if (!retriesLeft) {
+            throw new ServerError(`TMDB sent an unreadable response for ${label}`, {
+              status: response.status,
+              cause: error
+            });
+          }
+        }
+      } else if (!retriesLeft || !RETRYABLE_STATUSES.includes(response.status)) {
+        throw await errorFromResponse(response, label);
+      } else {
+        retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      }
+    } catch (error) {
+      // Aborted, or already a typed error from above
+      if (isAbortError(error) || error instanceof ApiError) {
+        throw error;
+      }
+      // fetch only rejects when no response came back at all; retrying offline can't help
+      if (!retriesLeft || !isOnline()) {
+        throw new NetworkError(`Could not reach TMDB for ${label}`, { cause: error });
+      }
+    }
+
+    const retryAttempt = attempt + 1;
+    updateRetryState(1, retryAttempt);
+    try {
+      await sleep(getRetryDelay(retryAttempt, retryAfter), signal);
+    } finally {
+      updateRetryState(-1, retryAttempt);
+    }
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * Internationalization Service
+ *
+ * UI language, message catalogs and translation lookup
+ * Features:
+ * - English and Bahasa Indonesia catalogs (see services/locales)
+ * - The chosen locale is saved in localStorage; the first visit follows the browser language
+ * - The locale code doubles as TMDB's `language` parameter (translated titles and overviews)
+ * - Messages support {placeholders} and plural forms ({ one, other }, picked with Intl.PluralRules)
+ * - Missing translations fall back to English, then to the key itself
+ * - Keeps <html lang> in sync for screen readers and hyphenation
+ */
+
+import { createPersistentStore } from './storage';
+import en from './locales/en';
+import id from './locales/id';
+
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Supported locales (codes are TMDB language codes)
+ */
+export const LOCALES = [
+  { code: 'en-US', label: 'English', messages: en },
+  { code: 'id-ID', label: 'Bahasa Indonesia', messages: id }
+];
+
+/**
+ * Pick the supported locale closest to the browser languages
+ * @returns {string} Locale code
+ */
+const detectLocale = () => {
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  for (const language of preferred) {
+    const primary = (language || '').split('-')[0].toLowerCase();
+    const match = LOCALES.find((locale) => locale.code.split('-')[0] === primary);
+    if (match) return match.code;
+  }
+  return DEFAULT_LOCALE;
+};
+
+export const localeStore = createPersistentStore({
+  key: 'moviepedia:locale',
+  version: 1,
+  initialState: detectLocale()
+});
+
+/**
+ * Turn any stored value into a supported locale code
+ * @param {string} code - Locale code
+ * @returns {string} The code if supported, otherwise DEFAULT_LOCALE
+ */
+export const resolveLocale = (code) =>
+  LOCALES.some((locale) => locale.code === code) ? code : DEFAULT_LOCALE;
+
+/**
+ * Current locale code
+ * @returns {string} e.g. 'en-US' or 'id-ID'
+ */
+export const getLocale = () => resolveLocale(localeStore.getState());
+
+/**
+ * Change (and persist) the locale
+ * @param {string} code - Locale code from LOCALES
+ */
+export const setLocale = (code) => localeStore.setState(resolveLocale(code));
+
+/**
+ * Find a message by its dotted key (e.g. 'home.title')
+ * @param {Object} messages - Message catalog
+ * @param {string} key - Dotted key
+ * @returns {string|Object|undefined} Message, plural forms, or undefined
+ */
+const lookup = (messages, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+
+/**
+ * Translate a message
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values; `count` also selects the plural form
+ * @param {string} locale - Locale code (defaults to the current locale)
+ * @returns {string} Translated message
+ */
+export const translate = (key, params = {}, locale = getLocale()) => {
+  const catalog = LOCALES.find((entry) => entry.code === locale)?.messages || en;
+  let message = lookup(catalog, key) ?? lookup(en, key) ?? key;
+
+  if (typeof message === 'object') {
+    const form = typeof params.count === 'number' ? new Intl.PluralRules(locale).select(params.count) : 'other';
+    message = message[form] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+  });
+};
+
+// Keep the document language in sync
+if (typeof document !== 'undefined') {
+  const syncDocumentLanguage = () => {
+    document.documentElement.lang = getLocale();
+  };
+  syncDocumentLanguage();
+  localeStore.subscribe(syncDocumentLanguage);
+}
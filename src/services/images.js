@@ -0,0 +1,59 @@
+/**
+ * Image Helpers
+ *
+ * TMDB image URLs for responsive images
+ * Features:
+ * - Single URLs for a given TMDB size (getImageUrl)
+ * - srcset across TMDB's size ladder for each kind of image (posters, backdrops, profiles, stills, logos)
+ * - Tiny low-res version of an image, blurred as a placeholder while the real one loads
+ * - Bundled SVG fallback when there is no image (works offline, no third-party placeholder service)
+ */
+
+import fallbackImage from '../assets/image-fallback.svg';
+
+const IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
+
+export const FALLBACK_IMAGE = fallbackImage;
+
+/**
+ * Widths TMDB serves for each kind of image (smallest first)
+ * 'original' is left out on purpose: backdrops can be several megabytes
+ */
+export const IMAGE_SIZES = {
+  poster: [92, 154, 185, 342, 500, 780],
+  backdrop: [300, 780, 1280],
+  profile: [45, 185],
+  still: [92, 185, 300],
+  logo: [45, 92, 154, 185, 300, 500]
+};
+
+/**
+ * Get the full URL of a TMDB image
+ * @param {string} path - Image path from the API (e.g. poster_path)
+ * @param {string} size - TMDB size (w92, w185, w500, h632, original...)
+ * @returns {string} Full image URL, or the bundled fallback when there is no path
+ */
+export const getImageUrl = (path, size = 'w500') => {
+  if (!path) return FALLBACK_IMAGE;
+  return `${IMAGE_BASE_URL}/${size}${path}`;
+};
+
+/**
+ * Responsive sources for a TMDB image
+ * @param {string} path - Image path from the API
+ * @param {string} type - Kind of image (key of IMAGE_SIZES)
+ * @returns {Object|null} { src, srcSet, placeholder } or null when there is no path
+ *   - src: mid-sized URL for browsers without srcset support
+ *   - srcSet: every width in the ladder ("url 92w, url 154w, ...")
+ *   - placeholder: smallest width, shown blurred while loading
+ */
+export const getResponsiveImage = (path, type = 'poster') => {
+  if (!path) return null;
+  const widths = IMAGE_SIZES[type] || IMAGE_SIZES.poster;
+
+  return {
+    src: getImageUrl(path, `w${widths[Math.floor((widths.length - 1) / 2)]}`),
+    srcSet: widths.map((width) => `${getImageUrl(path, `w${width}`)} ${width}w`).join(', '),
+    placeholder: getImageUrl(path, `w${widths[0]}`)
+  };
+};
@@ -0,0 +1,439 @@
+/**
+ * Import & Export Service
+ *
+ * Moves saved lists, ratings and the diary in and out of the app
+ * Features:
+ * - Reads Letterboxd exports (diary, ratings, reviews, watchlist, watched, likes)
+ *   and IMDb exports (ratings, watchlist, lists)
+ * - Reads the app's own CSV export, matched directly on TMDB IDs
+ * - Matches rows to TMDB: IMDb IDs through /find, otherwise a title + year search
+ * - Each row ends up matched, ambiguous (several candidates) or unmatched, for review before importing
+ * - Writes matched rows into the watchlist, favorites, or the diary / ratings
+ * - CSV export per list (columns Letterboxd's importer understands) and a full JSON backup of every store
+ */
+
+import { parseCsv, toCsv } from './csv';
+import { fetchMovieDetails, fetchTvDetails, findByImdbId, searchMovies, searchTv } from './api';
+import { LISTS, watchlistStore, addManyToList } from './watchlist';
+import { diaryStore, importDiary, normalizeRating } from './diary';
+import { streamingStore } from './streaming';
+import { MEDIA_TYPES, getMediaType, getTitle, getReleaseYear } from './media';
+
+/**
+ * Where imported rows can go (labelKey is a message key, see services/i18n.js)
+ * - watchlist / favorites: saved lists
+ * - diary: ratings, notes and dated entries (movies only)
+ */
+export const IMPORT_TARGETS = {
+  [LISTS.WATCHLIST]: { labelKey: 'transfer.target.watchlist', moviesOnly: false },
+  [LISTS.FAVORITES]: { labelKey: 'transfer.target.favorites', moviesOnly: false },
+  diary: { labelKey: 'transfer.target.diary', moviesOnly: true }
+};
+
+const ALL_TARGETS = Object.keys(IMPORT_TARGETS);
+const LIST_TARGETS = [LISTS.WATCHLIST, LISTS.FAVORITES];
+
+/**
+ * Supported CSV formats, recognised from their header row
+ * - targets: where the rows can go (plain lists have no ratings or dates for the diary)
+ * - defaultTarget: where rows go unless the user picks something else
+ */
+export const IMPORT_FORMATS = {
+  moviepedia: { labelKey: 'transfer.format.moviepedia', targets: ALL_TARGETS, defaultTarget: 'diary' },
+  letterboxdDiary: { labelKey: 'transfer.format.letterboxdDiary', targets: ALL_TARGETS, defaultTarget: 'diary' },
+  letterboxdRatings: { labelKey: 'transfer.format.letterboxdRatings', targets: ALL_TARGETS, defaultTarget: 'diary' },
+  letterboxdList: { labelKey: 'transfer.format.letterboxdList', targets: LIST_TARGETS, defaultTarget: LISTS.WATCHLIST },
+  imdbRatings: { labelKey: 'transfer.format.imdbRatings', targets: ALL_TARGETS, defaultTarget: 'diary' },
+  imdbList: { labelKey: 'transfer.format.imdbList', targets: LIST_TARGETS, defaultTarget: LISTS.WATCHLIST }
+};
+
+export const MATCH_STATUS = {
+  MATCHED: 'matched',
+  AMBIGUOUS: 'ambiguous',
+  UNMATCHED: 'unmatched'
+};
+
+// IMDb title types that are TV shows (everything else is searched as a movie)
+const IMDB_TV_TYPES = ['tvSeries', 'tvMiniSeries', 'TV Series', 'TV Mini Series'];
+
+// Candidates kept for the review screen
+const MAX_CANDIDATES = 5;
+
+/**
+ * Recognise an export from its columns
+ * @param {Array<string>} headers - CSV header row
+ * @returns {string|null} Key of IMPORT_FORMATS, or null if unsupported
+ */
+export const detectFormat = (headers) => {
+  const has = (name) => headers.includes(name);
+  if (has('tmdbID')) return 'moviepedia';
+  if (has('Letterboxd URI')) {
+    if (has('Watched Date')) return 'letterboxdDiary';
+    return has('Rating') ? 'letterboxdRatings' : 'letterboxdList';
+  }
+  if (has('Const')) {
+    return has('Your Rating') && !has('Position') ? 'imdbRatings' : 'imdbList';
+  }
+  return null;
+};
+
+/**
+ * Keep a value only if it is a YYYY-MM-DD date
+ */
+const toDate = (value) => (/^\d{4}-\d{2}-\d{2}$/.test((value || '').trim()) ? value.trim() : null);
+
+/**
+ * Turn one CSV row into an import row, whatever the source
+ * @param {Object} row - CSV row keyed by header
+ * @param {string} format - Key of IMPORT_FORMATS
+ * @returns {Object} { title, year, imdbId, tmdbId, mediaType, rating (0.5-5), note, watchedOn, rewatch, addedAt }
+ */
+const normalizeRow = (row, format) => {
+  const year = Number(row.Year) || null;
+
+  if (format === 'moviepedia') {
+    return {
+      title: row.Title,
+      year,
+      tmdbId: Number(row.tmdbID) || null,
+      imdbId: null,
+      mediaType: row.Type === MEDIA_TYPES.TV ? MEDIA_TYPES.TV : MEDIA_TYPES.MOVIE,
+      rating: normalizeRating(row.Rating),
+      note: row.Review || '',
+      watchedOn: toDate(row.WatchedDate),
+      rewatch: row.Rewatch === 'Yes',
+      addedAt: toDate(row.Added)
+    };
+  }
+
+  if (format.startsWith('letterboxd')) {
+    return {
+      title: row.Name,
+      year,
+      tmdbId: null,
+      imdbId: null,
+      mediaType: MEDIA_TYPES.MOVIE,
+      rating: normalizeRating(row.Rating),
+      note: row.Review || '',
+      watchedOn: toDate(row['Watched Date']),
+      rewatch: row.Rewatch === 'Yes',
+      addedAt: toDate(row.Date)
+    };
+  }
+
+  // IMDb rates out of 10
+  return {
+    title: row.Title,
+    year,
+    tmdbId: null,
+    imdbId: /^tt\d+$/.test(row.Const) ? row.Const : null,
+    mediaType: IMDB_TV_TYPES.includes(row['Title Type']) ? MEDIA_TYPES.TV : MEDIA_TYPES.MOVIE,
+    rating: row['Your Rating'] ? normalizeRating(Number(row['Your Rating']) / 2) : null,
+    note: '',
+    watchedOn: null,
+    rewatch: false,
+    addedAt: toDate(row.Created) || toDate(row['Date Rated'])
+  };
+};
+
+/**
+ * Parse an exported CSV file
+ * @param {string} text - File contents
+ * @returns {Object} { format, rows } (format is null when the file isn't a supported export)
+ */
+export const parseImportFile = (text) => {
+  const { headers, rows } = parseCsv(text);
+  const format = detectFormat(headers);
+  if (!format) return { format: null, rows: [] };
+
+  return {
+    format,
+    rows: rows
+      .map((row, index) => ({ index, ...normalizeRow(row, format) }))
+      .filter((row) => row.title || row.imdbId || row.tmdbId)
+  };
+};
+
+/**
+ * Compare titles loosely (case, accents, punctuation)
+ */
+const normalizeTitle = (title) =>
+  (title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Search TMDB for a row by title (+ year) and pick the match
+ * @param {Object} row - Import row
+ * @param {AbortSignal} signal - Signal to cancel the requests
+ * @returns {Promise<Object>} { status, movie, candidates }
+ */
+const matchByTitle = async (row, signal) => {
+  const isTv = row.mediaType === MEDIA_TYPES.TV;
+  let { results } = isTv
+    ? await searchTv(row.title, 1, { signal })
+    : await searchMovies(row.title, 1, { signal, year: row.year || undefined });
+  // Release years sometimes differ by one between sites - try again without the year
+  if (results.length === 0 && row.year && !isTv) {
+    ({ results } = await searchMovies(row.title, 1, { signal }));
+  }
+
+  const wanted = normalizeTitle(row.title);
+  const candidates = results.slice(0, MAX_CANDIDATES).map((item) => ({ ...item, media_type: row.mediaType }));
+  const exact = candidates.filter(
+    (item) =>
+      (normalizeTitle(getTitle(item)) === wanted ||
+        normalizeTitle(item.original_title || item.original_name) === wanted) &&
+      (!row.year || getReleaseYear(item) === row.year)
+  );
+
+  if (exact.length === 1) return { status: MATCH_STATUS.MATCHED, movie: exact[0], candidates };
+  if (candidates.length > 0) {
+    // Best guesses first
+    const ordered = [...exact, ...candidates.filter((item) => !exact.includes(item))];
+    return { status: MATCH_STATUS.AMBIGUOUS, movie: null, candidates: ordered };
+  }
+  return { status: MATCH_STATUS.UNMATCHED, movie: null, candidates: [] };
+};
+
+/**
+ * Find the TMDB movie (or TV show) for an import row
+ * @param {Object} row - Import row
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Signal to cancel the requests
+ * @returns {Promise<Object>} { status, movie, candidates }
+ */
+export const matchRow = async (row, { signal } = {}) => {
+  if (row.tmdbId) {
+    const isTv = row.mediaType === MEDIA_TYPES.TV;
+    try {
+      const details = isTv
+        ? await fetchTvDetails(row.tmdbId, { signal })
+        : await fetchMovieDetails(row.tmdbId, { signal });
+      return { status: MATCH_STATUS.MATCHED, movie: { ...details, media_type: row.mediaType }, candidates: [] };
+    } catch (err) {
+      if (err.type !== 'not-found') throw err;
+    }
+  }
+
+  if (row.imdbId) {
+    const { movie_results: movies, tv_results: shows } = await findByImdbId(row.imdbId, { signal });
+    const movie = movies[0] && { ...movies[0], media_type: MEDIA_TYPES.MOVIE };
+    const show = shows[0] && { ...shows[0], media_type: MEDIA_TYPES.TV };
+    // Prefer the media type the export names, but take whatever IMDb ID points to
+    const found = row.mediaType === MEDIA_TYPES.TV ? show || movie : movie || show;
+    if (found) return { status: MATCH_STATUS.MATCHED, movie: found, candidates: [] };
+  }
+
+  if (!row.title) return { status: MATCH_STATUS.UNMATCHED, movie: null, candidates: [] };
+  return matchByTitle(row, signal);
+};
+
+/**
+ * Match every row, a few at a time (requests are rate limited by services/http.js anyway)
+ * @param {Array} rows - Import rows
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Signal to cancel the import
+ * @param {function} options.onProgress - Called with (done, total) after each row
+ * @param {number} options.concurrency - Rows matched at the same time
+ * @returns {Promise<Array>} Rows with { status, movie, candidates }
+ */
+export const matchRows = async (rows, { signal, onProgress, concurrency = 4 } = {}) => {
+  const matched = new Array(rows.length);
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < rows.length) {
+      const index = next;
+      next += 1;
+      let result;
+      try {
+        result = await matchRow(rows[index], { signal });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        // One failing lookup shouldn't stop the import - leave the row for manual review
+        console.error(`Could not match "${rows[index].title}":`, err);
+        result = { status: MATCH_STATUS.UNMATCHED, movie: null, candidates: [] };
+      }
+      matched[index] = { ...rows[index], ...result };
+      done += 1;
+      onProgress?.(done, rows.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, rows.length) }, worker));
+  return matched;
+};
+
+/**
+ * Rows an import into a target would write
+ * - Rows without a movie chosen are skipped
+ * - Movie-only targets skip TV shows
+ * - The diary only takes rows with something to record (a rating, a note or a date watched)
+ * @param {Array} rows - Matched rows
+ * @param {string} target - Key of IMPORT_TARGETS
+ * @returns {Array} Rows to write
+ */
+export const getImportableRows = (rows, target) =>
+  rows.filter(
+    (row) =>
+      row.movie &&
+      (!IMPORT_TARGETS[target].moviesOnly || getMediaType(row.movie) === MEDIA_TYPES.MOVIE) &&
+      (target !== 'diary' || row.rating || row.note || row.watchedOn)
+  );
+
+/**
+ * Write matched rows into a list or the diary
+ * @param {Array} rows - Rows with a movie chosen (see getImportableRows for what is skipped)
+ * @param {string} target - Key of IMPORT_TARGETS
+ * @returns {Object} { imported, skipped }
+ */
+export const applyImport = (rows, target) => {
+  const usable = getImportableRows(rows, target);
+
+  let imported;
+  if (target === 'diary') {
+    importDiary(
+      usable.map((row) => ({
+        movie: row.movie,
+        rating: row.rating,
+        note: row.note,
+        watchedOn: row.watchedOn,
+        rewatch: row.rewatch
+      }))
+    );
+    imported = usable.length;
+  } else {
+    imported = addManyToList(
+      target,
+      usable.map((row) => ({ movie: row.movie, addedAt: row.addedAt ? `${row.addedAt}T00:00:00.000Z` : undefined }))
+    );
+  }
+
+  return { imported, skipped: rows.length - imported };
+};
+
+/**
+ * Export a saved list as CSV
+ * @param {string} listName - LISTS.WATCHLIST or LISTS.FAVORITES
+ * @returns {string} CSV text
+ */
+export const exportListCsv = (listName) =>
+  toCsv(
+    ['tmdbID', 'Type', 'Title', 'Year', 'Added'],
+    (watchlistStore.getState()[listName] || []).map(({ movie, addedAt }) => ({
+      tmdbID: movie.id,
+      Type: getMediaType(movie),
+      Title: getTitle(movie),
+      Year: getReleaseYear(movie),
+      Added: addedAt.slice(0, 10)
+    }))
+  );
+
+/**
+ * Export the diary as CSV: one row per entry, plus one per rated movie that was never logged
+ * @returns {string} CSV text
+ */
+export const exportDiaryCsv = () => {
+  const { movies, entries } = diaryStore.getState();
+  const logged = new Set(entries.map((entry) => entry.movieId));
+  const row = (record, entry) => ({
+    tmdbID: record.movie.id,
+    Type: MEDIA_TYPES.MOVIE,
+    Title: record.movie.title,
+    Year: getReleaseYear(record.movie),
+    Rating: entry ? entry.rating : record.rating,
+    WatchedDate: entry?.watchedOn,
+    Rewatch: entry?.rewatch ? 'Yes' : '',
+    Review: record.note
+  });
+
+  return toCsv(['tmdbID', 'Type', 'Title', 'Year', 'Rating', 'WatchedDate', 'Rewatch', 'Review'], [
+    ...[...entries]
+      .sort((a, b) => a.watchedOn.localeCompare(b.watchedOn))
+      .filter((entry) => movies[entry.movieId])
+      .map((entry) => row(movies[entry.movieId], entry)),
+    ...Object.values(movies)
+      .filter((record) => !logged.has(record.movie.id))
+      .map((record) => row(record))
+  ]);
+};
+
+// Stores included in the JSON backup
+const BACKUP_STORES = [watchlistStore, diaryStore, streamingStore];
+const BACKUP_APP = 'moviepedia';
+const BACKUP_VERSION = 1;
+
+/**
+ * Full backup of the user's data, with each store's schema version
+ * @returns {string} JSON text
+ */
+export const exportBackup = () =>
+  JSON.stringify(
+    {
+      app: BACKUP_APP,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      stores: Object.fromEntries(BACKUP_STORES.map((store) => [store.key, store.snapshot()]))
+    },
+    null,
+    2
+  );
+
+/**
+ * Check whether a file is a backup made by exportBackup, and whether it can be restored
+ * A backup is only valid when every store snapshot in it can be restored, so a damaged
+ * backup is rejected as a whole instead of being half restored
+ * @param {string} text - File contents
+ * @returns {Object|null} { backup, valid }, or null when the file isn't a backup
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (backup?.app !== BACKUP_APP) return null;
+
+  const valid =
+    Boolean(backup.stores) &&
+    typeof backup.stores === 'object' &&
+    !Array.isArray(backup.stores) &&
+    BACKUP_STORES.some((store) => store.key in backup.stores) &&
+    BACKUP_STORES.every((store) => !(store.key in backup.stores) || store.canRestore(backup.stores[store.key]));
+  return { backup, valid };
+};
+
+/**
+ * Replace the saved data with a backup (older schema versions are migrated)
+ * @param {Object} backup - Valid backup from parseBackup
+ * @returns {number} Number of stores restored
+ */
+export const restoreBackup = (backup) => {
+  const stores = BACKUP_STORES.filter((store) => store.key in backup.stores);
+  stores.forEach((store) => store.restore(backup.stores[store.key]));
+  return stores.length;
+};
+
+/**
+ * Offer text as a file download
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (text, filename, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,445 @@
+/**
+ * English Messages (en-US)
+ *
+ * Reference catalog: every key used by the UI must exist here.
+ * Other catalogs fall back to these messages for keys they don't define.
+ * Plural messages are objects keyed by Intl.PluralRules category ({ one, other }).
+ */
+
+const en = {
+  common: {
+    appName: 'Movie Explorer',
+    back: 'Back',
+    backToHome: 'Back to Home',
+    tryAgain: 'Try Again',
+    loading: 'Loading…',
+    retrying: 'Retrying… (attempt {attempt})',
+    unknown: 'Unknown',
+    notAvailable: 'N/A',
+    minutes: '{count} min',
+    language: 'Language',
+    noOverview: 'No overview available.',
+    overview: 'Overview',
+    status: 'Status',
+    originalLanguage: 'Original Language',
+    poster: '{title} poster',
+    sortBy: 'Sort by'
+  },
+
+  nav: {
+    main: 'Main',
+    watchlist: 'My Watchlist',
+    diary: 'My Diary',
+    importExport: 'Import / Export'
+  },
+
+  offline: {
+    title: "You're offline.",
+    message: "Movies and pages you've already opened still work; everything else loads once you're back online."
+  },
+
+  demo: {
+    title: 'Demo mode',
+    message: '- showing sample movies from the offline dataset.',
+    hint: 'Set {variable} on the server to load live data from TMDB.'
+  },
+
+  footer: {
+    credit: 'Movie data provided by',
+    rights: '© 2026 Movie Explorer - All rights reserved.'
+  },
+
+  shortcuts: {
+    title: 'Keyboard Shortcuts',
+    close: 'Close keyboard shortcuts',
+    enable: 'Enable keyboard shortcuts',
+    enableHint: 'Turn this off if single-key shortcuts get in the way, e.g. of your screen reader. Grid navigation keeps working.',
+    footerToggle: 'Keyboard shortcuts (press ? for the list)',
+    actions: {
+      search: 'Focus the search',
+      clear: 'Clear the search',
+      watchlist: 'Add the focused movie to the watchlist (or remove it)',
+      help: 'Show this list',
+      grid: 'Move between movies in a grid',
+      row: 'First / last movie of the row',
+      firstLast: 'First / last movie of the grid'
+    }
+  },
+
+  mediaType: {
+    movie: 'Movie',
+    tv: 'TV',
+    person: 'Person'
+  },
+
+  home: {
+    logoAlt: 'MoviePedia Logo',
+    mediaTypeTabs: 'Media type',
+    tabs: {
+      movie: 'Movies',
+      tv: 'TV Shows'
+    },
+    searchPlaceholder: {
+      movie: 'Search for movies...',
+      tv: 'Search for TV shows...'
+    },
+    searchResults: 'Search Results for "{query}"',
+    discover: 'Discover',
+    popular: {
+      movie: 'Popular Movies',
+      tv: 'Popular TV Shows'
+    },
+    count: {
+      movie: { one: '{count} movie', other: '{count} movies' },
+      tv: { one: '{count} show', other: '{count} shows' },
+      multi: { one: '{count} result', other: '{count} results' }
+    },
+    moviesOnly: 'Movies only',
+    empty: {
+      tvTitle: 'No TV Shows Found',
+      tvMessage: "We couldn't find any TV shows matching your search. Try different keywords.",
+      multiTitle: 'No Results Found',
+      multiMessage: "We couldn't find any movies, TV shows or people matching your search. Try different keywords."
+    }
+  },
+
+  search: {
+    label: 'Search movies',
+    placeholder: 'Search movies...',
+    clear: 'Clear search',
+    submit: 'Submit search',
+    button: 'Search',
+    suggestions: 'Suggestions',
+    suggestionCount: { one: '{count} suggestion available', other: '{count} suggestions available' },
+    recent: 'Recent searches',
+    recentCount: { one: '{count} recent search', other: '{count} recent searches' },
+    removeRecent: 'Remove "{query}" from recent searches'
+  },
+
+  movieList: {
+    emptyTitle: 'No Movies Found',
+    emptyMessage: "We couldn't find any movies matching your search. Try different keywords or browse popular movies."
+  },
+
+  movieCard: {
+    viewDetails: 'View details for {title}',
+    noDescription: 'No description available',
+    knownFor: 'Known for {titles}',
+    noKnownFor: 'No known works listed'
+  },
+
+  loadMore: {
+    button: 'Load More',
+    end: "You've reached the end of the list."
+  },
+
+  lists: {
+    watchlist: {
+      add: 'Add to Watchlist',
+      remove: 'Remove from Watchlist',
+      saved: 'In Watchlist'
+    },
+    favorites: {
+      add: 'Add to Favorites',
+      remove: 'Remove from Favorites',
+      saved: 'Favorite'
+    }
+  },
+
+  filters: {
+    toggle: 'Filters',
+    toggleWithCount: 'Filters ({count})',
+    genres: 'Genres',
+    genresHint: 'Click once to include, twice to exclude.',
+    genresError: "Couldn't load genres.",
+    genresRetry: 'Try again',
+    genreState: {
+      any: '{genre}: any',
+      include: '{genre}: included',
+      exclude: '{genre}: excluded'
+    },
+    releaseYear: 'Release year',
+    from: 'From',
+    to: 'To',
+    yearFrom: 'Release year from',
+    yearTo: 'Release year to',
+    rating: 'Rating',
+    minRating: 'Min rating',
+    minRatingLabel: 'Minimum rating',
+    minVotes: 'Min votes',
+    minVotesLabel: 'Minimum vote count',
+    runtime: 'Runtime (min)',
+    min: 'Min',
+    max: 'Max',
+    runtimeMinLabel: 'Minimum runtime in minutes',
+    runtimeMaxLabel: 'Maximum runtime in minutes',
+    language: 'Original language',
+    anyLanguage: 'Any language',
+    reset: 'Reset',
+    apply: 'Apply',
+    watch: {
+      title: 'Where to watch',
+      onMyServices: 'Only movies on my services',
+      hint: 'Pick the streaming services you subscribe to. They are saved on this device.'
+    },
+    sort: {
+      popularity: 'Most popular',
+      rating: 'Highest rated',
+      newest: 'Newest releases',
+      revenue: 'Highest revenue'
+    }
+  },
+
+  errors: {
+    auth: {
+      title: 'TMDB access denied',
+      message: 'The TMDB API key is missing or was rejected. Check your configuration and reload the page.'
+    },
+    notFound: {
+      title: 'Not found',
+      message: "We couldn't find what you were looking for."
+    },
+    rateLimited: {
+      title: 'Too many requests',
+      message: 'TMDB is limiting our requests right now. Please wait a moment and try again.'
+    },
+    network: {
+      title: 'Connection problem',
+      message: "We couldn't reach TMDB. Check your internet connection and try again."
+    },
+    server: {
+      title: 'TMDB is having trouble',
+      message: 'The movie database returned an error. Please try again later.'
+    },
+    unknown: {
+      title: 'Oops! Something went wrong',
+      message: 'An unexpected error occurred. Please try again.'
+    }
+  },
+
+  movie: {
+    notFoundTitle: 'Movie not found',
+    notFoundMessage: "This movie doesn't exist or was removed from TMDB.",
+    playTrailer: 'Play Trailer',
+    budget: 'Budget',
+    revenue: 'Revenue',
+    topBilledCast: 'Top Billed Cast',
+    recommended: 'Recommended',
+    noRecommendations: 'No recommendations for this movie yet.',
+    similar: 'Similar Movies',
+    noSimilar: 'No similar movies found.'
+  },
+
+  watch: {
+    title: 'Where to Watch',
+    region: 'Region',
+    error: "Couldn't load streaming options.",
+    unavailable: '{title} is not available to stream, rent or buy in this region.',
+    offer: {
+      flatrate: 'Stream',
+      rent: 'Rent',
+      buy: 'Buy'
+    },
+    myService: 'Your service',
+    allOptions: 'All options on TMDB',
+    attribution: 'Availability data by JustWatch'
+  },
+
+  crew: {
+    director: { one: 'Director', other: 'Directors' },
+    writer: { one: 'Writer', other: 'Writers' },
+    composer: { one: 'Composer', other: 'Composers' }
+  },
+
+  cast: {
+    label: 'Top billed cast',
+    empty: 'No cast information available.'
+  },
+
+  carousel: {
+    empty: 'Nothing to show yet.',
+    back: 'Scroll {title} back',
+    forward: 'Scroll {title} forward',
+    region: '{title} (scrollable)'
+  },
+
+  trailer: {
+    videos: '{title} – Videos',
+    close: 'Close video player',
+    emptyTitle: 'No trailers available',
+    emptyMessage: "TMDB doesn't list any trailers or clips for {title} yet.",
+    notPlaying: 'Video not playing?',
+    watchOn: 'Watch on {site}',
+    otherVideos: 'Other videos',
+    official: 'Official'
+  },
+
+  person: {
+    notFoundTitle: 'Person not found',
+    notFoundMessage: "This person doesn't exist or was removed from TMDB.",
+    knownFor: 'Known For',
+    born: 'Born',
+    died: 'Died',
+    placeOfBirth: 'Place of Birth',
+    biography: 'Biography',
+    noBiography: "We don't have a biography for {name}.",
+    filmography: 'Filmography',
+    noCredits: 'No movie credits available.',
+    asCharacter: 'as {character}',
+    actor: 'Actor'
+  },
+
+  tv: {
+    notFoundTitle: 'TV show not found',
+    notFoundMessage: "This TV show doesn't exist or was removed from TMDB.",
+    seasonCount: { one: '{count} season', other: '{count} seasons' },
+    createdBy: 'Created By',
+    network: 'Network',
+    lastAired: 'Last Aired',
+    episodes: 'Episodes',
+    seasons: 'Seasons',
+    noEpisodes: 'No episodes listed for this season yet.',
+    episodeNumber: 'E{number}',
+    airDateUnknown: 'Air date unknown'
+  },
+
+  diary: {
+    title: 'My Diary',
+    count: { one: '{count} entry', other: '{count} entries' },
+    yourDiary: 'Your Diary',
+    viewAll: 'Open diary',
+    yourRating: 'Your rating',
+    stars: { one: '{count} star', other: '{count} stars' },
+    notRated: 'Not rated',
+    note: 'Private note',
+    notePlaceholder: 'Only you can see this note.',
+    saveNote: 'Save note',
+    noteSaved: 'Note saved',
+    logWatch: 'Watched on',
+    watchedOn: 'Date watched',
+    rewatch: 'Rewatch',
+    rewatchBadge: '↻ Rewatch',
+    log: 'Log',
+    notLogged: "You haven't logged this movie yet.",
+    remove: 'Remove',
+    emptyTitle: 'Your diary is empty',
+    emptyMessage: 'Log a movie as watched from its page to start your diary.'
+  },
+
+  transfer: {
+    title: 'Import & Export',
+    import: 'Import',
+    importHint:
+      'Import a CSV export from Letterboxd (diary, ratings, watchlist or a list) or IMDb (ratings, watchlist or a list), or restore a backup made here.',
+    chooseFile: 'Choose a file',
+    unsupported: "This file isn't a Letterboxd or IMDb export we recognise.",
+    emptyFile: 'This file has no rows to import.',
+    unreadable: "This file couldn't be read. Please try again or pick another file.",
+    invalidBackup: 'This backup is damaged or from a newer version of the app. Nothing was restored.',
+    matchError: 'Could not match the movies right now. Please try again.',
+    matching: 'Matching movies… {done} / {total}',
+    cancel: 'Cancel',
+    summary: '{matched} matched, {review} to review',
+    importInto: 'Import into',
+    importCount: { one: 'Import {count} title', other: 'Import {count} titles' },
+    matched: { one: '{count} matched title', other: '{count} matched titles' },
+    importAnother: 'Import another file',
+    done: 'Imported: {imported}. Skipped: {skipped}.',
+    restored: 'Backup restored.',
+    confirmRestore: 'Restoring this backup replaces your lists, ratings, diary and streaming settings. Continue?',
+    target: {
+      watchlist: 'Watchlist',
+      favorites: 'Favorites',
+      diary: 'Diary & ratings'
+    },
+    format: {
+      moviepedia: 'Movie Explorer export',
+      letterboxdDiary: 'Letterboxd diary',
+      letterboxdRatings: 'Letterboxd ratings',
+      letterboxdList: 'Letterboxd list',
+      imdbRatings: 'IMDb ratings',
+      imdbList: 'IMDb list'
+    },
+    review: {
+      title: { one: '{count} title needs review', other: '{count} titles need review' },
+      ambiguous: 'Several titles match. Pick the right one.',
+      unmatched: 'No match found. Search for it or skip it.',
+      choose: 'Match for {title}',
+      skip: 'Skip',
+      searchLabel: 'Search for the right title',
+      searchError: 'Search failed. Please try again.'
+    },
+    export: {
+      title: 'Export',
+      hint: 'Lists export as CSV that Letterboxd can import. The backup keeps everything and can be restored here.',
+      watchlist: 'Watchlist (CSV)',
+      favorites: 'Favorites (CSV)',
+      diary: 'Diary & ratings (CSV)',
+      backup: 'Full backup (JSON)'
+    }
+  },
+
+  compare: {
+    title: 'Compare Movies',
+    caption: 'Movies side by side',
+    add: 'Add to compare',
+    remove: 'Remove from compare',
+    picked: 'In comparison',
+    full: 'You can compare up to {count} movies',
+    tray: 'Movies to compare',
+    clear: 'Clear',
+    open: 'Compare ({count}/{max})',
+    pickMore: { one: 'Pick {count} more movie', other: 'Pick {count} more movies' },
+    removeColumn: 'Remove',
+    best: 'Best',
+    worst: 'Worst',
+    emptyTitle: 'Pick movies to compare',
+    emptyMessage: 'Use the compare button on movie cards or movie pages to pick {min} to {max} movies.',
+    rows: {
+      rating: 'Rating',
+      voteCount: 'Votes',
+      runtime: 'Runtime',
+      releaseDate: 'Release date',
+      genres: 'Genres',
+      budget: 'Budget',
+      revenue: 'Revenue',
+      director: 'Director',
+      cast: 'Top cast'
+    }
+  },
+
+  collection: {
+    partOf: 'Part of {name}',
+    view: 'View collection',
+    notFoundTitle: 'Collection not found',
+    notFoundMessage: "This collection doesn't exist or was removed from TMDB.",
+    films: 'Films',
+    progress: 'Progress',
+    watchedCount: '{count} of {total} watched',
+    marathon: 'Marathon runtime',
+    duration: '{hours} h {minutes} min',
+    runtimeMissing: { one: 'Runtime unknown for {count} film', other: 'Runtime unknown for {count} films' },
+    releaseOrder: 'In release order',
+    watched: 'Watched',
+    unwatched: 'Not watched'
+  },
+
+  watchlist: {
+    title: 'My Movies',
+    tabs: 'Saved lists',
+    tabWithCount: '{label} ({count})',
+    watchlist: 'Watchlist',
+    favorites: 'Favorites',
+    watchlistEmptyTitle: 'Your watchlist is empty',
+    watchlistEmpty: 'Use the bookmark button on any movie to save it for later.',
+    favoritesEmptyTitle: 'Your favorites is empty',
+    favoritesEmpty: 'Use the heart button on any movie to add it to your favorites.',
+    sort: {
+      dateAdded: 'Date added',
+      rating: 'Rating',
+      releaseDate: 'Release date'
+    }
+  }
+};
+
+export default en;
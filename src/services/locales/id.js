@@ -0,0 +1,444 @@
+/**
+ * Indonesian Messages (id-ID)
+ *
+ * Same keys as the English catalog (locales/en.js); missing keys fall back to English.
+ * Indonesian has no plural forms, so plural messages only need `other`.
+ */
+
+const id = {
+  common: {
+    appName: 'Movie Explorer',
+    back: 'Kembali',
+    backToHome: 'Kembali ke Beranda',
+    tryAgain: 'Coba Lagi',
+    loading: 'Memuat…',
+    retrying: 'Mencoba lagi… (percobaan {attempt})',
+    unknown: 'Tidak diketahui',
+    notAvailable: 'T/A',
+    minutes: '{count} mnt',
+    language: 'Bahasa',
+    noOverview: 'Sinopsis belum tersedia.',
+    overview: 'Sinopsis',
+    status: 'Status',
+    originalLanguage: 'Bahasa Asli',
+    poster: 'Poster {title}',
+    sortBy: 'Urutkan'
+  },
+
+  nav: {
+    main: 'Utama',
+    watchlist: 'Daftar Tontonan Saya',
+    diary: 'Jurnal Saya',
+    importExport: 'Impor / Ekspor'
+  },
+
+  offline: {
+    title: 'Anda sedang offline.',
+    message: 'Film dan halaman yang sudah pernah dibuka tetap bisa dilihat; yang lain dimuat setelah Anda kembali online.'
+  },
+
+  demo: {
+    title: 'Mode demo',
+    message: '- menampilkan contoh film dari dataset offline.',
+    hint: 'Atur {variable} di server untuk memuat data langsung dari TMDB.'
+  },
+
+  footer: {
+    credit: 'Data film disediakan oleh',
+    rights: '© 2026 Movie Explorer - Hak cipta dilindungi.'
+  },
+
+  shortcuts: {
+    title: 'Pintasan Keyboard',
+    close: 'Tutup pintasan keyboard',
+    enable: 'Aktifkan pintasan keyboard',
+    enableHint: 'Matikan jika pintasan satu tombol mengganggu, misalnya pembaca layar Anda. Navigasi kisi tetap berfungsi.',
+    footerToggle: 'Pintasan keyboard (tekan ? untuk daftarnya)',
+    actions: {
+      search: 'Fokus ke pencarian',
+      clear: 'Kosongkan pencarian',
+      watchlist: 'Tambahkan film yang difokuskan ke daftar tontonan (atau hapus)',
+      help: 'Tampilkan daftar ini',
+      grid: 'Berpindah antar film di kisi',
+      row: 'Film pertama / terakhir di baris',
+      firstLast: 'Film pertama / terakhir di kisi'
+    }
+  },
+
+  mediaType: {
+    movie: 'Film',
+    tv: 'TV',
+    person: 'Tokoh'
+  },
+
+  home: {
+    logoAlt: 'Logo MoviePedia',
+    mediaTypeTabs: 'Jenis media',
+    tabs: {
+      movie: 'Film',
+      tv: 'Acara TV'
+    },
+    searchPlaceholder: {
+      movie: 'Cari film...',
+      tv: 'Cari acara TV...'
+    },
+    searchResults: 'Hasil Pencarian untuk "{query}"',
+    discover: 'Jelajahi',
+    popular: {
+      movie: 'Film Populer',
+      tv: 'Acara TV Populer'
+    },
+    count: {
+      movie: { other: '{count} film' },
+      tv: { other: '{count} acara' },
+      multi: { other: '{count} hasil' }
+    },
+    moviesOnly: 'Hanya film',
+    empty: {
+      tvTitle: 'Acara TV Tidak Ditemukan',
+      tvMessage: 'Kami tidak menemukan acara TV yang cocok dengan pencarian Anda. Coba kata kunci lain.',
+      multiTitle: 'Tidak Ada Hasil',
+      multiMessage: 'Kami tidak menemukan film, acara TV, atau tokoh yang cocok dengan pencarian Anda. Coba kata kunci lain.'
+    }
+  },
+
+  search: {
+    label: 'Cari film',
+    placeholder: 'Cari film...',
+    clear: 'Hapus pencarian',
+    submit: 'Kirim pencarian',
+    button: 'Cari',
+    suggestions: 'Saran',
+    suggestionCount: { other: '{count} saran tersedia' },
+    recent: 'Pencarian terakhir',
+    recentCount: { other: '{count} pencarian terakhir' },
+    removeRecent: 'Hapus "{query}" dari pencarian terakhir'
+  },
+
+  movieList: {
+    emptyTitle: 'Film Tidak Ditemukan',
+    emptyMessage: 'Kami tidak menemukan film yang cocok dengan pencarian Anda. Coba kata kunci lain atau lihat film populer.'
+  },
+
+  movieCard: {
+    viewDetails: 'Lihat detail {title}',
+    noDescription: 'Deskripsi belum tersedia',
+    knownFor: 'Dikenal lewat {titles}',
+    noKnownFor: 'Belum ada karya yang tercatat'
+  },
+
+  loadMore: {
+    button: 'Muat Lebih Banyak',
+    end: 'Anda sudah sampai di akhir daftar.'
+  },
+
+  lists: {
+    watchlist: {
+      add: 'Tambah ke Daftar Tontonan',
+      remove: 'Hapus dari Daftar Tontonan',
+      saved: 'Di Daftar Tontonan'
+    },
+    favorites: {
+      add: 'Tambah ke Favorit',
+      remove: 'Hapus dari Favorit',
+      saved: 'Favorit'
+    }
+  },
+
+  filters: {
+    toggle: 'Filter',
+    toggleWithCount: 'Filter ({count})',
+    genres: 'Genre',
+    genresHint: 'Klik sekali untuk menyertakan, dua kali untuk mengecualikan.',
+    genresError: 'Genre gagal dimuat.',
+    genresRetry: 'Coba lagi',
+    genreState: {
+      any: '{genre}: semua',
+      include: '{genre}: disertakan',
+      exclude: '{genre}: dikecualikan'
+    },
+    releaseYear: 'Tahun rilis',
+    from: 'Dari',
+    to: 'Sampai',
+    yearFrom: 'Tahun rilis dari',
+    yearTo: 'Tahun rilis sampai',
+    rating: 'Rating',
+    minRating: 'Rating min.',
+    minRatingLabel: 'Rating minimum',
+    minVotes: 'Suara min.',
+    minVotesLabel: 'Jumlah suara minimum',
+    runtime: 'Durasi (mnt)',
+    min: 'Min',
+    max: 'Maks',
+    runtimeMinLabel: 'Durasi minimum dalam menit',
+    runtimeMaxLabel: 'Durasi maksimum dalam menit',
+    language: 'Bahasa asli',
+    anyLanguage: 'Semua bahasa',
+    reset: 'Atur Ulang',
+    apply: 'Terapkan',
+    watch: {
+      title: 'Tempat menonton',
+      onMyServices: 'Hanya film di layanan saya',
+      hint: 'Pilih layanan streaming yang Anda langgani. Pilihan disimpan di perangkat ini.'
+    },
+    sort: {
+      popularity: 'Paling populer',
+      rating: 'Rating tertinggi',
+      newest: 'Rilis terbaru',
+      revenue: 'Pendapatan tertinggi'
+    }
+  },
+
+  errors: {
+    auth: {
+      title: 'Akses TMDB ditolak',
+      message: 'Kunci API TMDB tidak ada atau ditolak. Periksa konfigurasi Anda lalu muat ulang halaman.'
+    },
+    notFound: {
+      title: 'Tidak ditemukan',
+      message: 'Kami tidak menemukan yang Anda cari.'
+    },
+    rateLimited: {
+      title: 'Terlalu banyak permintaan',
+      message: 'TMDB sedang membatasi permintaan kami. Tunggu sebentar lalu coba lagi.'
+    },
+    network: {
+      title: 'Masalah koneksi',
+      message: 'Kami tidak dapat terhubung ke TMDB. Periksa koneksi internet Anda lalu coba lagi.'
+    },
+    server: {
+      title: 'TMDB sedang bermasalah',
+      message: 'Basis data film mengembalikan galat. Silakan coba lagi nanti.'
+    },
+    unknown: {
+      title: 'Ups! Terjadi kesalahan',
+      message: 'Terjadi galat yang tidak terduga. Silakan coba lagi.'
+    }
+  },
+
+  movie: {
+    notFoundTitle: 'Film tidak ditemukan',
+    notFoundMessage: 'Film ini tidak ada atau sudah dihapus dari TMDB.',
+    playTrailer: 'Putar Trailer',
+    budget: 'Anggaran',
+    revenue: 'Pendapatan',
+    topBilledCast: 'Pemeran Utama',
+    recommended: 'Rekomendasi',
+    noRecommendations: 'Belum ada rekomendasi untuk film ini.',
+    similar: 'Film Serupa',
+    noSimilar: 'Tidak ada film serupa.'
+  },
+
+  watch: {
+    title: 'Tempat Menonton',
+    region: 'Wilayah',
+    error: 'Opsi streaming gagal dimuat.',
+    unavailable: '{title} tidak tersedia untuk streaming, sewa, atau beli di wilayah ini.',
+    offer: {
+      flatrate: 'Streaming',
+      rent: 'Sewa',
+      buy: 'Beli'
+    },
+    myService: 'Layanan Anda',
+    allOptions: 'Semua opsi di TMDB',
+    attribution: 'Data ketersediaan dari JustWatch'
+  },
+
+  crew: {
+    director: { other: 'Sutradara' },
+    writer: { other: 'Penulis' },
+    composer: { other: 'Komposer' }
+  },
+
+  cast: {
+    label: 'Pemeran utama',
+    empty: 'Informasi pemeran belum tersedia.'
+  },
+
+  carousel: {
+    empty: 'Belum ada yang bisa ditampilkan.',
+    back: 'Gulir {title} ke belakang',
+    forward: 'Gulir {title} ke depan',
+    region: '{title} (dapat digulir)'
+  },
+
+  trailer: {
+    videos: '{title} – Video',
+    close: 'Tutup pemutar video',
+    emptyTitle: 'Trailer belum tersedia',
+    emptyMessage: 'TMDB belum memiliki trailer atau klip untuk {title}.',
+    notPlaying: 'Video tidak berputar?',
+    watchOn: 'Tonton di {site}',
+    otherVideos: 'Video lainnya',
+    official: 'Resmi'
+  },
+
+  person: {
+    notFoundTitle: 'Tokoh tidak ditemukan',
+    notFoundMessage: 'Tokoh ini tidak ada atau sudah dihapus dari TMDB.',
+    knownFor: 'Dikenal Sebagai',
+    born: 'Lahir',
+    died: 'Meninggal',
+    placeOfBirth: 'Tempat Lahir',
+    biography: 'Biografi',
+    noBiography: 'Kami belum memiliki biografi {name}.',
+    filmography: 'Filmografi',
+    noCredits: 'Belum ada kredit film.',
+    asCharacter: 'sebagai {character}',
+    actor: 'Aktor'
+  },
+
+  tv: {
+    notFoundTitle: 'Acara TV tidak ditemukan',
+    notFoundMessage: 'Acara TV ini tidak ada atau sudah dihapus dari TMDB.',
+    seasonCount: { other: '{count} musim' },
+    createdBy: 'Dibuat Oleh',
+    network: 'Jaringan',
+    lastAired: 'Terakhir Tayang',
+    episodes: 'Episode',
+    seasons: 'Musim',
+    noEpisodes: 'Belum ada episode untuk musim ini.',
+    episodeNumber: 'E{number}',
+    airDateUnknown: 'Tanggal tayang tidak diketahui'
+  },
+
+  diary: {
+    title: 'Jurnal Saya',
+    count: { other: '{count} entri' },
+    yourDiary: 'Jurnal Anda',
+    viewAll: 'Buka jurnal',
+    yourRating: 'Rating Anda',
+    stars: { other: '{count} bintang' },
+    notRated: 'Belum dinilai',
+    note: 'Catatan pribadi',
+    notePlaceholder: 'Hanya Anda yang dapat melihat catatan ini.',
+    saveNote: 'Simpan catatan',
+    noteSaved: 'Catatan tersimpan',
+    logWatch: 'Ditonton pada',
+    watchedOn: 'Tanggal ditonton',
+    rewatch: 'Tonton ulang',
+    rewatchBadge: '↻ Tonton ulang',
+    log: 'Catat',
+    notLogged: 'Anda belum mencatat film ini.',
+    remove: 'Hapus',
+    emptyTitle: 'Jurnal Anda kosong',
+    emptyMessage: 'Catat film yang sudah ditonton dari halamannya untuk memulai jurnal.'
+  },
+
+  transfer: {
+    title: 'Impor & Ekspor',
+    import: 'Impor',
+    importHint:
+      'Impor ekspor CSV dari Letterboxd (jurnal, rating, daftar tontonan, atau daftar) atau IMDb (rating, daftar tontonan, atau daftar), atau pulihkan cadangan yang dibuat di sini.',
+    chooseFile: 'Pilih file',
+    unsupported: 'File ini bukan ekspor Letterboxd atau IMDb yang kami kenali.',
+    emptyFile: 'File ini tidak berisi baris untuk diimpor.',
+    unreadable: 'File ini tidak dapat dibaca. Silakan coba lagi atau pilih file lain.',
+    invalidBackup: 'Cadangan ini rusak atau berasal dari versi aplikasi yang lebih baru. Tidak ada yang dipulihkan.',
+    matchError: 'Tidak dapat mencocokkan film saat ini. Silakan coba lagi.',
+    matching: 'Mencocokkan film… {done} / {total}',
+    cancel: 'Batal',
+    summary: '{matched} cocok, {review} perlu ditinjau',
+    importInto: 'Impor ke',
+    importCount: { other: 'Impor {count} judul' },
+    matched: { other: '{count} judul cocok' },
+    importAnother: 'Impor file lain',
+    done: 'Diimpor: {imported}. Dilewati: {skipped}.',
+    restored: 'Cadangan dipulihkan.',
+    confirmRestore: 'Memulihkan cadangan ini akan mengganti daftar, rating, jurnal, dan pengaturan streaming Anda. Lanjutkan?',
+    target: {
+      watchlist: 'Daftar Tontonan',
+      favorites: 'Favorit',
+      diary: 'Jurnal & rating'
+    },
+    format: {
+      moviepedia: 'Ekspor Movie Explorer',
+      letterboxdDiary: 'Jurnal Letterboxd',
+      letterboxdRatings: 'Rating Letterboxd',
+      letterboxdList: 'Daftar Letterboxd',
+      imdbRatings: 'Rating IMDb',
+      imdbList: 'Daftar IMDb'
+    },
+    review: {
+      title: { other: '{count} judul perlu ditinjau' },
+      ambiguous: 'Beberapa judul cocok. Pilih yang benar.',
+      unmatched: 'Tidak ada yang cocok. Cari atau lewati.',
+      choose: 'Padanan untuk {title}',
+      skip: 'Lewati',
+      searchLabel: 'Cari judul yang benar',
+      searchError: 'Pencarian gagal. Silakan coba lagi.'
+    },
+    export: {
+      title: 'Ekspor',
+      hint: 'Daftar diekspor sebagai CSV yang dapat diimpor Letterboxd. Cadangan menyimpan semuanya dan dapat dipulihkan di sini.',
+      watchlist: 'Daftar Tontonan (CSV)',
+      favorites: 'Favorit (CSV)',
+      diary: 'Jurnal & rating (CSV)',
+      backup: 'Cadangan lengkap (JSON)'
+    }
+  },
+
+  compare: {
+    title: 'Bandingkan Film',
+    caption: 'Film berdampingan',
+    add: 'Tambahkan ke perbandingan',
+    remove: 'Hapus dari perbandingan',
+    picked: 'Dalam perbandingan',
+    full: 'Anda dapat membandingkan hingga {count} film',
+    tray: 'Film untuk dibandingkan',
+    clear: 'Kosongkan',
+    open: 'Bandingkan ({count}/{max})',
+    pickMore: { other: 'Pilih {count} film lagi' },
+    removeColumn: 'Hapus',
+    best: 'Terbaik',
+    worst: 'Terburuk',
+    emptyTitle: 'Pilih film untuk dibandingkan',
+    emptyMessage: 'Gunakan tombol bandingkan pada kartu film atau halaman film untuk memilih {min} hingga {max} film.',
+    rows: {
+      rating: 'Rating',
+      voteCount: 'Suara',
+      runtime: 'Durasi',
+      releaseDate: 'Tanggal rilis',
+      genres: 'Genre',
+      budget: 'Anggaran',
+      revenue: 'Pendapatan',
+      director: 'Sutradara',
+      cast: 'Pemeran utama'
+    }
+  },
+
+  collection: {
+    partOf: 'Bagian dari {name}',
+    view: 'Lihat koleksi',
+    notFoundTitle: 'Koleksi tidak ditemukan',
+    notFoundMessage: 'Koleksi ini tidak ada atau sudah dihapus dari TMDB.',
+    films: 'Film',
+    progress: 'Progres',
+    watchedCount: '{count} dari {total} sudah ditonton',
+    marathon: 'Durasi maraton',
+    duration: '{hours} j {minutes} mnt',
+    runtimeMissing: { other: 'Durasi {count} film tidak diketahui' },
+    releaseOrder: 'Urutan rilis',
+    watched: 'Sudah ditonton',
+    unwatched: 'Belum ditonton'
+  },
+
+  watchlist: {
+    title: 'Film Saya',
+    tabs: 'Daftar tersimpan',
+    tabWithCount: '{label} ({count})',
+    watchlist: 'Daftar Tontonan',
+    favorites: 'Favorit',
+    watchlistEmptyTitle: 'Daftar tontonan Anda kosong',
+    watchlistEmpty: 'Gunakan tombol penanda pada film mana pun untuk menyimpannya.',
+    favoritesEmptyTitle: 'Favorit Anda kosong',
+    favoritesEmpty: 'Gunakan tombol hati pada film mana pun untuk menambahkannya ke favorit.',
+    sort: {
+      dateAdded: 'Tanggal ditambahkan',
+      rating: 'Rating',
+      releaseDate: 'Tanggal rilis'
+    }
+  }
+};
+
+export default id;
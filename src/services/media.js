@@ -0,0 +1,66 @@
+/**
+ * Media Helpers
+ *
+ * TMDB describes movies and TV shows with different field names:
+ * - Movies: title, original_title, release_date
+ * - TV shows: name, original_name, first_air_date
+ * - People (multi search only): name, profile_path, known_for_department
+ * These helpers let cards, lists and saved snapshots handle all of them.
+ */
+
+export const MEDIA_TYPES = {
+  MOVIE: 'movie',
+  TV: 'tv',
+  PERSON: 'person'
+};
+
+/**
+ * Media type of an item
+ * Uses media_type when the API (or a saved snapshot) provides it, otherwise the field names
+ * @param {Object} item - Movie, TV show or person
+ * @returns {string} MEDIA_TYPES.MOVIE, MEDIA_TYPES.TV or MEDIA_TYPES.PERSON
+ */
+export const getMediaType = (item) => {
+  if (Object.values(MEDIA_TYPES).includes(item?.media_type)) {
+    return item.media_type;
+  }
+  return item && item.title === undefined && item.name !== undefined ? MEDIA_TYPES.TV : MEDIA_TYPES.MOVIE;
+};
+
+/**
+ * Display title of a movie or TV show
+ * @param {Object} item - Movie or TV show
+ * @returns {string} Title
+ */
+export const getTitle = (item) => item?.title ?? item?.name ?? '';
+
+/**
+ * Release date of a movie, or first air date of a TV show
+ * @param {Object} item - Movie or TV show
+ * @returns {string} Date (YYYY-MM-DD) or ''
+ */
+export const getReleaseDate = (item) => item?.release_date || item?.first_air_date || '';
+
+/**
+ * Release year of a movie or TV show
+ * @param {Object} item - Movie or TV show
+ * @returns {number|null} Year, or null when unknown
+ */
+export const getReleaseYear = (item) => {
+  const year = Number(getReleaseDate(item).slice(0, 4));
+  return year > 0 ? year : null;
+};
+
+/**
+ * Unique key across media types (a movie and a TV show can share an ID)
+ * @param {Object} item - Movie, TV show or person
+ * @returns {string} e.g. "movie:550"
+ */
+export const getMediaKey = (item) => `${getMediaType(item)}:${item.id}`;
+
+/**
+ * App route of a movie, TV show or person
+ * @param {Object} item - Movie, TV show or person
+ * @returns {string} /movie/:id, /tv/:id or /person/:id
+ */
+export const getDetailPath = (item) => `/${getMediaType(item)}/${item.id}`;
@@ -0,0 +1,45 @@
+/**
+ * Network Status
+ *
+ * Online / offline status and the service worker
+ * Features:
+ * - Whether the browser reports being online, with a subscribe API for React (useSyncExternalStore)
+ * - navigator.onLine can't prove the network works, but "offline" is reliable:
+ *   the HTTP client skips retries and the UI shows the offline banner
+ * - Service worker registration (see src/sw.js)
+ */
+
+/**
+ * Current network status
+ * @returns {boolean} false when the browser reports being offline
+ */
+export const isOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+/**
+ * Subscribe to online / offline changes
+ * @param {function} listener - Called after every change
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeOnlineStatus = (listener) => {
+  window.addEventListener('online', listener);
+  window.addEventListener('offline', listener);
+  return () => {
+    window.removeEventListener('online', listener);
+    window.removeEventListener('offline', listener);
+  };
+};
+
+/**
+ * Register the service worker (production builds only, see src/sw.js)
+ * Registration waits for the page to load so it doesn't compete with the first requests
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.warn('Service worker registration failed:', error);
+    });
+  });
+};
@@ -0,0 +1,470 @@
+/**
+ * Fixture Data Provider
+ *
+ * Offline data from the bundled datasets in services/fixtures (movies.json, tv.json)
+ * Implements the DataProvider interface (see providers/index.js)
+ * Features:
+ * - Full movie details (genres, runtime, budget, revenue, tagline, cast & crew)
+ * - People with biographies and filmographies built from the dataset credits
+ * - Trailers for a few movies (YouTube keys)
+ * - Recommendations (shared cast & crew, then genres) and similar movies (shared genres)
+ * - A few TV shows with seasons and episodes
+ * - Multi search across movies, TV shows and people
+ * - Streaming, rental and purchase providers per region (US and ID)
+ * - Lookup by IMDb ID (movies and TV shows), like TMDB's /find
+ * - A few collections (franchises), linked from the details of their movies
+ * - Real pagination over the dataset, like TMDB's paged responses
+ * - Small simulated latency so loading states and cancellation can be exercised
+ * - Throws the same typed errors as the TMDB provider (e.g. NotFoundError)
+ */
+
+import dataset from '../fixtures/movies.json';
+import tvDataset from '../fixtures/tv.json';
+import { NotFoundError } from '../errors';
+import { DEFAULT_FILTERS, DISCOVER_SORT_OPTIONS, matchesFilters } from '../discover';
+
+const PAGE_SIZE = 12;
+const LATENCY_MS = 150;
+
+const genreNames = new Map(dataset.genres.map((genre) => [genre.id, genre.name]));
+const peopleById = new Map(dataset.people.map((person) => [person.id, person]));
+const tvGenreNames = new Map(tvDataset.genres.map((genre) => [genre.id, genre.name]));
+const watchProvidersById = new Map(
+  dataset.watch_providers.providers.map((provider) => [provider.provider_id, provider])
+);
+
+/**
+ * Wait a little before answering, like a network request would
+ * @param {AbortSignal} signal - Optional signal to cancel the wait
+ * @returns {Promise<void>}
+ */
+const simulateLatency = (signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The request was aborted', 'AbortError'));
+      return;
+    }
+
+    const handleAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new DOMException('The request was aborted', 'AbortError'));
+    };
+    // Remove the listener once the delay is over: signals can outlive many requests
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve();
+    }, LATENCY_MS);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+
+/**
+ * Shape a dataset movie like an item from a TMDB list endpoint
+ * @param {Object} movie - Movie from the dataset
+ * @returns {Object} List item (no runtime, budget, genres objects...)
+ */
+const toListItem = (movie) => ({
+  id: movie.id,
+  title: movie.title,
+  original_title: movie.original_title,
+  original_language: movie.original_language,
+  overview: movie.overview,
+  poster_path: movie.poster_path,
+  backdrop_path: movie.backdrop_path,
+  release_date: movie.release_date,
+  vote_average: movie.vote_average,
+  vote_count: movie.vote_count,
+  popularity: movie.popularity,
+  genre_ids: movie.genre_ids
+});
+
+/**
+ * Add the person's name and picture to a dataset credit
+ * @param {Object} credit - Credit referencing a person ({ id, character } or { id, job, department })
+ * @returns {Object} Credit shaped like TMDB's (name, profile_path...)
+ */
+const withPerson = (credit) => {
+  const person = peopleById.get(credit.id);
+  return {
+    ...credit,
+    name: person.name,
+    profile_path: person.profile_path,
+    known_for_department: person.known_for_department
+  };
+};
+
+/**
+ * Cast and crew of a dataset movie, like TMDB's append_to_response=credits
+ * @param {number} movieId - Movie ID
+ * @returns {Object} Credits ({ cast, crew }), empty for movies without credits in the dataset
+ */
+const getCredits = (movieId) => {
+  const credits = dataset.credits[movieId] || { cast: [], crew: [] };
+  return {
+    cast: credits.cast.map(withPerson),
+    crew: credits.crew.map(withPerson)
+  };
+};
+
+/**
+ * The collection a dataset movie belongs to, like TMDB's belongs_to_collection
+ * @param {number} movieId - Movie ID
+ * @returns {Object|null} { id, name, poster_path, backdrop_path } or null
+ */
+const getCollectionSummary = (movieId) => {
+  const collection = Object.values(dataset.collections).find(({ parts }) => parts.includes(movieId));
+  if (!collection) return null;
+  const { id, name, poster_path: posterPath, backdrop_path: backdropPath } = collection;
+  return { id, name, poster_path: posterPath, backdrop_path: backdropPath };
+};
+
+/**
+ * Shape a dataset movie like TMDB's /movie/{id} response
+ * @param {Object} movie - Movie from the dataset
+ * @returns {Object} Movie details with genre objects, credits and collection
+ */
+const toDetails = (movie) => {
+  const { genre_ids: genreIds, ...details } = movie;
+  return {
+    ...details,
+    genres: genreIds.map((id) => ({ id, name: genreNames.get(id) })),
+    belongs_to_collection: getCollectionSummary(movie.id),
+    credits: getCredits(movie.id)
+  };
+};
+
+/**
+ * A person's movie credits across the dataset, like TMDB's append_to_response=movie_credits
+ * @param {number} personId - Person ID
+ * @returns {Object} Movie credits ({ cast, crew }) with list-item movie fields
+ */
+const getMovieCredits = (personId) => {
+  const cast = [];
+  const crew = [];
+  dataset.movies.forEach((movie) => {
+    const credits = dataset.credits[movie.id];
+    if (!credits) return;
+    credits.cast
+      .filter((credit) => credit.id === personId)
+      .forEach((credit) => cast.push({ ...toListItem(movie), character: credit.character }));
+    credits.crew
+      .filter((credit) => credit.id === personId)
+      .forEach((credit) => crew.push({ ...toListItem(movie), job: credit.job, department: credit.department }));
+  });
+  return { cast, crew };
+};
+
+/**
+ * Shape a dataset TV show like an item from a TMDB TV list endpoint
+ * @param {Object} show - Show from the dataset
+ * @returns {Object} List item (name, first_air_date... no seasons)
+ */
+const toTvListItem = (show) => ({
+  id: show.id,
+  name: show.name,
+  original_name: show.original_name,
+  original_language: show.original_language,
+  overview: show.overview,
+  poster_path: show.poster_path,
+  backdrop_path: show.backdrop_path,
+  first_air_date: show.first_air_date,
+  vote_average: show.vote_average,
+  vote_count: show.vote_count,
+  popularity: show.popularity,
+  genre_ids: show.genre_ids
+});
+
+/**
+ * Shape a dataset TV show like TMDB's /tv/{id} response
+ * Seasons are listed without their episodes (those come from the season endpoint)
+ * @param {Object} show - Show from the dataset
+ * @returns {Object} TV show details with genre objects
+ */
+const toTvDetails = (show) => {
+  const { genre_ids: genreIds, seasons, ...details } = show;
+  return {
+    ...details,
+    genres: genreIds.map((id) => ({ id, name: tvGenreNames.get(id) })),
+    seasons: seasons.map(({ episodes, ...season }) => ({ ...season, episode_count: episodes.length }))
+  };
+};
+
+/**
+ * Slice one page out of a list of movies (or TV shows)
+ * @param {Array} items - Full list of matching items
+ * @param {number} page - Page number (1-based)
+ * @param {function} toItem - Shapes each item for the response
+ * @returns {Object} Paginated result ({ page, results, total_pages, total_results })
+ */
+const paginate = (items, page = 1, toItem = toListItem) => ({
+  page,
+  results: items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map(toItem),
+  total_pages: Math.max(1, Math.ceil(items.length / PAGE_SIZE)),
+  total_results: items.length
+});
+
+/**
+ * Dataset movies ordered by popularity (most popular first)
+ * @returns {Array} Sorted copy of the dataset
+ */
+const byPopularity = () => [...dataset.movies].sort((a, b) => b.popularity - a.popularity);
+
+/**
+ * Find a dataset movie or throw like TMDB does for unknown IDs
+ * @param {number|string} id - Movie ID
+ * @returns {Object} Movie from the dataset
+ * @throws {NotFoundError} When the movie isn't in the dataset
+ */
+const findMovie = (id) => {
+  const movie = dataset.movies.find((m) => m.id === Number(id));
+  if (!movie) {
+    throw new NotFoundError(`Movie ${id} is not part of the offline dataset`, { status: 404 });
+  }
+  return movie;
+};
+
+/**
+ * Find a dataset TV show or throw like TMDB does for unknown IDs
+ * @param {number|string} id - TV show ID
+ * @returns {Object} Show from the dataset
+ * @throws {NotFoundError} When the show isn't in the dataset
+ */
+const findShow = (id) => {
+  const show = tvDataset.shows.find((s) => s.id === Number(id));
+  if (!show) {
+    throw new NotFoundError(`TV show ${id} is not part of the offline dataset`, { status: 404 });
+  }
+  return show;
+};
+
+/**
+ * Where a movie can be watched, like TMDB's /movie/{id}/watch/providers results
+ * @param {number} movieId - Movie ID
+ * @returns {Object} Availability keyed by region ({ US: { link, flatrate, rent, buy } })
+ */
+const getWatchProviders = (movieId) => {
+  const regions = dataset.watch_providers.availability[movieId] || {};
+  return Object.fromEntries(
+    Object.entries(regions).map(([region, offers]) => [
+      region,
+      {
+        link: `https://www.themoviedb.org/movie/${movieId}/watch?locale=${region}`,
+        ...Object.fromEntries(
+          Object.entries(offers).map(([type, ids]) => [type, ids.map((id) => watchProvidersById.get(id))])
+        )
+      }
+    ])
+  );
+};
+
+/**
+ * IDs of the streaming services (flatrate) a movie is on in a region
+ * @param {number} movieId - Movie ID
+ * @param {string} region - ISO 3166-1 country code
+ * @returns {Array<number>} Provider IDs
+ */
+const streamingProviderIds = (movieId, region) =>
+  dataset.watch_providers.availability[movieId]?.[region]?.flatrate || [];
+
+/**
+ * Dataset TV shows ordered by popularity (most popular first)
+ * @returns {Array} Sorted copy of the TV dataset
+ */
+const showsByPopularity = () => [...tvDataset.shows].sort((a, b) => b.popularity - a.popularity);
+
+/**
+ * Number of genres two movies have in common
+ */
+const sharedGenres = (a, b) => a.genre_ids.filter((id) => b.genre_ids.includes(id)).length;
+
+/**
+ * IDs of everyone credited on a movie (cast and crew)
+ * @param {number} movieId - Movie ID
+ * @returns {Set<number>} Person IDs
+ */
+const creditedPeople = (movieId) => {
+  const credits = dataset.credits[movieId];
+  return new Set(credits ? [...credits.cast, ...credits.crew].map((credit) => credit.id) : []);
+};
+
+/**
+ * Other dataset movies ranked by a score, best first (movies scoring 0 are left out)
+ * @param {Object} movie - Movie to compare against
+ * @param {function} score - (other) => number
+ * @returns {Array} Ranked movies
+ */
+const rankRelated = (movie, score) =>
+  dataset.movies
+    .filter((other) => other.id !== movie.id)
+    .map((other) => ({ other, value: score(other) }))
+    .filter(({ value }) => value > 0)
+    .sort((a, b) => b.value - a.value || b.other.popularity - a.other.popularity)
+    .map(({ other }) => other);
+
+const fixtureProvider = {
+  name: 'fixture',
+  // Bundled data is already instant - caching would only hide dataset edits
+  cacheable: false,
+
+  getPopularMovies: async ({ page, signal }) => {
+    await simulateLatency(signal);
+    return paginate(byPopularity(), page);
+  },
+
+  searchMovies: async ({ query, page, year, signal }) => {
+    await simulateLatency(signal);
+    const needle = query.toLowerCase();
+    const matches = byPopularity().filter(
+      (movie) =>
+        (movie.title.toLowerCase().includes(needle) || movie.original_title.toLowerCase().includes(needle)) &&
+        (!year || movie.release_date.startsWith(String(year)))
+    );
+    return paginate(matches, page);
+  },
+
+  getMovieDetails: async ({ id, signal }) => {
+    await simulateLatency(signal);
+    return toDetails(findMovie(id));
+  },
+
+  discoverMovies: async ({ filters, page, signal }) => {
+    await simulateLatency(signal);
+    const sortOption = DISCOVER_SORT_OPTIONS[filters.sortBy] || DISCOVER_SORT_OPTIONS[DEFAULT_FILTERS.sortBy];
+    const { field } = sortOption;
+    const region = filters.watchRegion || 'US';
+    const matches = dataset.movies
+      .filter((movie) =>
+        matchesFilters({ ...movie, watch_provider_ids: streamingProviderIds(movie.id, region) }, filters)
+      )
+      .sort((a, b) => (field === 'release_date' ? b.release_date.localeCompare(a.release_date) : b[field] - a[field]));
+    return paginate(matches, page);
+  },
+
+  getGenres: async ({ signal }) => {
+    await simulateLatency(signal);
+    return dataset.genres;
+  },
+
+  getPersonDetails: async ({ id, signal }) => {
+    await simulateLatency(signal);
+    const person = peopleById.get(Number(id));
+    if (!person) {
+      throw new NotFoundError(`Person ${id} is not part of the offline dataset`, { status: 404 });
+    }
+    return { ...person, movie_credits: getMovieCredits(person.id) };
+  },
+
+  getMovieRecommendations: async ({ id, page, signal }) => {
+    await simulateLatency(signal);
+    const movie = findMovie(id);
+    const people = creditedPeople(movie.id);
+    // A shared director or actor counts for more than any genre overlap
+    const score = (other) =>
+      [...creditedPeople(other.id)].filter((personId) => people.has(personId)).length * 10 +
+      sharedGenres(movie, other);
+    return paginate(rankRelated(movie, score), page);
+  },
+
+  getSimilarMovies: async ({ id, page, signal }) => {
+    await simulateLatency(signal);
+    const movie = findMovie(id);
+    return paginate(rankRelated(movie, (other) => sharedGenres(movie, other)), page);
+  },
+
+  getMovieVideos: async ({ id, signal }) => {
+    await simulateLatency(signal);
+    return dataset.videos[findMovie(id).id] || [];
+  },
+
+  findByImdbId: async ({ imdbId, signal }) => {
+    await simulateLatency(signal);
+    const showId = Object.keys(tvDataset.external_ids).find((id) => tvDataset.external_ids[id].imdb_id === imdbId);
+    return {
+      movie_results: dataset.movies.filter((movie) => movie.imdb_id === imdbId).map(toListItem),
+      tv_results: showId ? [toTvListItem(findShow(showId))] : []
+    };
+  },
+
+  getCollection: async ({ id, signal }) => {
+    await simulateLatency(signal);
+    const collection = dataset.collections[Number(id)];
+    if (!collection) {
+      throw new NotFoundError(`Collection ${id} is not part of the offline dataset`, { status: 404 });
+    }
+    return { ...collection, parts: collection.parts.map((movieId) => toListItem(findMovie(movieId))) };
+  },
+
+  getWatchProviders: async ({ id, signal }) => {
+    await simulateLatency(signal);
+    return getWatchProviders(findMovie(id).id);
+  },
+
+  getWatchProviderList: async ({ region, signal }) => {
+    await simulateLatency(signal);
+    // Every provider offering at least one dataset movie in the region
+    const ids = new Set(
+      Object.values(dataset.watch_providers.availability).flatMap((regions) =>
+        Object.values(regions[region] || {}).flat()
+      )
+    );
+    return dataset.watch_providers.providers
+      .filter((provider) => ids.has(provider.provider_id))
+      .sort((a, b) => a.display_priority - b.display_priority);
+  },
+
+  searchMulti: async ({ query, page, signal }) => {
+    await simulateLatency(signal);
+    const needle = query.toLowerCase();
+    const people = dataset.people
+      .filter((person) => person.name.toLowerCase().includes(needle))
+      .map((person) => ({
+        id: person.id,
+        media_type: 'person',
+        name: person.name,
+        profile_path: person.profile_path,
+        known_for_department: person.known_for_department,
+        known_for: getMovieCredits(person.id).cast.slice(0, 3)
+      }));
+    const titles = [
+      ...dataset.movies
+        .filter((movie) => movie.title.toLowerCase().includes(needle))
+        .map((movie) => ({ ...toListItem(movie), media_type: 'movie' })),
+      ...tvDataset.shows
+        .filter((show) => show.name.toLowerCase().includes(needle))
+        .map((show) => ({ ...toTvListItem(show), media_type: 'tv' }))
+    ].sort((a, b) => b.popularity - a.popularity);
+    // People have no popularity in the dataset - list them first, like a name search usually intends
+    return paginate([...people, ...titles], page, (item) => item);
+  },
+
+  getPopularTv: async ({ page, signal }) => {
+    await simulateLatency(signal);
+    return paginate(showsByPopularity(), page, toTvListItem);
+  },
+
+  searchTv: async ({ query, page, signal }) => {
+    await simulateLatency(signal);
+    const needle = query.toLowerCase();
+    const matches = showsByPopularity().filter(
+      (show) => show.name.toLowerCase().includes(needle) || show.original_name.toLowerCase().includes(needle)
+    );
+    return paginate(matches, page, toTvListItem);
+  },
+
+  getTvDetails: async ({ id, signal }) => {
+    await simulateLatency(signal);
+    return toTvDetails(findShow(id));
+  },
+
+  getTvSeason: async ({ id, seasonNumber, signal }) => {
+    await simulateLatency(signal);
+    const season = findShow(id).seasons.find((s) => s.season_number === Number(seasonNumber));
+    if (!season) {
+      throw new NotFoundError(`Season ${seasonNumber} of TV show ${id} is not part of the offline dataset`, {
+        status: 404
+      });
+    }
+    return season;
+  }
+};
+
+export default fixtureProvider;
@@ -0,0 +1,93 @@
+/**
+ * Data Providers
+ *
+ * The API service talks to a provider instead of a hard-coded backend.
+ * Every provider implements the same interface:
+ *
+ * @typedef {Object} DataProvider
+ * @property {string} name - Provider ID ('tmdb', 'fixture')
+ * @property {boolean} cacheable - Whether responses should go through the response cache
+ * @property {function({ page: number, signal?: AbortSignal }): Promise<Object>} getPopularMovies
+ *   Paginated popular movies ({ page, results, total_pages, total_results })
+ * @property {function({ query: string, page: number, year?: number, signal?: AbortSignal }): Promise<Object>} searchMovies
+ *   Paginated movies matching the query (released in `year` when given)
+ * @property {function({ id: (number|string), signal?: AbortSignal }): Promise<Object>} getMovieDetails
+ *   Full movie details with credits ({ ..., belongs_to_collection, credits: { cast, crew } }),
+ *   throws NotFoundError for unknown IDs
+ * @property {function({ filters: Object, page: number, signal?: AbortSignal }): Promise<Object>} discoverMovies
+ *   Paginated movies matching Discover filters (see services/discover.js)
+ * @property {function({ signal?: AbortSignal }): Promise<Array>} getGenres
+ *   Movie genres ([{ id, name }])
+ * @property {function({ id: (number|string), signal?: AbortSignal }): Promise<Object>} getPersonDetails
+ *   Person details with movie credits ({ ..., movie_credits: { cast, crew } }), throws NotFoundError for unknown IDs
+ * @property {function({ id: (number|string), page: number, signal?: AbortSignal }): Promise<Object>} getMovieRecommendations
+ *   Paginated movies recommended to people who liked this one
+ * @property {function({ id: (number|string), page: number, signal?: AbortSignal }): Promise<Object>} getSimilarMovies
+ *   Paginated movies similar to this one (genres, keywords)
+ * @property {function({ id: (number|string), signal?: AbortSignal }): Promise<Array>} getMovieVideos
+ *   Trailers, teasers and clips of a movie ([{ id, key, name, site, type, official, published_at }])
+ * @property {function({ imdbId: string, signal?: AbortSignal }): Promise<Object>} findByImdbId
+ *   Movies and TV shows with this IMDb ID ({ movie_results, tv_results }, list-item fields)
+ * @property {function({ id: (number|string), signal?: AbortSignal }): Promise<Object>} getCollection
+ *   A collection (franchise) with its movies ({ id, name, overview, poster_path, backdrop_path, parts }),
+ *   parts being list items; throws NotFoundError for unknown IDs
+ * @property {function({ id: (number|string), signal?: AbortSignal }): Promise<Object>} getWatchProviders
+ *   Where a movie can be watched, keyed by region ({ US: { link, flatrate, rent, buy } }),
+ *   each list holding providers ({ provider_id, provider_name, logo_path, display_priority })
+ * @property {function({ region: string, signal?: AbortSignal }): Promise<Array>} getWatchProviderList
+ *   Movie watch providers available in a region, by display priority
+ * @property {function({ query: string, page: number, signal?: AbortSignal }): Promise<Object>} searchMulti
+ *   Paginated movies, TV shows and people matching the query (each item has media_type)
+ * @property {function({ page: number, signal?: AbortSignal }): Promise<Object>} getPopularTv
+ *   Paginated popular TV shows (items use name / first_air_date)
+ * @property {function({ query: string, page: number, signal?: AbortSignal }): Promise<Object>} searchTv
+ *   Paginated TV shows matching the query
+ * @property {function({ id: (number|string), signal?: AbortSignal }): Promise<Object>} getTvDetails
+ *   TV show details with its seasons (without episodes), throws NotFoundError for unknown IDs
+ * @property {function({ id: (number|string), seasonNumber: number, signal?: AbortSignal }): Promise<Object>} getTvSeason
+ *   One season with its episodes, throws NotFoundError for unknown seasons
+ *
+ * New endpoints are added as new methods on every provider.
+ *
+ * Selection (first match wins):
+ * 1. VITE_DEMO_MODE=true -> fixture
+ * 2. VITE_DATA_PROVIDER=tmdb|fixture -> that provider
+ * 3. No TMDB proxy configured (TMDB_API_KEY or VITE_TMDB_BASE_URL at build time) -> fixture
+ * 4. Otherwise -> tmdb
+ */
+
+import tmdbProvider from './tmdbProvider';
+import fixtureProvider from './fixtureProvider';
+
+const PROVIDERS = {
+  [tmdbProvider.name]: tmdbProvider,
+  [fixtureProvider.name]: fixtureProvider
+};
+
+/**
+ * Pick the provider name from the env configuration
+ * @returns {string} Provider name
+ */
+const resolveProviderName = () => {
+  if (import.meta.env.VITE_DEMO_MODE === 'true') {
+    return fixtureProvider.name;
+  }
+
+  const requested = import.meta.env.VITE_DATA_PROVIDER;
+  if (requested) {
+    if (PROVIDERS[requested]) {
+      return requested;
+    }
+    console.warn(`Unknown VITE_DATA_PROVIDER "${requested}" - expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  // Set by vite.config.js - the key itself never reaches the browser
+  if (import.meta.env.VITE_TMDB_CONFIGURED !== true) {
+    return fixtureProvider.name;
+  }
+
+  return tmdbProvider.name;
+};
+
+/** @type {DataProvider} */
+export const activeProvider = PROVIDERS[resolveProviderName()];
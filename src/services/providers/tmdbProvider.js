@@ -0,0 +1,123 @@
+/**
+ * TMDB Data Provider
+ *
+ * Live data from The Movie Database API
+ * Implements the DataProvider interface (see providers/index.js)
+ *
+ * Requests go through our TMDB proxy (server/tmdbProxy.js), which adds the API key
+ * server-side - the key is never part of the client bundle.
+ */
+
+import { fetchJson } from '../http';
+import { toDiscoverParams } from '../discover';
+import { getLocale } from '../i18n';
+
+// TMDB proxy base URL (same origin by default: Vercel function or Vite middleware)
+const BASE_URL = (import.meta.env.VITE_TMDB_BASE_URL || '/api/tmdb').replace(/\/+$/, '');
+// TMDB rejects any page above 500 even when total_pages reports more
+const MAX_PAGE = 500;
+
+/**
+ * Normalize a paginated TMDB response
+ * Caps total_pages at the highest page TMDB will actually serve
+ * @param {Object} data - Raw paginated response from TMDB
+ * @returns {Object} Paginated result ({ page, results, total_pages, total_results })
+ */
+const normalizePagedResult = (data) => ({
+  page: data.page || 1,
+  results: data.results || [],
+  total_pages: Math.min(data.total_pages || 1, MAX_PAGE),
+  total_results: data.total_results || 0
+});
+
+/**
+ * Perform a GET request against the TMDB API (through the proxy)
+ * Asks for the current UI language (translated titles, overviews and genres)
+ * Retries, rate limiting and typed errors are handled by services/http.js
+ * @param {string} path - Endpoint path (e.g. /movie/popular)
+ * @param {Object} params - Query string parameters
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} Typed error (auth, not-found, rate-limited, network, server)
+ */
+const tmdbGet = (path, params = {}, signal) => {
+  const searchParams = new URLSearchParams({
+    language: getLocale(),
+    ...params
+  });
+
+  return fetchJson(`${BASE_URL}${path}?${searchParams}`, {
+    signal,
+    label: path,
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+};
+
+const tmdbProvider = {
+  name: 'tmdb',
+  // Live responses are worth caching
+  cacheable: true,
+
+  getPopularMovies: async ({ page, signal }) =>
+    normalizePagedResult(await tmdbGet('/movie/popular', { page }, signal)),
+
+  searchMovies: async ({ query, page, year, signal }) =>
+    normalizePagedResult(await tmdbGet('/search/movie', { query, page, ...(year ? { year } : {}) }, signal)),
+
+  getMovieDetails: ({ id, signal }) =>
+    tmdbGet(`/movie/${id}`, { append_to_response: 'credits' }, signal),
+
+  discoverMovies: async ({ filters, page, signal }) =>
+    normalizePagedResult(await tmdbGet('/discover/movie', { ...toDiscoverParams(filters), page }, signal)),
+
+  getGenres: async ({ signal }) => (await tmdbGet('/genre/movie/list', {}, signal)).genres || [],
+
+  getPersonDetails: ({ id, signal }) =>
+    tmdbGet(`/person/${id}`, { append_to_response: 'movie_credits' }, signal),
+
+  getMovieRecommendations: async ({ id, page, signal }) =>
+    normalizePagedResult(await tmdbGet(`/movie/${id}/recommendations`, { page }, signal)),
+
+  getSimilarMovies: async ({ id, page, signal }) =>
+    normalizePagedResult(await tmdbGet(`/movie/${id}/similar`, { page }, signal)),
+
+  // Videos in the UI language, plus English ones and those without a language tag (many trailers have none)
+  getMovieVideos: async ({ id, signal }) => {
+    const languages = [...new Set([getLocale().split('-')[0], 'en', 'null'])].join(',');
+    return (await tmdbGet(`/movie/${id}/videos`, { include_video_language: languages }, signal)).results || [];
+  },
+
+  findByImdbId: async ({ imdbId, signal }) => {
+    const data = await tmdbGet(`/find/${imdbId}`, { external_source: 'imdb_id' }, signal);
+    return { movie_results: data.movie_results || [], tv_results: data.tv_results || [] };
+  },
+
+  getCollection: ({ id, signal }) => tmdbGet(`/collection/${id}`, {}, signal),
+
+  // Results are keyed by region; the data comes from JustWatch
+  getWatchProviders: async ({ id, signal }) =>
+    (await tmdbGet(`/movie/${id}/watch/providers`, {}, signal)).results || {},
+
+  getWatchProviderList: async ({ region, signal }) => {
+    const { results = [] } = await tmdbGet('/watch/providers/movie', { watch_region: region }, signal);
+    const priority = (provider) => provider.display_priorities?.[region] ?? provider.display_priority;
+    return [...results].sort((a, b) => priority(a) - priority(b));
+  },
+
+  searchMulti: async ({ query, page, signal }) =>
+    normalizePagedResult(await tmdbGet('/search/multi', { query, page }, signal)),
+
+  getPopularTv: async ({ page, signal }) =>
+    normalizePagedResult(await tmdbGet('/tv/popular', { page }, signal)),
+
+  searchTv: async ({ query, page, signal }) =>
+    normalizePagedResult(await tmdbGet('/search/tv', { query, page }, signal)),
+
+  getTvDetails: ({ id, signal }) => tmdbGet(`/tv/${id}`, {}, signal),
+
+  getTvSeason: ({ id, seasonNumber, signal }) => tmdbGet(`/tv/${id}/season/${seasonNumber}`, {}, signal)
+};
+
+export default tmdbProvider;
@@ -0,0 +1,61 @@
+/**
+ * Search History Service
+ *
+ * Recent searches, stored locally in the browser
+ * Features:
+ * - Newest first, capped at MAX_RECENT_SEARCHES
+ * - Searching for the same text again moves it to the top (case-insensitive)
+ * - Single entries can be removed, or the whole history cleared
+ *
+ * Schema (v1):
+ *   { queries: [string] }
+ */
+
+import { createPersistentStore } from './storage';
+
+export const MAX_RECENT_SEARCHES = 8;
+
+export const searchHistoryStore = createPersistentStore({
+  key: 'moviepedia:search-history',
+  version: 1,
+  initialState: {
+    queries: []
+  },
+  validate: (data) => data.queries.every((query) => typeof query === 'string')
+});
+
+/**
+ * Compare queries regardless of case and surrounding spaces
+ */
+const isSameQuery = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Put a query at the top of the history
+ * @param {string} query - Search text (blank queries are ignored)
+ */
+export const addRecentSearch = (query) => {
+  const trimmed = query.trim();
+  if (!trimmed) return;
+  searchHistoryStore.setState((state) => ({
+    ...state,
+    queries: [trimmed, ...state.queries.filter((q) => !isSameQuery(q, trimmed))].slice(0, MAX_RECENT_SEARCHES)
+  }));
+};
+
+/**
+ * Remove one query from the history
+ * @param {string} query - Search text
+ */
+export const removeRecentSearch = (query) => {
+  searchHistoryStore.setState((state) => ({
+    ...state,
+    queries: state.queries.filter((q) => !isSameQuery(q, query))
+  }));
+};
+
+/**
+ * Forget every recent search
+ */
+export const clearRecentSearches = () => {
+  searchHistoryStore.setState((state) => ({ ...state, queries: [] }));
+};
@@ -0,0 +1,54 @@
+/**
+ * Keyboard Shortcuts Service
+ *
+ * Global keyboard shortcuts and whether they are turned on, stored locally in the browser
+ * Features:
+ * - Shortcut list for the help overlay (labels are message keys: shortcuts.actions.<action>)
+ * - Can be turned off, e.g. for users whose assistive technology uses single-key commands
+ * - Tells typing (inputs, text areas, editable content) apart from shortcuts
+ *
+ * Schema (v1):
+ *   { enabled: boolean }
+ */
+
+import { createPersistentStore } from './storage';
+
+export const shortcutsStore = createPersistentStore({
+  key: 'moviepedia:shortcuts',
+  version: 1,
+  initialState: {
+    enabled: true
+  }
+});
+
+/**
+ * Shortcuts shown in the help overlay, in order
+ * - keys: what to press (shown as <kbd>)
+ * - action: message key of what it does
+ * - global: false for keys that always work in movie grids, even with shortcuts turned off
+ */
+export const SHORTCUTS = [
+  { keys: ['/'], action: 'search', global: true },
+  { keys: ['Esc'], action: 'clear', global: true },
+  { keys: ['w'], action: 'watchlist', global: true },
+  { keys: ['?'], action: 'help', global: true },
+  { keys: ['←', '↑', '→', '↓'], action: 'grid', global: false },
+  { keys: ['Home', 'End'], action: 'row', global: false },
+  { keys: ['Ctrl', 'Home / End'], action: 'firstLast', global: false }
+];
+
+/**
+ * Turn the global shortcuts on or off
+ * @param {boolean} enabled - New setting
+ */
+export const setShortcutsEnabled = (enabled) => {
+  shortcutsStore.setState((state) => ({ ...state, enabled: Boolean(enabled) }));
+};
+
+/**
+ * Check whether a key press goes to a text field (single-key shortcuts must not fire there)
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, text areas, selects and editable content
+ */
+export const isTypingTarget = (target) =>
+  Boolean(target?.isContentEditable) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
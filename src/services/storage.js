@@ -0,0 +1,229 @@
+/**
+ * Persistent Store
+ *
+ * Tiny state container saved to localStorage, used for user data (watchlist, favorites...)
+ * Features:
+ * - Versioned schema: data is saved as { version, data }
+ * - Migrations run in order when older data is loaded
+ * - Data without a valid version, not shaped like initialState, or rejected by the store's
+ *   validate function (e.g. a malformed list entry) is replaced by initialState
+ * - Subscribe API compatible with React's useSyncExternalStore
+ * - Changes made in other tabs are picked up through the storage event
+ * - Snapshots ({ version, data }) for backups, restored through the same migrations
+ */
+
+/**
+ * Get localStorage if it is available (private mode and SSR can block it)
+ * @returns {Storage|null} localStorage or null
+ */
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Describe a value's kind for the shape check ('array', 'null', or its typeof)
+ * @param {*} value - Any value
+ * @returns {string} Kind
+ */
+const kindOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+/**
+ * Check for a plain object (not null, not an array) - handy in validate functions
+ * @param {*} value - Any value
+ * @returns {boolean} True for objects
+ */
+export const isObject = (value) => kindOf(value) === 'object';
+
+/**
+ * Check that data has the same shape as a store's initial state
+ * Objects are checked one level deep: every key of the initial state must hold the same kind of value
+ * @param {*} data - Data to check
+ * @param {*} initialState - The store's initial state
+ * @returns {boolean} True if the data can be used as state
+ */
+const matchesShape = (data, initialState) => {
+  if (kindOf(data) !== kindOf(initialState)) return false;
+  if (kindOf(initialState) !== 'object') return true;
+  return Object.keys(initialState).every((field) => kindOf(data[field]) === kindOf(initialState[field]));
+};
+
+/**
+ * Create a store persisted under a localStorage key
+ *
+ * Migrations are keyed by the version they upgrade FROM:
+ *   migrations: { 1: (v1Data) => v2Data, 2: (v2Data) => v3Data }
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.key - localStorage key
+ * @param {number} options.version - Current schema version
+ * @param {*} options.initialState - State used when nothing (usable) is stored
+ * @param {Object} options.migrations - Migration functions keyed by source version
+ * @param {function} options.validate - Optional deep check of migrated data, (data) => boolean;
+ *   runs on load and before a restore, so one malformed entry can't crash every render
+ * @returns {Object} Store ({ key, version, getState, setState, subscribe, reset, snapshot, canRestore, restore })
+ */
+export const createPersistentStore = ({ key, version, initialState, migrations = {}, validate = () => true }) => {
+  const listeners = new Set();
+
+  /**
+   * Upgrade stored data to the current schema version
+   * @param {Object} stored - Parsed { version, data } from storage
+   * @returns {Object} { ok, data }: ok is false (with a reason) when the data can't be used
+   */
+  const tryMigrate = (stored) => {
+    let storedVersion = stored?.version;
+    let data = stored?.data;
+
+    if (!Number.isInteger(storedVersion)) {
+      return { ok: false, reason: 'no valid schema version' };
+    }
+    if (storedVersion > version) {
+      return { ok: false, reason: `data (v${storedVersion}) is newer than this app (v${version})` };
+    }
+
+    while (storedVersion < version) {
+      const migration = migrations[storedVersion];
+      if (!migration) {
+        return { ok: false, reason: `no migration from v${storedVersion}` };
+      }
+      try {
+        data = migration(data);
+      } catch (error) {
+        return { ok: false, reason: `migration from v${storedVersion} failed (${error.message})` };
+      }
+      storedVersion += 1;
+    }
+
+    if (!matchesShape(data, initialState)) {
+      return { ok: false, reason: 'unexpected data shape' };
+    }
+    try {
+      return validate(data) ? { ok: true, data } : { ok: false, reason: 'invalid entries' };
+    } catch (error) {
+      return { ok: false, reason: `validation failed (${error.message})` };
+    }
+  };
+
+  /**
+   * Upgrade stored data to the current schema version
+   * @param {Object} stored - Parsed { version, data } from storage
+   * @returns {*} Data in the current schema, or initialState if it can't be migrated
+   */
+  const migrate = (stored) => {
+    const result = tryMigrate(stored);
+    if (!result.ok) {
+      console.warn(`${key}: stored data is unusable (${result.reason}) - starting fresh`);
+      return initialState;
+    }
+    return result.data;
+  };
+
+  /**
+   * Read and migrate the stored state
+   * @returns {*} Current state
+   */
+  const load = () => {
+    const storage = getStorage();
+    if (!storage) return initialState;
+
+    try {
+      const raw = storage.getItem(key);
+      if (!raw) return initialState;
+      return migrate(JSON.parse(raw));
+    } catch (error) {
+      console.warn(`${key}: stored data is unreadable - starting fresh`, error);
+      return initialState;
+    }
+  };
+
+  /**
+   * Save the state with its schema version
+   * @param {*} data - State to save
+   */
+  const save = (data) => {
+    const storage = getStorage();
+    if (!storage) return;
+
+    try {
+      storage.setItem(key, JSON.stringify({ version, data }));
+    } catch (error) {
+      console.warn(`${key}: could not save`, error);
+    }
+  };
+
+  let state = load();
+
+  const notify = () => listeners.forEach((listener) => listener());
+
+  // Keep tabs in sync
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== key) return;
+      state = load();
+      notify();
+    });
+  }
+
+  return {
+    key,
+    version,
+
+    getState: () => state,
+
+    /**
+     * Replace the state (or update it from the previous one)
+     * @param {*|function} next - New state, or updater (prev) => next
+     */
+    setState: (next) => {
+      state = typeof next === 'function' ? next(state) : next;
+      save(state);
+      notify();
+    },
+
+    /**
+     * Subscribe to state changes
+     * @param {function} listener - Called after every change
+     * @returns {function} Unsubscribe function
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Go back to the initial state
+     */
+    reset: () => {
+      state = initialState;
+      save(state);
+      notify();
+    },
+
+    /**
+     * Current state with its schema version, as saved in localStorage (for backups)
+     * @returns {Object} { version, data }
+     */
+    snapshot: () => ({ version, data: state }),
+
+    /**
+     * Check whether a snapshot can be restored (valid version, migratable, expected shape)
+     * @param {Object} stored - { version, data } from snapshot()
+     * @returns {boolean} True if restore() would keep the snapshot's data
+     */
+    canRestore: (stored) => tryMigrate(stored).ok,
+
+    /**
+     * Replace the state with a snapshot, upgrading it if it comes from an older version
+     * @param {Object} stored - { version, data } from snapshot()
+     */
+    restore: (stored) => {
+      state = migrate(stored);
+      save(state);
+      notify();
+    }
+  };
+};
@@ -0,0 +1,97 @@
+/**
+ * Streaming Service
+ *
+ * Watch region and the user's streaming services, stored locally in the browser
+ * Features:
+ * - The region decides which providers are shown ("where to watch" differs per country)
+ * - The first visit follows the browser locale (e.g. id-ID -> ID), defaulting to US
+ * - "My services" are TMDB provider IDs, used to highlight providers and filter Discover
+ *
+ * Schema (v1):
+ *   { region: 'US', services: [providerId] }
+ */
+
+import { createPersistentStore } from './storage';
+
+export const DEFAULT_REGION = 'US';
+
+/**
+ * Regions offered in the region selector (ISO 3166-1 codes, names come from Intl.DisplayNames)
+ */
+export const REGION_OPTIONS = [
+  'US', 'GB', 'CA', 'AU', 'ID', 'IN', 'SG', 'MY', 'PH', 'DE', 'FR', 'ES', 'IT', 'NL', 'BR', 'MX', 'JP', 'KR'
+];
+
+/**
+ * Offer types shown on the movie page, in display order (keys of TMDB's watch provider results)
+ */
+export const OFFER_TYPES = ['flatrate', 'rent', 'buy'];
+
+/**
+ * Guess the region from the browser languages (e.g. 'en-GB' -> 'GB', 'id' -> 'ID')
+ * @returns {string} ISO 3166-1 country code
+ */
+const detectRegion = () => {
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  for (const language of preferred) {
+    try {
+      // maximize() fills in the likely region for bare languages ('id' -> 'id-Latn-ID')
+      const { region } = new Intl.Locale(language).maximize();
+      if (region && /^[A-Z]{2}$/.test(region)) return region;
+    } catch {
+      // Ignore malformed language tags
+    }
+  }
+  return DEFAULT_REGION;
+};
+
+export const streamingStore = createPersistentStore({
+  key: 'moviepedia:streaming',
+  version: 1,
+  initialState: {
+    region: detectRegion(),
+    services: []
+  },
+  validate: (data) => /^[A-Z]{2}$/.test(data.region) && data.services.every(Number.isInteger)
+});
+
+/**
+ * Change (and persist) the watch region
+ * @param {string} region - ISO 3166-1 country code
+ */
+export const setRegion = (region) => {
+  streamingStore.setState((state) => ({ ...state, region }));
+};
+
+/**
+ * Add a provider to the user's services, or remove it if it is already there
+ * @param {number} providerId - TMDB provider ID
+ */
+export const toggleService = (providerId) => {
+  streamingStore.setState((state) => ({
+    ...state,
+    services: state.services.includes(providerId)
+      ? state.services.filter((id) => id !== providerId)
+      : [...state.services, providerId]
+  }));
+};
+
+/**
+ * Pick a region's offers out of a watch providers response
+ * @param {Object} availability - Watch providers keyed by region (see api.fetchWatchProviders)
+ * @param {string} region - ISO 3166-1 country code
+ * @returns {Object|null} { link, flatrate, rent, buy } with providers by display priority, or null if unavailable
+ */
+export const getRegionOffers = (availability, region) => {
+  const offers = availability?.[region];
+  if (!offers) return null;
+
+  const sorted = Object.fromEntries(
+    OFFER_TYPES.map((type) => [
+      type,
+      [...(offers[type] || [])].sort((a, b) => a.display_priority - b.display_priority)
+    ])
+  );
+  const hasOffers = OFFER_TYPES.some((type) => sorted[type].length > 0);
+  return hasOffers ? { link: offers.link, ...sorted } : null;
+};
@@ -0,0 +1,59 @@
+/**
+ * Video Helpers
+ *
+ * Ordering and embedding for TMDB movie videos (/movie/{id}/videos)
+ * Video shape: { id, key, name, site, type, official, published_at }
+ */
+
+// Lower = shown first
+const TYPE_PRIORITY = {
+  Trailer: 0,
+  Teaser: 1,
+  Clip: 2,
+  Featurette: 3,
+  'Behind the Scenes': 4,
+  Bloopers: 5
+};
+
+const EMBED_URLS = {
+  YouTube: (key) => `https://www.youtube-nocookie.com/embed/${key}?autoplay=1&rel=0`,
+  Vimeo: (key) => `https://player.vimeo.com/video/${key}?autoplay=1`
+};
+
+const WATCH_URLS = {
+  YouTube: (key) => `https://www.youtube.com/watch?v=${key}`,
+  Vimeo: (key) => `https://vimeo.com/${key}`
+};
+
+const getTypePriority = (video) => TYPE_PRIORITY[video.type] ?? Object.keys(TYPE_PRIORITY).length;
+
+/**
+ * Order videos for the player: official trailers first, then other trailers,
+ * teasers, clips, featurettes... newest first within each group
+ * Videos on sites we can't link to are dropped
+ * @param {Array} videos - Videos from the API
+ * @returns {Array} Sorted copy
+ */
+export const sortVideos = (videos) =>
+  (videos || [])
+    .filter((video) => WATCH_URLS[video.site])
+    .sort(
+      (a, b) =>
+        getTypePriority(a) - getTypePriority(b) ||
+        Number(Boolean(b.official)) - Number(Boolean(a.official)) ||
+        (b.published_at || '').localeCompare(a.published_at || '')
+    );
+
+/**
+ * Player URL for a video
+ * @param {Object} video - Video from the API
+ * @returns {string|null} Embed URL, or null when the site can't be embedded
+ */
+export const getEmbedUrl = (video) => EMBED_URLS[video?.site]?.(video.key) || null;
+
+/**
+ * Link to the video on its own site (fallback when embedding is blocked)
+ * @param {Object} video - Video from the API
+ * @returns {string|null} Watch URL
+ */
+export const getWatchUrl = (video) => WATCH_URLS[video?.site]?.(video.key) || null;
@@ -0,0 +1,161 @@
+/**
+ * Watchlist & Favorites Service
+ *
+ * Saved movie and TV show lists, stored locally in the browser
+ * Features:
+ * - Two lists: watchlist and favorites
+ * - Each entry keeps a snapshot of the movie, so lists render offline without API calls
+ * - Movies and TV shows can share an ID, so entries are matched on media type + ID
+ * - Versioned schema with migrations (see services/storage.js)
+ *
+ * Schema (v2):
+ *   { watchlist: [Entry], favorites: [Entry] }
+ *   Entry = { movie: MovieSnapshot, addedAt: ISO date string }
+ *   MovieSnapshot.media_type = 'movie' | 'tv' (added in v2, v1 only had movies)
+ */
+
+import { createPersistentStore, isObject } from './storage';
+import { MEDIA_TYPES, getMediaType, getTitle, getReleaseDate } from './media';
+
+export const LISTS = {
+  WATCHLIST: 'watchlist',
+  FAVORITES: 'favorites'
+};
+
+const SCHEMA_VERSION = 2;
+
+/**
+ * Check a saved entry: { movie: { id: number }, addedAt: string }
+ * @param {*} entry - Entry read from storage or a backup
+ * @returns {boolean} True if the lists can render it
+ */
+const isValidEntry = (entry) =>
+  isObject(entry) && isObject(entry.movie) && Number.isInteger(entry.movie.id) && typeof entry.addedAt === 'string';
+
+export const watchlistStore = createPersistentStore({
+  key: 'moviepedia:watchlist',
+  version: SCHEMA_VERSION,
+  initialState: {
+    [LISTS.WATCHLIST]: [],
+    [LISTS.FAVORITES]: []
+  },
+  // Add an entry here whenever SCHEMA_VERSION is bumped: { [oldVersion]: (data) => newData }
+  migrations: {
+    // v1 -> v2: tag every saved entry as a movie
+    1: (data) =>
+      Object.fromEntries(
+        Object.entries(data).map(([listName, entries]) => [
+          listName,
+          entries.map((entry) => ({ ...entry, movie: { ...entry.movie, media_type: MEDIA_TYPES.MOVIE } }))
+        ])
+      )
+  },
+  validate: (data) => Object.values(LISTS).every((listName) => data[listName].every(isValidEntry))
+});
+
+/**
+ * Keep only the fields needed to render cards and sort lists
+ * TV shows are stored with movie field names (title, release_date) plus media_type
+ * @param {Object} movie - Movie or TV show from the API (list item or details)
+ * @returns {Object} Movie snapshot
+ */
+export const toMovieSnapshot = (movie) => ({
+  id: movie.id,
+  media_type: getMediaType(movie),
+  title: getTitle(movie),
+  poster_path: movie.poster_path || null,
+  backdrop_path: movie.backdrop_path || null,
+  overview: movie.overview || '',
+  vote_average: movie.vote_average || 0,
+  release_date: getReleaseDate(movie)
+});
+
+/**
+ * Check whether a saved entry is this movie / TV show
+ */
+const isEntryFor = (entry, id, mediaType) =>
+  entry.movie.id === Number(id) && getMediaType(entry.movie) === mediaType;
+
+/**
+ * Check whether a movie (or TV show) is in a list
+ * @param {Object} lists - Store state
+ * @param {string} listName - LISTS.WATCHLIST or LISTS.FAVORITES
+ * @param {number} movieId - Movie or TV show ID
+ * @param {string} mediaType - MEDIA_TYPES.MOVIE (default) or MEDIA_TYPES.TV
+ * @returns {boolean} True if saved
+ */
+export const isInList = (lists, listName, movieId, mediaType = MEDIA_TYPES.MOVIE) =>
+  (lists[listName] || []).some((entry) => isEntryFor(entry, movieId, mediaType));
+
+/**
+ * Add a movie (or TV show) to a list, or remove it if it is already there
+ * @param {string} listName - LISTS.WATCHLIST or LISTS.FAVORITES
+ * @param {Object} movie - Movie or TV show to save
+ */
+export const toggleInList = (listName, movie) => {
+  const mediaType = getMediaType(movie);
+  watchlistStore.setState((lists) => {
+    const entries = lists[listName] || [];
+    const exists = entries.some((entry) => isEntryFor(entry, movie.id, mediaType));
+
+    return {
+      ...lists,
+      [listName]: exists
+        ? entries.filter((entry) => !isEntryFor(entry, movie.id, mediaType))
+        : [{ movie: toMovieSnapshot(movie), addedAt: new Date().toISOString() }, ...entries]
+    };
+  });
+};
+
+/**
+ * Add several movies (or TV shows) to a list at once, e.g. from an import
+ * Entries already in the list are left as they are
+ * @param {string} listName - LISTS.WATCHLIST or LISTS.FAVORITES
+ * @param {Array} items - [{ movie, addedAt }] (addedAt defaults to now)
+ * @returns {number} Number of entries added
+ */
+export const addManyToList = (listName, items) => {
+  let added = 0;
+  watchlistStore.setState((lists) => {
+    const entries = [...(lists[listName] || [])];
+    items.forEach(({ movie, addedAt }) => {
+      const mediaType = getMediaType(movie);
+      if (entries.some((entry) => isEntryFor(entry, movie.id, mediaType))) return;
+      entries.push({ movie: toMovieSnapshot(movie), addedAt: addedAt || new Date().toISOString() });
+      added += 1;
+    });
+    // Newest first, like entries added one by one
+    return { ...lists, [listName]: entries.sort((a, b) => b.addedAt.localeCompare(a.addedAt)) };
+  });
+  return added;
+};
+
+/**
+ * Sort options for saved lists (labelKey is a message key, see services/i18n.js)
+ */
+export const SORT_OPTIONS = {
+  dateAdded: {
+    labelKey: 'watchlist.sort.dateAdded',
+    compare: (a, b) => b.addedAt.localeCompare(a.addedAt)
+  },
+  rating: {
+    labelKey: 'watchlist.sort.rating',
+    compare: (a, b) => b.movie.vote_average - a.movie.vote_average
+  },
+  releaseDate: {
+    labelKey: 'watchlist.sort.releaseDate',
+    compare: (a, b) => (b.movie.release_date || '').localeCompare(a.movie.release_date || '')
+  }
+};
+
+/**
+ * Get the movies of a list in the requested order
+ * @param {Object} lists - Store state
+ * @param {string} listName - LISTS.WATCHLIST or LISTS.FAVORITES
+ * @param {string} sortBy - Key of SORT_OPTIONS
+ * @returns {Array} Movie snapshots
+ */
+export const getSortedMovies = (lists, listName, sortBy = 'dateAdded') => {
+  const { compare } = SORT_OPTIONS[sortBy] || SORT_OPTIONS.dateAdded;
+  return [...(lists[listName] || [])].sort(compare).map((entry) => entry.movie);
+};
@@ -0,0 +1,151 @@
+/**
+ * Service Worker
+ *
+ * Keeps the app usable on flaky connections and makes it installable
+ * Not bundled with the app: vite.config.js emits it as /sw.js with the precache list filled in
+ * Features:
+ * - Precaches the app shell (index.html, built JS / CSS, logo and web manifest)
+ * - Page navigations fall back to the cached shell, so every route opens offline
+ * - TMDB JSON from the proxy (/api/tmdb): network first, the cached copy when offline
+ * - Posters and backdrops (image.tmdb.org): cache first, fetched with CORS so they aren't opaque
+ * - Runtime caches are capped; the oldest entries are dropped first
+ * - Shell caches of older builds are removed when a new build activates
+ */
+
+// Replaced at build time (see vite.config.js)
+const BUILD_ID = self.__BUILD_ID || 'dev';
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST || [];
+
+const SHELL_CACHE = `moviepedia-shell-${BUILD_ID}`;
+const API_CACHE = 'moviepedia-api-v1';
+// v2: v1 held opaque responses, which count several MB each against the storage quota
+const IMAGE_CACHE = 'moviepedia-images-v2';
+const RUNTIME_CACHES = [API_CACHE, IMAGE_CACHE];
+
+// Entry limits for the runtime caches
+const MAX_API_ENTRIES = 200;
+const MAX_IMAGE_ENTRIES = 150;
+
+const SHELL_URL = '/index.html';
+const API_PATH = '/api/tmdb/';
+const IMAGE_ORIGIN = 'https://image.tmdb.org';
+
+/**
+ * Drop the oldest entries of a cache beyond a limit
+ * Caches keep insertion order, and put() re-inserts, so the first keys are the least recently stored
+ * @param {string} cacheName - Cache name
+ * @param {number} maxEntries - Entries to keep
+ */
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+};
+
+/**
+ * Network first, falling back to the cache (TMDB JSON)
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+const networkFirst = async (event) => {
+  const cache = await caches.open(API_CACHE);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      await cache.put(event.request, response.clone());
+      event.waitUntil(trimCache(API_CACHE, MAX_API_ENTRIES));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(event.request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Cache first, storing what the network returns (images)
+ * <img> requests are no-cors, and their opaque responses are charged a padded size of several MB
+ * against the quota, so images are fetched with CORS (TMDB's CDN allows it) and only real
+ * successful responses are cached. Without CORS the image is still shown, just not cached
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+const cacheFirst = async (event) => {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(event.request);
+  if (cached) return cached;
+
+  let response;
+  try {
+    response = await fetch(event.request.url, { mode: 'cors', credentials: 'omit' });
+  } catch {
+    return fetch(event.request);
+  }
+  if (response.ok) {
+    await cache.put(event.request, response.clone());
+    event.waitUntil(trimCache(IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+  }
+  return response;
+};
+
+/**
+ * Page navigations: the network, or the cached shell when offline (the router handles the URL)
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+const navigate = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match(SHELL_URL)) || Response.error();
+  }
+};
+
+/**
+ * App shell files: precached copy, or the network for anything not precached
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+const fromShell = async (request) => (await caches.match(request)) || fetch(request);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name !== SHELL_CACHE && !RUNTIME_CACHES.includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigate(request));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith(API_PATH)) {
+    event.respondWith(networkFirst(event));
+  } else if (url.origin === IMAGE_ORIGIN) {
+    event.respondWith(cacheFirst(event));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(fromShell(request));
+  }
+});
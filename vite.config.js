@@ -1,8 +1,64 @@
-import { defineConfig } from 'vite'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { createTmdbProxyMiddleware } from './server/tmdbProxy.js'
+
+/**
+ * Serve the TMDB proxy at /api/tmdb in `vite` and `vite preview`,
+ * matching the Vercel function in api/tmdb.js
+ */
+const tmdbProxy = (apiKey) => ({
+  name: 'tmdb-proxy',
+  configureServer(server) {
+    server.middlewares.use('/api/tmdb', createTmdbProxyMiddleware(apiKey))
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use('/api/tmdb', createTmdbProxyMiddleware(apiKey))
+  },
+})
+
+// Files in public/ that belong to the app shell
+const PUBLIC_SHELL_FILES = ['/manifest.webmanifest', '/logo.png']
+
+/**
+ * Emit the service worker (src/sw.js) as /sw.js with the built files to precache
+ * The file list changes with every build, so browsers install the new worker
+ */
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const assets = Object.keys(bundle)
+      .filter((fileName) => fileName !== 'index.html' && !fileName.endsWith('.map'))
+      .map((fileName) => `/${fileName}`)
+    const urls = ['/index.html', ...PUBLIC_SHELL_FILES, ...assets]
+    const buildId = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      .replace('self.__BUILD_ID', JSON.stringify(buildId))
+      .replace('self.__PRECACHE_MANIFEST', JSON.stringify(urls))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
+export default defineConfig(({ mode }) => {
+  // Load every variable (not just VITE_*) - TMDB_API_KEY stays server-side
+  const env = loadEnv(mode, process.cwd(), '')
+
+  if (env.VITE_TMDB_API_KEY) {
+    console.warn('VITE_TMDB_API_KEY is no longer used and would expose the key - rename it to TMDB_API_KEY')
+  }
+
+  return {
+    plugins: [react(), tailwindcss(), tmdbProxy(env.TMDB_API_KEY), serviceWorker()],
+    define: {
+      // Lets the client fall back to demo mode without ever seeing the key itself
+      'import.meta.env.VITE_TMDB_CONFIGURED': JSON.stringify(
+        Boolean(env.TMDB_API_KEY || env.VITE_TMDB_BASE_URL)
+      ),
+    },
+  }
 })